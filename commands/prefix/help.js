@@ -23,16 +23,22 @@ module.exports = {
                 '`/creategaw` or `jd!creategaw` - Create a new giveaway',
                 '`/editgaw` or `jd!editgaw` - Edit existing giveaway',
                 '`/deletegaw` or `jd!deletegaw` - Delete a giveaway',
+                '`/eligibility` or `jd!eligibility` - Limit who can take part in a giveaway',
+                '`/bonus` or `jd!bonus` - Role multipliers and bonus entries for a giveaway',
                 '`/listgaws` or `jd!listgaws` - List all giveaways'
             ],
             'Purchase Management': [
                 '`/addpurchase` or `jd!addpurchase` - Add user purchase',
                 '`/editpurchase` or `jd!editpurchase` - Edit existing purchase', 
-                '`/deletepurchase` or `jd!deletepurchase` - Delete a purchase'
+                '`/deletepurchase` or `jd!deletepurchase` - Delete a purchase',
+                '`/claimpurchase` - Send your purchase receipt for mod review (slash only)'
             ],
             'Analysis & Tools': [
                 '`/analyze` or `jd!analyze` - Analyze channel messages',
+                '`/submissions` or `jd!submissions` - Link a submissions channel and review submissions',
                 '`/spin` or `jd!spin` - Spin the giveaway wheel',
+                '`/reroll` or `jd!reroll` - Draw a new winner, excluding previous winners',
+                '`/verifyspin` or `jd!verifyspin` - Verify a spin against its seed commitment',
                 '`/showcurrentwheelstate` or `jd!showcurrentwheelstate` - Show current wheel state',
                 '`/stats` or `jd!stats` - Show detailed statistics'
             ],
@@ -40,6 +46,8 @@ module.exports = {
                 '`/creatorcode` or `jd!creatorcode` - Check Fortnite creator code',
                 '`/time` or `jd!time` - Show current time in multiple zones',
                 '`/backup` or `jd!backup` - Backup management operations',
+                '`/trash` or `jd!trash` - Restore or purge deleted giveaways',
+                '`/audit` or `jd!audit` - Show who changed giveaways and purchases',
                 '`/help` or `jd!help` - Show this help message'
             ]
         };
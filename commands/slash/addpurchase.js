@@ -1,8 +1,14 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
 const apiHandler = require('../../utils/apiHandler');
+const scheduler = require('../../utils/scheduler');
+const eligibility = require('../../utils/eligibility');
 const logger = require('../../utils/logger');
 
+// Options holding the items of one purchase: the required `name` plus up to four more
+const ITEM_OPTIONS = ['name', 'item-2', 'item-3', 'item-4', 'item-5'];
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('addpurchase')
@@ -10,10 +16,11 @@ module.exports = {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('item')
-                .setDescription('Add purchase by item name')
+                .setDescription('Add purchase by item name (up to 5 items in one purchase)')
                 .addStringOption(option =>
                     option.setName('giveaway')
                         .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
                         .setRequired(true))
                 .addUserOption(option =>
                     option.setName('user')
@@ -21,8 +28,29 @@ module.exports = {
                         .setRequired(true))
                 .addStringOption(option =>
                     option.setName('name')
-                        .setDescription('Item name to search for')
+                        .setDescription('Item to add (pick one of the suggestions)')
+                        .setAutocomplete(true)
                         .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('item-2')
+                        .setDescription('Another item bought in the same purchase')
+                        .setAutocomplete(true)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('item-3')
+                        .setDescription('Another item bought in the same purchase')
+                        .setAutocomplete(true)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('item-4')
+                        .setDescription('Another item bought in the same purchase')
+                        .setAutocomplete(true)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('item-5')
+                        .setDescription('Another item bought in the same purchase')
+                        .setAutocomplete(true)
+                        .setRequired(false))
                 .addStringOption(option =>
                     option.setName('type')
                         .setDescription('Item type filter')
@@ -57,6 +85,29 @@ module.exports = {
                             { name: 'Gaming Legends', value: 'gaming-legends' }
                         )
                         .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('bundle')
+                .setDescription('Add purchase of a shop bundle')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User who made the purchase')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Bundle name')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('price')
+                        .setDescription('Bundle price in V-Bucks (skips the price lookup)')
+                        .setMinValue(1)
+                        .setMaxValue(50000)
+                        .setRequired(false)))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('vbucks')
@@ -64,6 +115,7 @@ module.exports = {
                 .addStringOption(option =>
                     option.setName('giveaway')
                         .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
                         .setRequired(true))
                 .addUserOption(option =>
                     option.setName('user')
@@ -76,19 +128,49 @@ module.exports = {
                         .setMaxValue(50000)
                         .setRequired(true))),
 
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+
+        if (ITEM_OPTIONS.includes(focused.name)) {
+            return this.autocompleteItem(interaction, focused.value);
+        }
+
+        return giveawayResolver.autocomplete(interaction);
+    },
+
+    // Suggestions come from the local cosmetics cache and submit the cosmetic ID
+    async autocompleteItem(interaction, query) {
+        const items = await apiHandler.searchCosmetics(query, this.getItemFilters(interaction));
+
+        await interaction.respond(items.slice(0, 25).map(item => ({
+            name: `${item.name} • ${item.type} • ${item.rarity} • ${item.price ? `${item.price} V-Bucks` : 'price unknown'}`.slice(0, 100),
+            value: item.id
+        })));
+    },
+
     async execute(interaction, bot) {
         try {
             await interaction.deferReply();
 
-            const giveawayInput = interaction.options.getString('giveaway');
             const targetUser = interaction.options.getUser('user');
             const subcommand = interaction.options.getSubcommand();
 
             // Find giveaway
-            const giveaway = await database.getGiveaway(giveawayInput);
-            if (!giveaway) {
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
+
+            // Reject purchases outside the scheduled start/end window
+            const scheduleWindow = scheduler.getWindowStatus(giveaway);
+            if (scheduleWindow.state === 'pending') {
                 return interaction.editReply({
-                    content: `❌ Giveaway not found: **${giveawayInput}**\nUse \`/listgaws\` to see available giveaways.`,
+                    content: `❌ Giveaway **${giveaway.name}** has not started yet. It opens ${scheduler.formatTimestamp(scheduleWindow.startsAt)}.`,
+                    ephemeral: true
+                });
+            }
+
+            if (scheduleWindow.state === 'ended') {
+                return interaction.editReply({
+                    content: `❌ Giveaway **${giveaway.name}** closed ${scheduler.formatTimestamp(scheduleWindow.endsAt)} and no longer accepts purchases.`,
                     ephemeral: true
                 });
             }
@@ -100,50 +182,96 @@ module.exports = {
                 });
             }
 
+            const ineligibleReasons = await eligibility.checkUser(interaction.guild, giveaway, targetUser.id);
+            if (ineligibleReasons.length > 0) {
+                return interaction.editReply({
+                    content: `❌ ${targetUser} can't take part in **${giveaway.name}**:\n${ineligibleReasons.map(r => `• ${r}`).join('\n')}`,
+                    ephemeral: true
+                });
+            }
+
             let vbucksSpent = 0;
             let itemsArray = [];
-            let searchResult = null;
+            const pricedItems = [];
 
             if (subcommand === 'item') {
-                // Item-based purchase
-                const itemName = interaction.options.getString('name');
-                const itemType = interaction.options.getString('type');
-                const itemRarity = interaction.options.getString('rarity');
-                const itemSeries = interaction.options.getString('series');
-
-                const filters = {};
-                if (itemType) filters.type = itemType;
-                if (itemRarity) filters.rarity = itemRarity;
-                if (itemSeries) filters.series = itemSeries;
-
-                // Search for item with pricing
+                // Item-based purchase, priced as the sum of every item so entries are rounded once
+                const inputs = ITEM_OPTIONS
+                    .map(option => interaction.options.getString(option))
+                    .filter(Boolean);
+                const filters = this.getItemFilters(interaction);
+
+                const resolved = [];
+                for (const input of inputs) {
+                    const { item, matches } = await this.resolveItem(input, filters);
+
+                    if (!item) {
+                        return interaction.editReply({
+                            content: matches.length > 1
+                                ? `❌ **${input}** matches ${matches.length} items (${matches.map(m => m.type).join(', ')}).\nPick the right one from the suggestions while typing the name.`
+                                : `❌ Item not found: **${input}**\nPick an item from the suggestions while typing the name.`,
+                            ephemeral: true
+                        });
+                    }
+
+                    resolved.push(item);
+                }
+
+                // Look up pricing for the chosen items
                 try {
-                    searchResult = await apiHandler.getItemWithPricing(itemName, filters);
+                    for (const item of resolved) {
+                        pricedItems.push(await apiHandler.getItemByIdWithPricing(item.id));
+                    }
                 } catch (error) {
-                    logger.error('API error during item search:', error);
+                    logger.error('API error during item pricing:', error);
                     return interaction.editReply({
-                        content: '❌ API error occurred while searching for the item. Please try again later.',
+                        content: '❌ API error occurred while looking up the item price. Please try again later.',
                         ephemeral: true
                     });
                 }
 
-                if (!searchResult) {
+                const unpriced = pricedItems.filter(item => !item.price || item.price <= 0);
+                if (unpriced.length > 0) {
+                    // No pricing available - ask user to provide V-Bucks amount
                     return interaction.editReply({
-                        content: `❌ Item not found: **${itemName}**\nTry different search terms or check the item name spelling.`,
+                        content: `⚠️ No pricing information is available for ${unpriced.map(item => `**${item.name}**`).join(', ')}.\nPlease use \`/addpurchase vbucks\` instead and specify the V-Bucks amount manually.`,
                         ephemeral: true
                     });
                 }
 
-                if (!searchResult.price || searchResult.price <= 0) {
-                    // No pricing available - ask user to provide V-Bucks amount
-                    return interaction.editReply({
-                        content: `⚠️ Found item **${searchResult.name}** but no pricing information is available.\nPlease use \`/addpurchase vbucks\` instead and specify the V-Bucks amount manually.`,
-                        ephemeral: true
-                    });
+                vbucksSpent = pricedItems.reduce((sum, item) => sum + item.price, 0);
+                itemsArray = pricedItems.map(item => item.name);
+
+            } else if (subcommand === 'bundle') {
+                // Bundle purchase, priced from FNBR unless the price was given
+                const bundleName = interaction.options.getString('name').trim();
+                const knownPrice = interaction.options.getInteger('price');
+
+                let bundle;
+                if (knownPrice) {
+                    bundle = { name: bundleName, type: 'bundle', price: knownPrice, pricingSource: 'manual' };
+                } else {
+                    try {
+                        bundle = await apiHandler.getBundleWithPricing(bundleName);
+                    } catch (error) {
+                        logger.error('API error during bundle pricing:', error);
+                        return interaction.editReply({
+                            content: '❌ API error occurred while looking up the bundle price. Please try again later.',
+                            ephemeral: true
+                        });
+                    }
+
+                    if (!bundle) {
+                        return interaction.editReply({
+                            content: `❌ No price found for bundle **${bundleName}**.\nCheck the spelling, or add the \`price\` option with the bundle's V-Bucks price.`,
+                            ephemeral: true
+                        });
+                    }
                 }
 
-                vbucksSpent = searchResult.price;
-                itemsArray = [searchResult.name];
+                pricedItems.push(bundle);
+                vbucksSpent = bundle.price;
+                itemsArray = [`${bundle.name} (Bundle)`];
 
             } else if (subcommand === 'vbucks') {
                 // V-Bucks-based purchase
@@ -151,41 +279,22 @@ module.exports = {
                 itemsArray = [`${vbucksSpent} V-Bucks (manual entry)`];
             }
 
-            // Calculate entries
-            const entriesEarned = Math.floor(vbucksSpent / giveaway.vbucksPerEntry);
-
-            if (entriesEarned === 0) {
-                return interaction.editReply({
-                    content: `❌ Purchase amount (${vbucksSpent} V-Bucks) is less than the required V-Bucks per entry (${giveaway.vbucksPerEntry}).\nNo entries would be earned from this purchase.`,
-                    ephemeral: true
-                });
-            }
+            // Role multipliers use the member's roles at the time the purchase is recorded
+            const member = await eligibility.fetchMember(interaction.guild, targetUser.id);
 
-            // Create purchase data
-            const purchaseData = {
+            // The purchase and the participant update are committed together, or not at all
+            const { purchase: createdPurchase, vbucksBalance, bonusEntries } = await database.recordPurchase({
                 giveawayId: giveaway.id,
                 userId: targetUser.id,
                 vbucksSpent: vbucksSpent,
-                entriesEarned: entriesEarned,
                 items: itemsArray,
                 addedBy: interaction.user.id
-            };
-
-            // FIXED: Create purchase WITHOUT automatic participant update to avoid double entries
-            const createdPurchase = await database.createPurchaseWithoutUpdate(purchaseData);
-
-            // FIXED: Now manually update participant data with user info (single update)
-            await database.updateGiveawayParticipantWithUserInfo(
-                giveaway.id,
-                targetUser.id,
-                entriesEarned,
-                vbucksSpent,
-                {
-                    username: targetUser.username,
-                    displayName: targetUser.displayName || targetUser.username,
-                    discriminator: targetUser.discriminator
-                }
-            );
+            }, {
+                username: targetUser.username,
+                displayName: targetUser.displayName || targetUser.username,
+                discriminator: targetUser.discriminator,
+                roleIds: member ? [...member.roles.cache.keys()] : []
+            });
 
             // Create success embed
             const embed = new EmbedBuilder()
@@ -201,7 +310,8 @@ module.exports = {
                             `**Giveaway:** ${giveaway.name} (\`${giveaway.id}\`)`,
                             `**Items:** ${itemsArray.join(', ')}`,
                             `**V-Bucks Spent:** ${vbucksSpent}`,
-                            `**Entries Earned:** ${entriesEarned}`
+                            `**Entries Earned:** ${createdPurchase.entriesEarned}${bonusEntries > 0 ? ` (+${bonusEntries} role bonus)` : ''}`,
+                            `**Carried Over:** ${vbucksBalance} V-Bucks (${createdPurchase.vbucksPerEntry - vbucksBalance} more for the next entry)`
                         ].join('\n'),
                         inline: false
                     }
@@ -213,18 +323,27 @@ module.exports = {
                 });
 
             // Add item details if found via search
-            if (searchResult) {
+            if (pricedItems.length === 1) {
+                const [item] = pricedItems;
                 embed.addFields({
                     name: '🎮 Item Information',
                     value: [
-                        `**Name:** ${searchResult.name}`,
-                        `**Type:** ${searchResult.type}`,
-                        `**Rarity:** ${searchResult.rarity}`,
-                        `**Series:** ${searchResult.series || 'None'}`,
-                        `**Price Source:** ${searchResult.pricingSource}`
+                        `**Name:** ${item.name}`,
+                        `**Type:** ${item.type}`,
+                        `**Rarity:** ${item.rarity || 'Unknown'}`,
+                        `**Series:** ${item.series || 'None'}`,
+                        `**Price Source:** ${item.pricingSource}`
                     ].join('\n'),
                     inline: true
                 });
+            } else if (pricedItems.length > 1) {
+                embed.addFields({
+                    name: `🎮 Items (${pricedItems.length})`,
+                    value: pricedItems
+                        .map(item => `**${item.name}** • ${item.type} • ${item.price} V-Bucks (${item.pricingSource})`)
+                        .join('\n'),
+                    inline: true
+                });
             }
 
             // Get updated giveaway stats
@@ -260,5 +379,27 @@ module.exports = {
                 await interaction.reply(errorMessage);
             }
         }
+    },
+
+    getItemFilters(interaction) {
+        const filters = {};
+        for (const key of ['type', 'rarity', 'series']) {
+            const value = interaction.options.getString(key);
+            if (value) filters[key] = value;
+        }
+        return filters;
+    },
+
+    // A picked suggestion submits the cosmetic ID. Typed text is only accepted when it is the
+    // exact name of a single item, so a near miss is never recorded as some other cosmetic.
+    async resolveItem(input, filters) {
+        const byId = await database.getCosmeticById(input);
+        if (byId) return { item: byId, matches: [byId] };
+
+        const name = input.trim().toLowerCase();
+        const matches = (await database.searchCosmetics(null, filters))
+            .filter(item => item.name.toLowerCase() === name);
+
+        return { item: matches.length === 1 ? matches[0] : null, matches };
     }
 };
\ No newline at end of file
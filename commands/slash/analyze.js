@@ -1,6 +1,14 @@
 const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const messageValidator = require('../../utils/messageValidator');
+const messageCache = require('../../utils/messageCache');
+const imageHash = require('../../utils/imageHash');
+const eligibility = require('../../utils/eligibility');
 const logger = require('../../utils/logger');
 
+const MAX_DUPLICATES_SHOWN = 5;
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('analyze')
@@ -25,8 +33,33 @@ module.exports = {
         .addStringOption(option =>
             option.setName('end-time')
                 .setDescription('End time (HH:MM AM/PM format)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('apply-to-giveaway')
+                .setDescription('Grant entries for valid submissions in this giveaway (ID or name)')
+                .setAutocomplete(true)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('entries-per-message')
+                .setDescription('Entries granted per valid message (default: 1)')
+                .setMinValue(1)
+                .setMaxValue(100)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('max-entries-per-user')
+                .setDescription('Cap on submission entries per user in the giveaway')
+                .setMinValue(1)
+                .setMaxValue(10000)
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('rescan')
+                .setDescription('Ignore the message cache and rescan the channel history')
                 .setRequired(false)),
 
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
     async execute(interaction, bot) {
         try {
             await interaction.deferReply();
@@ -36,6 +69,24 @@ module.exports = {
             const startTime = interaction.options.getString('start-time');
             const endDate = interaction.options.getString('end-date');
             const endTime = interaction.options.getString('end-time');
+            const giveawayInput = interaction.options.getString('apply-to-giveaway');
+            const entriesPerMessage = interaction.options.getInteger('entries-per-message') || 1;
+            const maxEntriesPerUser = interaction.options.getInteger('max-entries-per-user');
+            const rescan = interaction.options.getBoolean('rescan') || false;
+
+            // Resolve the target giveaway before spending time on the scan
+            let giveaway = null;
+            if (giveawayInput) {
+                giveaway = await giveawayResolver.resolveFromInteraction(interaction, 'apply-to-giveaway');
+                if (!giveaway) return;
+
+                if (giveaway.winner) {
+                    return interaction.editReply({
+                        content: `❌ **${giveaway.name}** already has a winner. Submission entries can only be applied before the spin.`,
+                        ephemeral: true
+                    });
+                }
+            }
 
             // Validate date/time formats
             let after = null;
@@ -79,8 +130,8 @@ module.exports = {
 
             await interaction.editReply({ embeds: [analysisEmbed] });
 
-            // Fetch messages with pagination
-            const analysisResult = await this.analyzeChannelMessages(channel, after, before);
+            // Scan messages through the persistent message cache
+            const analysisResult = await this.analyzeChannelMessages(channel, after, before, rescan, giveaway);
 
             // Create detailed results embed
             const resultsEmbed = new EmbedBuilder()
@@ -103,7 +154,8 @@ module.exports = {
                             `👥 **Total Participants:** ${analysisResult.participants.size}`,
                             `✅ **Valid Messages (Image/Video):** ${analysisResult.validMessages}`,
                             `❌ **Invalid Messages:** ${analysisResult.invalidMessages}`,
-                            `📊 **Total Messages Scanned:** ${analysisResult.totalMessages}`
+                            `📊 **Total Messages Scanned:** ${analysisResult.totalMessages}`,
+                            `📥 **Fetched from Discord:** ${analysisResult.fetchedMessages} (rest from cache)`
                         ].join('\n'),
                         inline: false
                     }
@@ -144,6 +196,87 @@ module.exports = {
                 }
             }
 
+            if (giveaway) {
+                // Members are fetched outside the transaction that writes the grants
+                const ineligible = new Map();
+                for (const [userId, details] of analysisResult.participantDetails) {
+                    if (details.user.bot) continue;
+
+                    const reasons = await eligibility.checkUser(channel.guild, giveaway, userId);
+                    if (reasons.length > 0) ineligible.set(userId, reasons);
+                }
+
+                await this.hashNewMessages(analysisResult, ineligible);
+
+                const applied = await this.applyToGiveaway(giveaway, analysisResult, {
+                    channel,
+                    entriesPerMessage,
+                    maxEntriesPerUser,
+                    ineligible,
+                    addedBy: interaction.user.id
+                });
+
+                const grantLines = applied.grants
+                    .slice(0, 10)
+                    .map(grant => `<@${grant.userId}> +${grant.entriesEarned} entries (${grant.messageIds.length} messages)`);
+
+                if (applied.grants.length > 10) {
+                    grantLines.push(`...and ${applied.grants.length - 10} more`);
+                }
+
+                resultsEmbed.addFields({
+                    name: `🎟️ Applied to ${giveaway.name}`,
+                    value: [
+                        `**Entries per Message:** ${entriesPerMessage}`,
+                        `**Cap per User:** ${maxEntriesPerUser ? `${maxEntriesPerUser} entries` : 'None'}`,
+                        `**Users Granted:** ${applied.grants.length}`,
+                        `**Entries Granted:** ${applied.totalEntries}`,
+                        `**Already Counted (skipped):** ${applied.skippedUsed} messages`,
+                        `**Over Cap (skipped):** ${applied.skippedCapped} messages`,
+                        `**Not Eligible (skipped):** ${ineligible.size} users`,
+                        '',
+                        grantLines.join('\n') || 'No new entries to grant.'
+                    ].join('\n'),
+                    inline: false
+                });
+
+                if (ineligible.size > 0) {
+                    const ineligibleLines = [...ineligible.entries()]
+                        .slice(0, 10)
+                        .map(([userId, reasons]) => `<@${userId}>: ${reasons.join('; ')}`);
+
+                    if (ineligible.size > 10) {
+                        ineligibleLines.push(`...and ${ineligible.size - 10} more`);
+                    }
+
+                    resultsEmbed.addFields({
+                        name: '🚫 Not Eligible',
+                        value: ineligibleLines.join('\n').slice(0, 1024),
+                        inline: false
+                    });
+                }
+            }
+
+            // Checked after applying, so images reused between users of this scan are caught too.
+            // Only messages hashed for the giveaway are checked; a plain scan has no hashes
+            const duplicates = this.findDuplicateImages(analysisResult);
+            if (duplicates.length > 0) {
+                const duplicateLines = duplicates
+                    .slice(0, MAX_DUPLICATES_SHOWN)
+                    .map(({ message, userId, match }) =>
+                        `<@${userId}> [message](${message.url}) matches ${imageHash.formatDuplicates([match])}`);
+
+                if (duplicates.length > MAX_DUPLICATES_SHOWN) {
+                    duplicateLines.push(`...and ${duplicates.length - MAX_DUPLICATES_SHOWN} more`);
+                }
+
+                resultsEmbed.addFields({
+                    name: `⚠️ Possible Duplicate Images (${duplicates.length})`,
+                    value: duplicateLines.join('\n').slice(0, 1024),
+                    inline: false
+                });
+            }
+
             await interaction.editReply({ embeds: [resultsEmbed] });
 
             logger.info(`Channel analysis completed: ${channel.name} - ${analysisResult.participants.size} participants, ${analysisResult.validMessages} valid messages`);
@@ -175,123 +308,187 @@ module.exports = {
         }
     },
 
-    async analyzeChannelMessages(channel, after = null, before = null) {
+    async analyzeChannelMessages(channel, after = null, before = null, rescan = false, giveaway = null) {
         const startTime = Date.now();
         const participants = new Set();
         const participantDetails = new Map();
-        let totalMessages = 0;
         let validMessages = 0;
         let invalidMessages = 0;
 
-        try {
-            const fetchOptions = { limit: 100 };
-            if (after) fetchOptions.after = after.getTime();
-            if (before) fetchOptions.before = before.getTime();
-
-            let lastMessageId = null;
-            let hasMore = true;
-
-            while (hasMore) {
-                const options = { ...fetchOptions };
-                if (lastMessageId) {
-                    options.before = lastMessageId;
-                }
-
-                const messages = await channel.messages.fetch(options);
-                
-                if (messages.size === 0) {
-                    hasMore = false;
-                    break;
-                }
-
-                for (const [messageId, message] of messages) {
-                    // Skip if message is outside date range
-                    if (after && message.createdAt < after) continue;
-                    if (before && message.createdAt > before) continue;
-
-                    totalMessages++;
-                    const isValid = this.isValidMessage(message);
-                    
-                    if (isValid) {
-                        validMessages++;
-                    } else {
-                        invalidMessages++;
-                    }
-
-                    // Track participant
-                    participants.add(message.author.id);
-                    
-                    if (!participantDetails.has(message.author.id)) {
-                        participantDetails.set(message.author.id, {
-                            user: message.author,
-                            messages: []
-                        });
-                    }
-
-                    participantDetails.get(message.author.id).messages.push({
-                        id: messageId,
-                        content: message.content,
-                        attachments: message.attachments.size,
-                        timestamp: message.createdAt,
-                        valid: isValid,
-                        url: message.url
-                    });
-                }
+        // Only messages newer than the last scan (or older than the cached history) hit the API
+        let { messages, fetched } = await messageCache.getMessages(channel, { after, before, rescan });
+
+        // Messages that can still earn entries are checked against Discord before they're counted,
+        // so posts deleted or edited while the bot was offline aren't applied from a stale cache
+        let currentMessages = new Map();
+        if (giveaway) {
+            const usedMessageIds = await database.getUsedSubmissionMessageIds(giveaway.id);
+            const pendingIds = new Set(messages
+                .filter(m => !m.authorBot && !usedMessageIds.has(m.id))
+                .map(m => m.id));
+
+            currentMessages = await messageCache.revalidate(channel, [...pendingIds]);
+            messages = messages
+                .filter(m => !pendingIds.has(m.id) || currentMessages.has(m.id))
+                .map(m => currentMessages.has(m.id)
+                    ? { ...messageCache.toEntry(currentMessages.get(m.id)), timestamp: m.timestamp }
+                    : m);
+        }
 
-                lastMessageId = messages.last()?.id;
-                hasMore = messages.size === fetchOptions.limit;
+        for (const message of messages) {
+            if (message.valid) {
+                validMessages++;
+            } else {
+                invalidMessages++;
+            }
 
-                // Add small delay to respect rate limits
-                await new Promise(resolve => setTimeout(resolve, 100));
+            // Track participant
+            participants.add(message.authorId);
+
+            if (!participantDetails.has(message.authorId)) {
+                participantDetails.set(message.authorId, {
+                    user: {
+                        id: message.authorId,
+                        username: message.authorUsername,
+                        displayName: message.authorDisplayName,
+                        discriminator: message.authorDiscriminator,
+                        bot: message.authorBot
+                    },
+                    messages: []
+                });
             }
 
-        } catch (error) {
-            logger.error('Error fetching messages:', error);
-            throw error;
+            participantDetails.get(message.authorId).messages.push({
+                id: message.id,
+                attachments: message.attachments,
+                timestamp: message.timestamp,
+                valid: message.valid,
+                url: message.url,
+                imageHashes: []
+            });
         }
 
         return {
             participants,
             participantDetails,
-            totalMessages,
+            totalMessages: messages.length,
             validMessages,
             invalidMessages,
+            fetchedMessages: fetched,
+            currentMessages,
             duration: Date.now() - startTime
         };
     },
 
-    isValidMessage(message) {
-        // Check for images or videos in attachments
-        if (message.attachments.size > 0) {
-            for (const attachment of message.attachments.values()) {
-                const contentType = attachment.contentType?.toLowerCase() || '';
-                const name = attachment.name?.toLowerCase() || '';
-                
-                // Image types
-                if (contentType.startsWith('image/') || 
-                    name.match(/\.(png|jpg|jpeg|gif|webp|bmp)$/)) {
-                    return true;
-                }
-                
-                // Video types
-                if (contentType.startsWith('video/') || 
-                    name.match(/\.(mp4|mov|webm|avi|mkv)$/)) {
-                    return true;
-                }
+    // The cache only keeps metadata, so the images of messages that can still earn entries are
+    // hashed here from the revalidated messages, outside the transaction, like live submissions
+    async hashNewMessages(analysisResult, ineligible) {
+        for (const [userId, details] of analysisResult.participantDetails) {
+            if (details.user.bot || ineligible.has(userId)) continue;
+
+            for (const entry of details.messages) {
+                const message = analysisResult.currentMessages.get(entry.id);
+                if (!entry.valid || !message) continue;
+
+                entry.imageHashes = await imageHash.hashMessage(message);
             }
         }
+    },
 
-        // Check for embedded images/videos (from links)
-        if (message.embeds.length > 0) {
-            for (const embed of message.embeds) {
-                if (embed.image || embed.video || embed.thumbnail) {
-                    return true;
+    // Store one submission record per user so recalculateGiveawayEntries and /stats pick the entries up
+    async applyToGiveaway(giveaway, analysisResult, { channel, entriesPerMessage, maxEntriesPerUser, ineligible = new Map(), addedBy }) {
+        // One transaction, so the used-message and cap checks can't race a live submission
+        // and a failed write leaves none of the grants behind
+        const { grants, skippedUsed, skippedCapped } = await database.transaction(async () => {
+            const usedMessageIds = await database.getUsedSubmissionMessageIds(giveaway.id);
+            const existing = await database.getPurchasesByGiveaway(giveaway.id);
+            const grants = [];
+            let skippedUsed = 0;
+            let skippedCapped = 0;
+
+            for (const [userId, details] of analysisResult.participantDetails) {
+                if (details.user.bot || ineligible.has(userId)) continue;
+
+                // Oldest first, so the cap keeps the earliest submissions
+                const validMessages = details.messages
+                    .filter(m => m.valid)
+                    .sort((a, b) => a.timestamp - b.timestamp);
+                const newMessages = validMessages.filter(m => !usedMessageIds.has(m.id));
+                skippedUsed += validMessages.length - newMessages.length;
+
+                let counted = newMessages;
+                let entriesEarned = newMessages.length * entriesPerMessage;
+
+                if (maxEntriesPerUser) {
+                    const alreadyGranted = existing
+                        .filter(p => database.isSubmission(p) && p.userId === userId)
+                        .reduce((sum, p) => sum + p.entriesEarned, 0);
+                    const remaining = Math.max(0, maxEntriesPerUser - alreadyGranted);
+
+                    counted = newMessages.slice(0, Math.ceil(remaining / entriesPerMessage));
+                    skippedCapped += newMessages.length - counted.length;
+                    entriesEarned = Math.min(counted.length * entriesPerMessage, remaining);
                 }
+
+                if (entriesEarned === 0) continue;
+
+                const submission = await database.createPurchaseWithoutUpdate({
+                    giveawayId: giveaway.id,
+                    userId,
+                    vbucksSpent: 0,
+                    entriesEarned,
+                    items: [],
+                    addedBy,
+                    source: 'submission',
+                    channelId: channel.id,
+                    entriesPerMessage,
+                    messageIds: counted.map(m => m.id),
+                    evidence: counted.map(m => m.url),
+                    imageHashes: counted.flatMap(m => m.imageHashes)
+                });
+
+                await database.updateGiveawayParticipantWithUserInfo(
+                    giveaway.id,
+                    userId,
+                    entriesEarned,
+                    0,
+                    {
+                        username: details.user.username,
+                        displayName: details.user.displayName || details.user.username,
+                        discriminator: details.user.discriminator
+                    }
+                );
+
+                grants.push(submission);
+            }
+
+            return { grants, skippedUsed, skippedCapped };
+        });
+
+        const totalEntries = grants.reduce((sum, grant) => sum + grant.entriesEarned, 0);
+        logger.info(`Applied analysis of #${channel.name} to ${giveaway.id}: ${grants.length} users, ${totalEntries} entries`);
+
+        return { grants, totalEntries, skippedUsed, skippedCapped };
+    },
+
+    // Hashed messages whose images look like one stored anywhere else, with the oldest match
+    findDuplicateImages(analysisResult) {
+        const duplicates = [];
+
+        for (const [userId, details] of analysisResult.participantDetails) {
+            for (const message of details.messages) {
+                if (!message.valid) continue;
+
+                const [match] = imageHash.findDuplicates(message.imageHashes, { exclude: message.id });
+                if (match) duplicates.push({ message, userId, match });
             }
         }
 
-        // Text-only messages, stickers, or other content types are invalid
-        return false;
+        return duplicates;
+    },
+
+    isValidMessage(message) {
+        return messageValidator.isValidMessage(message);
     },
 
     validateDate(dateStr) {
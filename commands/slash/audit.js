@@ -0,0 +1,173 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const audit = require('../../utils/audit');
+const logger = require('../../utils/logger');
+
+const MAX_CHANGES_SHOWN = 4;
+const MAX_VALUE_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 4000;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('audit')
+        .setDescription('Show who changed giveaways and purchases')
+        .addStringOption(option =>
+            option.setName('giveaway')
+                .setDescription('Only changes to this giveaway and its purchases (ID or name)')
+                .setAutocomplete(true)
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Only changes affecting this participant')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('actor')
+                .setDescription('Only changes made by this user')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('actor-type')
+                .setDescription('Only changes made from this source')
+                .addChoices(
+                    { name: 'Discord user', value: 'user' },
+                    { name: 'Terminal', value: 'terminal' },
+                    { name: 'Scheduler', value: 'scheduler' },
+                    { name: 'System', value: 'system' }
+                )
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('limit')
+                .setDescription('Number of entries to show (default: 10)')
+                .setMinValue(1)
+                .setMaxValue(25)
+                .setRequired(false)),
+
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const giveawayInput = interaction.options.getString('giveaway');
+            const user = interaction.options.getUser('user');
+            const actor = interaction.options.getUser('actor');
+            const actorType = interaction.options.getString('actor-type');
+            const limit = interaction.options.getInteger('limit') || 10;
+
+            // Deleted giveaways can't be resolved like live ones, but their ID still matches the log
+            let giveawayId = null;
+            if (giveawayInput) {
+                const trashed = await database.getTrashEntry(giveawayInput.trim());
+                const { giveaway, candidates } = trashed ? {} : giveawayResolver.resolve(giveawayInput);
+
+                if (candidates) {
+                    const picked = await giveawayResolver.resolveFromInteraction(interaction);
+                    if (!picked) return;
+                    giveawayId = picked.id;
+                } else {
+                    giveawayId = trashed?.giveaway.id || giveaway?.id || giveawayInput.trim();
+                }
+            }
+
+            const entries = await audit.query({
+                giveawayId,
+                userId: user?.id,
+                actorId: actor?.id,
+                actorType,
+                limit
+            });
+
+            const filters = [
+                giveawayId && `Giveaway: \`${giveawayId}\``,
+                user && `User: ${user}`,
+                actor && `Actor: ${actor}`,
+                actorType && `Source: ${actorType}`
+            ].filter(Boolean);
+
+            const embed = new EmbedBuilder()
+                .setColor('#17A2B8')
+                .setTitle('📜 Audit Log')
+                .setFooter({ text: filters.length > 0 ? `Filtered by ${filters.length} option(s)` : 'All changes' })
+                .setTimestamp();
+
+            if (filters.length > 0) {
+                embed.addFields({ name: '🔍 Filters', value: filters.join('\n'), inline: false });
+            }
+
+            if (entries.length === 0) {
+                embed.setDescription('No matching changes were recorded.');
+                return interaction.editReply({ embeds: [embed] });
+            }
+
+            let description = '';
+            let shown = 0;
+            for (const entry of entries) {
+                const block = this.formatEntry(entry);
+                if (description.length + block.length > MAX_DESCRIPTION_LENGTH) break;
+
+                description += block;
+                shown++;
+            }
+
+            if (shown < entries.length) {
+                description += `\n*${entries.length - shown} more entries did not fit - narrow the filters to see them.*`;
+            }
+
+            embed.setDescription(description);
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            logger.error('Failed to read audit log:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to read the audit log. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    formatEntry(entry) {
+        const timestamp = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+        const record = entry.store === 'giveaways' ? 'giveaway' : 'purchase';
+        const lines = [
+            `<t:${timestamp}:f> **${entry.action}** ${record} \`${entry.recordId}\` by ${this.formatActor(entry.actor)}`
+        ];
+
+        // Creates and deletes list every field, so only updates get the field-by-field view.
+        // updatedAt changes with every update and says nothing the entry's own timestamp doesn't.
+        const fields = Object.entries(entry.changes || {}).filter(([field]) => field !== 'updatedAt');
+        if (entry.action === 'update') {
+            fields.slice(0, MAX_CHANGES_SHOWN).forEach(([field, { before, after }]) => {
+                lines.push(`• \`${field}\`: ${this.formatValue(before)} → ${this.formatValue(after)}`);
+            });
+
+            if (fields.length > MAX_CHANGES_SHOWN) {
+                lines.push(`• ...and ${fields.length - MAX_CHANGES_SHOWN} more field(s)`);
+            }
+        } else if (entry.store === 'purchases') {
+            const values = entry.action === 'create'
+                ? Object.fromEntries(fields.map(([field, { after }]) => [field, after]))
+                : Object.fromEntries(fields.map(([field, { before }]) => [field, before]));
+            lines.push(`• <@${values.userId}> - ${values.vbucksSpent || 0} V-Bucks, ${values.entriesEarned || 0} entries`);
+        }
+
+        return lines.join('\n') + '\n\n';
+    },
+
+    formatActor(actor) {
+        return actor?.type === 'user' ? `<@${actor.id}>` : audit.formatActor(actor);
+    },
+
+    formatValue(value) {
+        const text = value === null ? '*none*' : `\`${JSON.stringify(value)}\``;
+        return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 2)}…\`` : text;
+    }
+};
@@ -0,0 +1,390 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const backup = require('../../utils/backup');
+const database = require('../../utils/database');
+const scheduler = require('../../utils/scheduler');
+const audit = require('../../utils/audit');
+const logger = require('../../utils/logger');
+
+const MAX_BACKUPS_LISTED = 15;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('backup')
+        .setDescription('Backup management operations')
+        .addSubcommand(subcommand =>
+            subcommand.setName('create')
+                .setDescription('Create a manual backup of all data files'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List available backups'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('info')
+                .setDescription('Show details about a backup')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Backup file name (from /backup list)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('verify')
+                .setDescription('Check that a backup can be read and restored')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Backup file name (from /backup list)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('restore')
+                .setDescription('Restore all data files from a backup (with confirmation)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Backup file name (from /backup list)')
+                        .setRequired(true))),
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'create':
+                    return this.handleCreate(interaction);
+                case 'list':
+                    return this.handleList(interaction);
+                case 'info':
+                    return this.handleInfo(interaction);
+                case 'verify':
+                    return this.handleVerify(interaction);
+                case 'restore':
+                    return this.handleRestore(interaction);
+            }
+
+        } catch (error) {
+            logger.error('Failed to run backup command:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to run backup operation. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    async handleCreate(interaction) {
+        const created = await backup.createBackup('manual');
+
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('💾 Backup Created')
+            .addFields(
+                { name: '📁 Name', value: `\`${created.name}\``, inline: false },
+                { name: '📦 Size', value: `${Math.round(created.size / 1024)} KB`, inline: true },
+                { name: '🏷️ Type', value: created.type, inline: true }
+            )
+            .setTimestamp()
+            .setFooter({
+                text: `Created by ${interaction.user.tag}`,
+                iconURL: interaction.user.displayAvatarURL()
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+
+        logger.backup(`Manual backup ${created.name} created by ${interaction.user.tag}`);
+    },
+
+    async handleList(interaction) {
+        const backups = await backup.listBackups();
+
+        if (backups.length === 0) {
+            return interaction.editReply({
+                content: '📭 No backups found. Use `/backup create` to make one.'
+            });
+        }
+
+        const stats = await backup.getBackupStats();
+        const shown = backups.slice(0, MAX_BACKUPS_LISTED);
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099FF')
+            .setTitle('💾 Available Backups')
+            .setDescription(shown.map(entry =>
+                `\`${entry.name}\`\n└ ${entry.type} • ${entry.sizeKB} KB • <t:${Math.floor(entry.modified.getTime() / 1000)}:R>`
+            ).join('\n'))
+            .addFields({
+                name: '📊 Summary',
+                value: [
+                    `**Total Backups:** ${stats.totalBackups}`,
+                    `**Total Size:** ${stats.totalSizeKB} KB`,
+                    `**By Type:** ${Object.entries(stats.byType).map(([type, { count }]) => `${type} (${count})`).join(', ')}`,
+                    `**Retention:** ${stats.retentionDays} days`
+                ].join('\n'),
+                inline: false
+            })
+            .setTimestamp();
+
+        if (backups.length > shown.length) {
+            embed.setFooter({ text: `Showing ${shown.length} of ${backups.length} backups (newest first)` });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleInfo(interaction) {
+        const name = await this.resolveBackupName(interaction);
+        if (!name) return;
+
+        const info = await backup.getBackupInfo(name);
+        if (!info) {
+            return interaction.editReply({
+                content: `❌ Could not read backup: **${name}**`,
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099FF')
+            .setTitle('💾 Backup Info')
+            .addFields(
+                { name: '📁 Name', value: `\`${info.name}\``, inline: false },
+                { name: '📦 Size', value: `${info.sizeKB} KB${info.compressed ? ' (compressed)' : ''}`, inline: true },
+                { name: '📅 Modified', value: `<t:${Math.floor(info.modified.getTime() / 1000)}:f>`, inline: true }
+            )
+            .setTimestamp();
+
+        if (info.metadata) {
+            embed.addFields({
+                name: '📋 Metadata',
+                value: [
+                    `**Type:** ${info.metadata.type}`,
+                    `**Taken:** ${new Date(info.metadata.timestamp).toLocaleString()}`,
+                    `**Version:** ${info.metadata.version}`,
+                    `**Files:** ${(info.metadata.files || []).join(', ') || 'None'}`
+                ].join('\n'),
+                inline: false
+            });
+        } else {
+            embed.addFields({
+                name: '⚠️ Metadata',
+                value: 'Metadata could not be read. Run `/backup verify` to check this backup.',
+                inline: false
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleVerify(interaction) {
+        const name = await this.resolveBackupName(interaction);
+        if (!name) return;
+
+        const result = await backup.verifyBackup(name);
+
+        const embed = new EmbedBuilder()
+            .setColor(result.valid ? '#28A745' : '#DC3545')
+            .setTitle(result.valid ? '✅ Backup Verified' : '❌ Backup Invalid')
+            .setDescription(`\`${name}\``)
+            .setTimestamp();
+
+        if (result.valid) {
+            embed.addFields(
+                { name: '📋 Type', value: result.metadata.type, inline: true },
+                { name: '📅 Taken', value: new Date(result.metadata.timestamp).toLocaleString(), inline: true },
+                { name: '📂 Data Files', value: `${result.filesCount}`, inline: true }
+            );
+
+            if (result.missingFiles.length > 0) {
+                embed.addFields({
+                    name: '⚠️ Missing Files',
+                    value: result.missingFiles.join(', '),
+                    inline: false
+                });
+            }
+        } else {
+            embed.addFields({ name: '❗ Error', value: result.error, inline: false });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleRestore(interaction) {
+        const name = await this.resolveBackupName(interaction);
+        if (!name) return;
+
+        // Never offer to restore something that would fail halfway through
+        const verification = await backup.verifyBackup(name);
+        if (!verification.valid) {
+            return interaction.editReply({
+                content: `❌ Backup **${name}** failed verification: ${verification.error}`,
+                ephemeral: true
+            });
+        }
+
+        const confirmEmbed = new EmbedBuilder()
+            .setColor('#FFC107')
+            .setTitle('⚠️ Confirm Backup Restore')
+            .setDescription('Are you sure you want to **overwrite all current data** with this backup?')
+            .addFields(
+                {
+                    name: '💾 Backup to Restore',
+                    value: [
+                        `**Name:** \`${name}\``,
+                        `**Type:** ${verification.metadata.type}`,
+                        `**Taken:** ${new Date(verification.metadata.timestamp).toLocaleString()}`,
+                        `**Data Files:** ${verification.filesCount}`
+                    ].join('\n'),
+                    inline: false
+                },
+                {
+                    name: '🛟 Safety Backup',
+                    value: 'A `pre-restore` backup of the current data is taken first, so this can be undone with another restore.',
+                    inline: false
+                }
+            )
+            .setTimestamp();
+
+        const confirmRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('backup_restore_confirm')
+                    .setLabel('♻️ Restore Backup')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId('backup_cancel')
+                    .setLabel('❌ Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        const message = await interaction.editReply({
+            embeds: [confirmEmbed],
+            components: [confirmRow]
+        });
+
+        const collector = message.createMessageComponentCollector({
+            time: 60000 // 1 minute timeout
+        });
+
+        collector.on('collect', async (buttonInteraction) => {
+            if (buttonInteraction.user.id !== interaction.user.id) {
+                await buttonInteraction.reply({
+                    content: 'Only the command user can confirm this action.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (buttonInteraction.customId === 'backup_cancel') {
+                const cancelEmbed = new EmbedBuilder()
+                    .setColor('#6C757D')
+                    .setTitle('✅ Restore Cancelled')
+                    .setDescription('No data was changed.')
+                    .setTimestamp();
+
+                await buttonInteraction.update({
+                    embeds: [cancelEmbed],
+                    components: []
+                });
+
+                collector.stop();
+
+            } else if (buttonInteraction.customId === 'backup_restore_confirm') {
+                await audit.runAs(audit.userActor(buttonInteraction.user), () => this.executeRestore(buttonInteraction, name));
+                collector.stop();
+            }
+        });
+
+        collector.on('end', async (collected, reason) => {
+            if (reason === 'time') {
+                const timeoutEmbed = new EmbedBuilder()
+                    .setColor('#6C757D')
+                    .setTitle('⏰ Confirmation Timeout')
+                    .setDescription('Backup restore was cancelled due to timeout.')
+                    .setTimestamp();
+
+                try {
+                    await interaction.editReply({
+                        embeds: [timeoutEmbed],
+                        components: []
+                    });
+                } catch (error) {
+                    logger.debug('Could not update message after timeout:', error.message);
+                }
+            }
+        });
+    },
+
+    async executeRestore(interaction, name) {
+        try {
+            // Restoring can take a while on large data sets
+            await interaction.deferUpdate();
+
+            const result = await backup.restoreFromBackup(name);
+
+            // The files on disk changed underneath the cache and the scheduler's timers
+            await database.loadAllToCache();
+            await scheduler.rebuild();
+
+            const restoredEmbed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('♻️ Backup Restored Successfully!')
+                .setDescription(`Data was restored from \`${name}\` and reloaded.`)
+                .addFields(
+                    {
+                        name: '✅ Restored Files',
+                        value: result.restored.join('\n') || 'None',
+                        inline: true
+                    },
+                    {
+                        name: '🛟 Safety Backup',
+                        value: `\`${result.safetyBackup}\``,
+                        inline: true
+                    }
+                )
+                .setTimestamp()
+                .setFooter({
+                    text: `Restored by ${interaction.user.tag}`,
+                    iconURL: interaction.user.displayAvatarURL()
+                });
+
+            await interaction.editReply({
+                embeds: [restoredEmbed],
+                components: []
+            });
+
+            logger.backup(`Backup ${name} restored by ${interaction.user.tag} (safety backup: ${result.safetyBackup})`);
+
+        } catch (restoreError) {
+            logger.error('Failed to execute backup restore:', restoreError);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('❌ Restore Failed')
+                .setDescription(`Failed to restore the backup: ${restoreError.message}\nNothing was changed; the current data is still in place.`)
+                .setTimestamp();
+
+            await interaction.editReply({
+                embeds: [errorEmbed],
+                components: []
+            });
+        }
+    },
+
+    // Only names that exist in the backup directory are accepted, so user input can never leave it
+    async resolveBackupName(interaction) {
+        const name = interaction.options.getString('name').trim();
+        const backups = await backup.listBackups();
+
+        if (!backups.some(entry => entry.name === name)) {
+            await interaction.editReply({
+                content: `❌ Backup not found: **${name}**\nUse \`/backup list\` to see available backups.`,
+                ephemeral: true
+            });
+            return null;
+        }
+
+        return name;
+    }
+};
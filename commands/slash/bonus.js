@@ -0,0 +1,294 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const logger = require('../../utils/logger');
+
+const MAX_BONUSES_SHOWN = 15;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('bonus')
+        .setDescription('Role multipliers and bonus entries for giveaways')
+        .addSubcommand(subcommand =>
+            subcommand.setName('multiplier')
+                .setDescription('Multiply purchased entries for members with a role (1 removes the multiplier)')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
+                        .setRequired(true))
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role that earns the multiplier')
+                        .setRequired(true))
+                .addNumberOption(option =>
+                    option.setName('multiplier')
+                        .setDescription('Entry multiplier, e.g. 1.5 or 2')
+                        .setMinValue(1)
+                        .setMaxValue(10)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('label')
+                        .setDescription('Name shown on the bonus lines (default: the role name)')
+                        .setMaxLength(100)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('grant')
+                .setDescription('Give a user flat bonus entries, e.g. for an event')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User who gets the entries')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('entries')
+                        .setDescription('Number of bonus entries')
+                        .setMinValue(1)
+                        .setMaxValue(1000)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('What the bonus is for')
+                        .setMaxLength(200)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('revoke')
+                .setDescription('Remove a bonus line')
+                .addStringOption(option =>
+                    option.setName('bonus-id')
+                        .setDescription('ID of the bonus line (from /bonus list)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show the multipliers and bonus lines of a giveaway')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
+                        .setRequired(true))),
+
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'multiplier':
+                    return this.handleMultiplier(interaction);
+                case 'grant':
+                    return this.handleGrant(interaction);
+                case 'revoke':
+                    return this.handleRevoke(interaction);
+                case 'list':
+                    return this.handleList(interaction);
+            }
+
+        } catch (error) {
+            logger.error('Failed to run bonus command:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to update bonus entries. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    async handleMultiplier(interaction) {
+        const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+        if (!giveaway) return;
+
+        const role = interaction.options.getRole('role');
+        const multiplier = interaction.options.getNumber('multiplier');
+        const label = interaction.options.getString('label') || role.name;
+
+        const bonusRules = (giveaway.bonusRules || []).filter(rule => rule.roleId !== role.id);
+        if (multiplier > 1) {
+            bonusRules.push({
+                roleId: role.id,
+                multiplier,
+                label,
+                createdBy: interaction.user.id,
+                createdAt: new Date().toISOString()
+            });
+        }
+
+        await database.updateGiveaway(giveaway.id, { bonusRules });
+
+        const embed = new EmbedBuilder()
+            .setColor(multiplier > 1 ? '#00FF00' : '#FFC107')
+            .setTitle(multiplier > 1 ? '✖️ Multiplier Set' : '✖️ Multiplier Removed')
+            .setDescription(multiplier > 1
+                ? `Members with ${role} get **${multiplier}x** entries for purchases in **${giveaway.name}**.`
+                : `${role} no longer multiplies entries in **${giveaway.name}**.`)
+            .addFields({
+                name: '📜 Multipliers',
+                value: this.formatRules(bonusRules),
+                inline: false
+            })
+            .addFields({
+                name: '💡 Note',
+                value: 'Multipliers apply to purchases recorded from now on. A member with several multiplier roles gets the highest one.',
+                inline: false
+            })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+
+        logger.giveaway('UPDATED', giveaway.id, `multiplier for ${role.name}: ${multiplier}x`);
+    },
+
+    async handleGrant(interaction) {
+        const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+        if (!giveaway) return;
+
+        if (giveaway.winner) {
+            return interaction.editReply({
+                content: `❌ **${giveaway.name}** already has a winner. Bonus entries can only be given before the spin.`,
+                ephemeral: true
+            });
+        }
+
+        const user = interaction.options.getUser('user');
+        const entries = interaction.options.getInteger('entries');
+        const reason = interaction.options.getString('reason');
+
+        const bonus = await database.addBonusEntries(giveaway.id, user.id, entries, reason, interaction.user.id, {
+            username: user.username,
+            displayName: user.displayName || user.username,
+            discriminator: user.discriminator
+        });
+
+        const updatedGiveaway = await database.getGiveaway(giveaway.id);
+
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('🎁 Bonus Entries Granted')
+            .setDescription(`${user} got **${entries}** bonus entries in **${giveaway.name}**.`)
+            .addFields({
+                name: '📋 Bonus Line',
+                value: [
+                    `**Bonus ID:** \`${bonus.purchaseId}\``,
+                    `**Reason:** ${reason}`,
+                    `**${user.username}'s Entries:** ${updatedGiveaway.participants[user.id]?.entries || 0}`,
+                    `**Total Entries:** ${updatedGiveaway.totalEntries}`
+                ].join('\n'),
+                inline: false
+            })
+            .setTimestamp()
+            .setFooter({
+                text: `Granted by ${interaction.user.tag}`,
+                iconURL: interaction.user.displayAvatarURL()
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+
+        logger.purchase('BONUS', bonus.purchaseId, `${entries} entries for ${user.tag} in ${giveaway.name}: ${reason}`);
+    },
+
+    async handleRevoke(interaction) {
+        const bonusId = interaction.options.getString('bonus-id').trim();
+        const bonus = await database.getPurchase(bonusId);
+
+        if (!bonus || !database.isBonus(bonus)) {
+            return interaction.editReply({
+                content: `❌ Bonus line not found: **${bonusId}**\nUse \`/bonus list\` to see a giveaway's bonus lines.`,
+                ephemeral: true
+            });
+        }
+
+        const giveaway = await database.getGiveaway(bonus.giveawayId);
+        if (giveaway?.winner) {
+            return interaction.editReply({
+                content: `❌ **${giveaway.name}** already has a winner. Bonus entries can only be removed before the spin.`,
+                ephemeral: true
+            });
+        }
+
+        await database.deletePurchase(bonus.purchaseId);
+
+        const embed = new EmbedBuilder()
+            .setColor('#DC3545')
+            .setTitle('🗑️ Bonus Revoked')
+            .setDescription(`<@${bonus.userId}> lost **${bonus.entriesEarned}** bonus entries${giveaway ? ` in **${giveaway.name}**` : ''}.`)
+            .addFields({
+                name: '📋 Bonus Line',
+                value: [
+                    `**Bonus ID:** \`${bonus.purchaseId}\``,
+                    `**Bonus:** ${database.describeBonus(bonus)}`
+                ].join('\n'),
+                inline: false
+            })
+            .setTimestamp()
+            .setFooter({
+                text: `Revoked by ${interaction.user.tag}`,
+                iconURL: interaction.user.displayAvatarURL()
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+
+        logger.purchase('BONUS REVOKED', bonus.purchaseId, `${bonus.entriesEarned} entries for ${bonus.userId}`);
+    },
+
+    async handleList(interaction) {
+        const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+        if (!giveaway) return;
+
+        // Newest first
+        const bonuses = (await database.getPurchasesByGiveaway(giveaway.id))
+            .filter(p => database.isBonus(p))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099FF')
+            .setTitle(`🎁 Bonuses: ${giveaway.name}`)
+            .addFields({
+                name: '📜 Multipliers',
+                value: this.formatRules(giveaway.bonusRules || []),
+                inline: false
+            })
+            .setTimestamp();
+
+        if (bonuses.length > 0) {
+            const lines = bonuses.slice(0, MAX_BONUSES_SHOWN).map(bonus =>
+                `\`${bonus.purchaseId}\` <@${bonus.userId}> **+${bonus.entriesEarned}** - ${database.describeBonus(bonus)}`);
+
+            if (bonuses.length > MAX_BONUSES_SHOWN) {
+                lines.push(`...and ${bonuses.length - MAX_BONUSES_SHOWN} more`);
+            }
+
+            embed.addFields({
+                name: `🎟️ Bonus Lines (${bonuses.reduce((sum, b) => sum + b.entriesEarned, 0)} entries)`,
+                value: lines.join('\n').slice(0, 1024),
+                inline: false
+            });
+        } else {
+            embed.setDescription('No bonus entries have been given yet.');
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    formatRules(bonusRules) {
+        if (bonusRules.length === 0) return 'None';
+
+        return [...bonusRules]
+            .sort((a, b) => b.multiplier - a.multiplier)
+            .map(rule => `<@&${rule.roleId}> **${rule.multiplier}x**${rule.label ? ` (${rule.label})` : ''}`)
+            .join('\n');
+    }
+};
@@ -0,0 +1,365 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const apiHandler = require('../../utils/apiHandler');
+const scheduler = require('../../utils/scheduler');
+const claims = require('../../utils/claims');
+const eligibility = require('../../utils/eligibility');
+const imageHash = require('../../utils/imageHash');
+const logger = require('../../utils/logger');
+const addpurchase = require('./addpurchase');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('claimpurchase')
+        .setDescription('Send a purchase receipt for review to earn giveaway entries')
+        .addStringOption(option =>
+            option.setName('giveaway')
+                .setDescription('Giveaway ID or name')
+                .setAutocomplete(true)
+                .setRequired(true))
+        .addAttachmentOption(option =>
+            option.setName('receipt')
+                .setDescription('Screenshot of your purchase receipt')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('item')
+                .setDescription('Item you bought (pick one of the suggestions)')
+                .setAutocomplete(true)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('vbucks')
+                .setDescription('V-Bucks you spent (needed when the item has no known price)')
+                .setMinValue(1)
+                .setMaxValue(50000)
+                .setRequired(false)),
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+
+        if (focused.name === 'item') {
+            return addpurchase.autocompleteItem(interaction, focused.value);
+        }
+
+        return giveawayResolver.autocomplete(interaction);
+    },
+
+    async execute(interaction, bot) {
+        try {
+            // Receipts can show account details, so the exchange stays private
+            await interaction.deferReply({ ephemeral: true });
+
+            // Find giveaway
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
+
+            const scheduleWindow = scheduler.getWindowStatus(giveaway);
+            if (!giveaway.active || !scheduleWindow.open) {
+                return interaction.editReply({
+                    content: `❌ Giveaway **${giveaway.name}** is not accepting purchases right now.`
+                });
+            }
+
+            const ineligibleReasons = await eligibility.checkUser(interaction.guild, giveaway, interaction.user.id);
+            if (ineligibleReasons.length > 0) {
+                return interaction.editReply({
+                    content: `❌ You can't take part in **${giveaway.name}**:\n${ineligibleReasons.map(r => `• ${r}`).join('\n')}`
+                });
+            }
+
+            const receipt = interaction.options.getAttachment('receipt');
+            if (!receipt.contentType?.startsWith('image/')) {
+                return interaction.editReply({
+                    content: '❌ The receipt must be an image. Attach a screenshot of your purchase.'
+                });
+            }
+
+            const itemInput = interaction.options.getString('item');
+            let vbucksSpent = interaction.options.getInteger('vbucks');
+
+            if (!itemInput && !vbucksSpent) {
+                return interaction.editReply({
+                    content: '❌ Tell us what you bought: pick an `item`, enter the `vbucks` you spent, or both.'
+                });
+            }
+
+            let items = [`${vbucksSpent} V-Bucks (claimed)`];
+
+            if (itemInput) {
+                const { item, matches } = await addpurchase.resolveItem(itemInput, {});
+
+                if (!item) {
+                    return interaction.editReply({
+                        content: matches.length > 1
+                            ? `❌ **${itemInput}** matches ${matches.length} items (${matches.map(m => m.type).join(', ')}).\nPick the right one from the suggestions while typing the name.`
+                            : `❌ Item not found: **${itemInput}**\nPick an item from the suggestions while typing the name.`
+                    });
+                }
+
+                // A V-Bucks amount from the user wins; otherwise the item's price is used
+                if (!vbucksSpent) {
+                    let priced;
+                    try {
+                        priced = await apiHandler.getItemByIdWithPricing(item.id);
+                    } catch (error) {
+                        logger.error('API error during claim pricing:', error);
+                        return interaction.editReply({
+                            content: '❌ API error occurred while looking up the item price. Please try again later.'
+                        });
+                    }
+
+                    if (!priced.price || priced.price <= 0) {
+                        return interaction.editReply({
+                            content: `⚠️ No price is known for **${item.name}**.\nRun the command again with the \`vbucks\` you spent.`
+                        });
+                    }
+
+                    vbucksSpent = priced.price;
+                }
+
+                items = [item.name];
+            }
+
+            const reviewChannel = await this.getReviewChannel(interaction.client);
+            if (!reviewChannel) {
+                return interaction.editReply({
+                    content: '❌ Purchase claims are not set up on this server. Ask a mod to record your purchase.'
+                });
+            }
+
+            // Hashed before the claim is queued so the mods see reused receipts right away
+            const receiptHash = await imageHash.hashUrl(receipt.url);
+
+            const claim = await claims.submit(giveaway.id, {
+                userId: interaction.user.id,
+                username: interaction.user.username,
+                displayName: interaction.member?.displayName || interaction.user.displayName || interaction.user.username,
+                discriminator: interaction.user.discriminator,
+                items,
+                vbucksSpent,
+                receiptUrl: receipt.url,
+                imageHashes: receiptHash ? [{ hash: receiptHash, url: null }] : []
+            });
+
+            const duplicates = imageHash.findDuplicates(claim.imageHashes, { exclude: claim.claimId });
+
+            // The review message carries its own copy of the receipt
+            const extension = (receipt.name.split('.').pop() || 'png').toLowerCase();
+            const receiptName = `receipt-${claim.claimId}.${extension}`;
+
+            let reviewMessage;
+            try {
+                reviewMessage = await reviewChannel.send({
+                    embeds: [this.buildReviewEmbed(claim, giveaway, duplicates).setImage(`attachment://${receiptName}`)],
+                    components: [this.buildReviewRow(claim.claimId)],
+                    files: [{ attachment: receipt.url, name: receiptName }]
+                });
+            } catch (sendError) {
+                // Nobody could review a claim without its message, so take it back out of the queue
+                await claims.reject(claim.claimId);
+                throw sendError;
+            }
+
+            await claims.setReviewMessage(claim.claimId, reviewMessage);
+
+            const embed = new EmbedBuilder()
+                .setColor('#0099FF')
+                .setTitle('📨 Purchase Claim Sent')
+                .setDescription(`Your purchase was sent to the mods for review. You'll get a DM once it has been approved or rejected.`)
+                .addFields({
+                    name: '🧾 Claim Details',
+                    value: [
+                        `**Claim ID:** \`${claim.claimId}\``,
+                        `**Giveaway:** ${giveaway.name}`,
+                        `**Items:** ${items.join(', ')}`,
+                        `**V-Bucks Spent:** ${vbucksSpent}`
+                    ].join('\n'),
+                    inline: false
+                })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+
+            logger.purchase('CLAIMED', claim.claimId, `${vbucksSpent} V-Bucks by ${interaction.user.tag} in ${giveaway.name}`);
+
+            if (duplicates.length > 0) {
+                logger.warn(`Claim ${claim.claimId} receipt resembles ${duplicates.map(d => d.id).join(', ')}`);
+            }
+
+        } catch (error) {
+            logger.error('Failed to submit purchase claim:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to send your purchase claim. Please try again later.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    // Approve/Reject buttons on the review queue. interactionCreate routes them here by their
+    // customId, so claims can still be reviewed after the bot restarts.
+    async handleButton(interaction, bot) {
+        const [, action, claimId] = interaction.customId.split('_');
+        if (!['approve', 'reject'].includes(action)) return;
+
+        if (!interaction.member?.roles.cache.has(process.env.ADMIN_ROLE_ID)) {
+            return interaction.reply({
+                content: '❌ You do not have permission to review claims. Admin role required.',
+                ephemeral: true
+            });
+        }
+
+        // Member lookups and the approval can outlast Discord's 3-second reply window
+        await interaction.deferUpdate();
+
+        // Roles or membership may have changed while the claim waited for review
+        const pending = action === 'approve' && claims.findPending(claimId);
+        if (pending) {
+            const reasons = await eligibility.checkUser(interaction.guild, pending.giveaway, pending.claim.userId);
+            if (reasons.length > 0) {
+                return interaction.followUp({
+                    content: `❌ <@${pending.claim.userId}> can no longer take part in **${pending.giveaway.name}**:\n${reasons.map(r => `• ${r}`).join('\n')}\nReject the claim instead.`,
+                    ephemeral: true
+                });
+            }
+        }
+
+        // Role multipliers use the claimant's roles at approval time, like /addpurchase
+        const member = pending && await eligibility.fetchMember(interaction.guild, pending.claim.userId);
+
+        const result = action === 'approve'
+            ? await claims.approve(claimId, interaction.user.id, member ? [...member.roles.cache.keys()] : [])
+            : await claims.reject(claimId);
+
+        if (!result) {
+            await interaction.editReply({ components: [] });
+            return interaction.followUp({
+                content: `❌ Claim \`${claimId}\` was already reviewed or its giveaway no longer exists.`,
+                ephemeral: true
+            });
+        }
+
+        if (result.closed) {
+            return interaction.followUp({
+                content: `❌ **${result.giveaway.name}** ${result.giveaway.winner ? 'has already been drawn' : 'is closed'}, so this claim can't add entries anymore. Reject the claim instead.`,
+                ephemeral: true
+            });
+        }
+
+        const reviewed = Math.floor(Date.now() / 1000);
+        const embed = EmbedBuilder.from(interaction.message.embeds[0])
+            .setColor(action === 'approve' ? '#00FF00' : '#DC3545')
+            .addFields({
+                name: action === 'approve' ? '✅ Approved' : '🚫 Rejected',
+                value: action === 'approve'
+                    ? `By ${interaction.user} <t:${reviewed}:R> as \`${result.purchase.purchaseId}\` (${result.purchase.entriesEarned} entries${result.bonusEntries > 0 ? ` +${result.bonusEntries} role bonus` : ''})`
+                    : `By ${interaction.user} <t:${reviewed}:R>`,
+                inline: false
+            });
+
+        await interaction.editReply({ embeds: [embed], components: [] });
+
+        await this.notifyUser(interaction.client, result, action === 'approve');
+    },
+
+    async getReviewChannel(client) {
+        const channelId = process.env.CLAIMS_CHANNEL_ID;
+        if (!channelId) {
+            logger.warn('CLAIMS_CHANNEL_ID is not set; purchase claims are disabled');
+            return null;
+        }
+
+        try {
+            return await client.channels.fetch(channelId);
+        } catch (error) {
+            logger.warn(`Could not fetch claims channel ${channelId}: ${error.message}`);
+            return null;
+        }
+    },
+
+    buildReviewEmbed(claim, giveaway, duplicates) {
+        const embed = new EmbedBuilder()
+            .setColor('#FFC107')
+            .setTitle('🧾 Purchase Claim')
+            .setDescription(`<@${claim.userId}> claims a purchase in **${giveaway.name}**`)
+            .addFields({
+                name: '📋 Claim Details',
+                value: [
+                    `**Claim ID:** \`${claim.claimId}\``,
+                    `**User:** <@${claim.userId}> (${claim.username})`,
+                    `**Giveaway:** ${giveaway.name} (\`${giveaway.id}\`)`,
+                    `**Items:** ${claim.items.join(', ')}`,
+                    `**V-Bucks Spent:** ${claim.vbucksSpent}`,
+                    `**V-Bucks per Entry:** ${giveaway.vbucksPerEntry}`
+                ].join('\n'),
+                inline: false
+            })
+            .setTimestamp(new Date(claim.submittedAt));
+
+        if (duplicates.length > 0) {
+            embed.setColor('#FF8C00').addFields({
+                name: '⚠️ Possible Duplicate Receipt',
+                value: `This receipt looks like one already used:\n${imageHash.formatDuplicates(duplicates)}`,
+                inline: false
+            });
+        } else if (claim.imageHashes.length === 0) {
+            embed.addFields({
+                name: '❔ Receipt Not Checked',
+                value: 'The receipt could not be compared with earlier ones. Check it by hand.',
+                inline: false
+            });
+        }
+
+        return embed;
+    },
+
+    buildReviewRow(claimId) {
+        return new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`claimpurchase_approve_${claimId}`)
+                    .setLabel('✅ Approve')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`claimpurchase_reject_${claimId}`)
+                    .setLabel('🚫 Reject')
+                    .setStyle(ButtonStyle.Danger)
+            );
+    },
+
+    async notifyUser(client, { giveaway, claim, purchase, vbucksBalance, bonusEntries }, approved) {
+        const embed = approved
+            ? new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('✅ Purchase Claim Approved')
+                .setDescription(`Your purchase in **${giveaway.name}** was approved.`)
+                .addFields({
+                    name: '🎟️ Your Entries',
+                    value: [
+                        `**Items:** ${claim.items.join(', ')}`,
+                        `**V-Bucks Spent:** ${claim.vbucksSpent}`,
+                        `**Entries Earned:** ${purchase.entriesEarned}${bonusEntries > 0 ? ` (+${bonusEntries} role bonus)` : ''}`,
+                        `**Carried Over:** ${vbucksBalance} V-Bucks toward your next entry`
+                    ].join('\n'),
+                    inline: false
+                })
+            : new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('🚫 Purchase Claim Rejected')
+                .setDescription(`Your purchase claim for **${giveaway.name}** (${claim.items.join(', ')}) was not approved.\nIf you think this is a mistake, please contact a mod.`);
+
+        embed.setFooter({ text: `Claim ID: ${claim.claimId}` }).setTimestamp();
+
+        try {
+            const user = await client.users.fetch(claim.userId);
+            await user.send({ embeds: [embed] });
+        } catch (dmError) {
+            logger.warn(`Could not send DM about claim ${claim.claimId} to ${claim.userId}: ${dmError.message}`);
+        }
+    }
+};
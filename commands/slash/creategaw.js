@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
 const database = require('../../utils/database');
+const scheduler = require('../../utils/scheduler');
 const logger = require('../../utils/logger');
 
 module.exports = {
@@ -37,6 +38,22 @@ module.exports = {
                 .setDescription('V-Bucks required per entry (default: 100)')
                 .setMinValue(1)
                 .setMaxValue(10000)
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('winners')
+                .setDescription('Number of winners to draw (default: 1)')
+                .setMinValue(1)
+                .setMaxValue(25)
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('auto-spin')
+                .setDescription('Automatically spin the wheel when the giveaway ends (requires an end date)')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('auto-spin-delay')
+                .setDescription('Minutes to wait after the end time before auto-spinning (default: 5)')
+                .setMinValue(0)
+                .setMaxValue(1440)
                 .setRequired(false)),
 
     async execute(interaction, bot) {
@@ -51,6 +68,9 @@ module.exports = {
             const endDate = interaction.options.getString('end-date');
             const endTime = interaction.options.getString('end-time');
             const vbucksPerEntry = interaction.options.getInteger('vbucks-per-entry') || 100;
+            const winnerCount = interaction.options.getInteger('winners') || 1;
+            const autoSpin = interaction.options.getBoolean('auto-spin') || false;
+            const autoSpinDelay = interaction.options.getInteger('auto-spin-delay');
 
             // Validate date/time formats if provided
             if (startDate && !this.validateDate(startDate)) {
@@ -81,6 +101,13 @@ module.exports = {
                 });
             }
 
+            if (autoSpin && !endDate) {
+                return interaction.editReply({
+                    content: '❌ Auto-spin needs an end date. Please provide `end-date` (and optionally `end-time`).',
+                    ephemeral: true
+                });
+            }
+
             // Create giveaway data
             const giveawayData = {
                 name: name,
@@ -94,11 +121,35 @@ module.exports = {
                 participants: {},
                 totalEntries: 0,
                 createdBy: interaction.user.id,
-                winner: null
+                winner: null,
+                winnerCount: winnerCount,
+                winners: [],
+                autoSpin: autoSpin,
+                autoSpinDelayMinutes: autoSpinDelay ?? null
             };
 
+            // Validate the schedule window
+            const scheduleWindow = scheduler.getWindowStatus(giveawayData);
+            if (scheduleWindow.startsAt && scheduleWindow.endsAt && scheduleWindow.endsAt <= scheduleWindow.startsAt) {
+                return interaction.editReply({
+                    content: '❌ The end date/time must be after the start date/time.',
+                    ephemeral: true
+                });
+            }
+
+            if (scheduleWindow.state === 'ended') {
+                return interaction.editReply({
+                    content: '❌ The end date/time is already in the past.',
+                    ephemeral: true
+                });
+            }
+
+            // Giveaways with a future start stay inactive until the scheduler opens them
+            Object.assign(giveawayData, scheduler.getScheduleState(giveawayData));
+
             // Save to database
             const createdGiveaway = await database.createGiveaway(giveawayData);
+            await scheduler.scheduleGiveaway(createdGiveaway);
 
             // Create success embed
             const embed = new EmbedBuilder()
@@ -112,7 +163,9 @@ module.exports = {
                             `**ID:** \`${createdGiveaway.id}\``,
                             `**Name:** ${createdGiveaway.name}`,
                             `**Channel:** <#${createdGiveaway.channel}>`,
-                            `**V-Bucks per Entry:** ${createdGiveaway.vbucksPerEntry}`
+                            `**Status:** ${createdGiveaway.awaitingStart ? '⏳ Scheduled' : '🟢 Active'}`,
+                            `**V-Bucks per Entry:** ${createdGiveaway.vbucksPerEntry}`,
+                            `**Winners:** ${createdGiveaway.winnerCount}`
                         ].join('\n'),
                         inline: false
                     }
@@ -124,12 +177,21 @@ module.exports = {
                 });
 
             // Add scheduling info if provided
-            if (startDate || startTime) {
+            if (startDate || startTime || endDate) {
                 const scheduleInfo = [];
                 if (startDate) scheduleInfo.push(`**Start Date:** ${startDate}`);
                 if (startTime) scheduleInfo.push(`**Start Time:** ${startTime}`);
                 if (endDate) scheduleInfo.push(`**End Date:** ${endDate}`);
                 if (endTime) scheduleInfo.push(`**End Time:** ${endTime}`);
+                if (scheduleWindow.startsAt && scheduleWindow.state === 'pending') {
+                    scheduleInfo.push(`**Opens:** ${scheduler.formatTimestamp(scheduleWindow.startsAt)}`);
+                }
+                if (scheduleWindow.endsAt) {
+                    scheduleInfo.push(`**Closes:** ${scheduler.formatTimestamp(scheduleWindow.endsAt)}`);
+                }
+                if (autoSpin) {
+                    scheduleInfo.push(`**Auto-Spin:** ${autoSpinDelay ?? scheduler.defaultAutoSpinDelay} minute(s) after closing`);
+                }
 
                 embed.addFields({
                     name: '📅 Schedule',
@@ -1,35 +1,37 @@
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const scheduler = require('../../utils/scheduler');
+const audit = require('../../utils/audit');
 const logger = require('../../utils/logger');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('deletegaw')
-        .setDescription('Delete a giveaway (with confirmation)')
+        .setDescription('Move a giveaway to the trash (with confirmation)')
         .addStringOption(option =>
             option.setName('giveaway')
                 .setDescription('Giveaway ID or name to delete')
+                .setAutocomplete(true)
                 .setRequired(true))
         .addBooleanOption(option =>
             option.setName('force')
                 .setDescription('Skip confirmation prompt (dangerous!)')
                 .setRequired(false)),
 
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
     async execute(interaction, bot) {
         try {
             await interaction.deferReply();
 
-            const giveawayInput = interaction.options.getString('giveaway');
             const force = interaction.options.getBoolean('force') || false;
             
             // Find giveaway
-            const giveaway = await database.getGiveaway(giveawayInput);
-            if (!giveaway) {
-                return interaction.editReply({
-                    content: `❌ Giveaway not found: **${giveawayInput}**\nUse \`/listgaws\` to see available giveaways.`,
-                    ephemeral: true
-                });
-            }
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
 
             const participantCount = Object.keys(giveaway.participants || {}).length;
             const purchaseCount = (await database.getPurchasesByGiveaway(giveaway.id)).length;
@@ -43,7 +45,7 @@ module.exports = {
             const confirmEmbed = new EmbedBuilder()
                 .setColor('#FFC107')
                 .setTitle('⚠️ Confirm Giveaway Deletion')
-                .setDescription(`Are you sure you want to **permanently delete** this giveaway?`)
+                .setDescription(`Are you sure you want to **delete** this giveaway?`)
                 .addFields(
                     {
                         name: '🎁 Giveaway to Delete',
@@ -69,9 +71,8 @@ module.exports = {
                     {
                         name: '❗ Warning',
                         value: [
-                            '• **This action cannot be undone**',
-                            '• All participant data will be lost',
-                            '• Purchase records will remain but be orphaned',
+                            `• The giveaway and its purchase records move to the trash for **${database.trashRetentionDays} days**`,
+                            '• Use `/trash restore` to undo, after that it is gone for good',
                             '• Consider deactivating instead of deleting'
                         ].join('\n'),
                         inline: false
@@ -84,7 +85,7 @@ module.exports = {
                 .addComponents(
                     new ButtonBuilder()
                         .setCustomId(`deletegaw_confirm_${giveaway.id}`)
-                        .setLabel('🗑️ Delete Forever')
+                        .setLabel('🗑️ Move to Trash')
                         .setStyle(ButtonStyle.Danger),
                     new ButtonBuilder()
                         .setCustomId(`deletegaw_deactivate_${giveaway.id}`)
@@ -130,7 +131,7 @@ module.exports = {
                     collector.stop();
 
                 } else if (buttonInteraction.customId === `deletegaw_confirm_${giveaway.id}`) {
-                    await this.executeDelete(buttonInteraction, giveaway, participantCount, purchaseCount);
+                    await audit.runAs(audit.userActor(buttonInteraction.user), () => this.executeDelete(buttonInteraction, giveaway, participantCount, purchaseCount));
                     collector.stop();
 
                 } else if (buttonInteraction.customId === `deletegaw_deactivate_${giveaway.id}`) {
@@ -197,20 +198,25 @@ module.exports = {
         try {
             // Delete the giveaway
             const deletedGiveaway = await database.deleteGiveaway(giveaway.id);
+            scheduler.cancelGiveaway(deletedGiveaway.id);
+
+            const trashEntry = await database.getTrashEntry(deletedGiveaway.id);
+            const expiresAt = Math.floor(new Date(trashEntry.expiresAt).getTime() / 1000);
 
             // Create deletion success embed
             const deletedEmbed = new EmbedBuilder()
                 .setColor('#DC3545')
                 .setTitle('🗑️ Giveaway Deleted')
-                .setDescription(`**${deletedGiveaway.name}** has been permanently deleted.`)
+                .setDescription(`**${deletedGiveaway.name}** has been moved to the trash.`)
                 .addFields(
                     {
                         name: '📊 Deleted Data Summary',
                         value: [
-                            `**Participants Lost:** ${participantCount}`,
-                            `**Entries Lost:** ${deletedGiveaway.totalEntries || 0}`,
-                            `**Purchase Records:** ${purchaseCount} (preserved as orphaned records)`,
-                            `**Deletion Time:** ${new Date().toLocaleString()}`
+                            `**Participants:** ${participantCount}`,
+                            `**Entries:** ${deletedGiveaway.totalEntries || 0}`,
+                            `**Purchase Records:** ${purchaseCount} (moved to trash)`,
+                            `**Deletion Time:** ${new Date().toLocaleString()}`,
+                            `**Restorable Until:** <t:${expiresAt}:f> (\`/trash restore giveaway:${deletedGiveaway.id}\`)`
                         ].join('\n'),
                         inline: false
                     }
@@ -0,0 +1,223 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const database = require('../../utils/database');
+const audit = require('../../utils/audit');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('deletepurchase')
+        .setDescription('Delete a purchase and remove its entries (with confirmation)')
+        .addStringOption(option =>
+            option.setName('purchase')
+                .setDescription('Purchase ID to delete (e.g., PUR-...)')
+                .setRequired(true)),
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const purchaseId = interaction.options.getString('purchase').trim();
+
+            const purchase = await database.getPurchase(purchaseId);
+            if (!purchase) {
+                return interaction.editReply({
+                    content: `❌ Purchase not found: **${purchaseId}**\nUse \`/stats user\` to look up a user's purchases.`,
+                    ephemeral: true
+                });
+            }
+
+            const giveaway = await database.getGiveaway(purchase.giveawayId);
+            const userEntries = giveaway?.participants?.[purchase.userId]?.entries || 0;
+            const totalEntries = giveaway?.totalEntries || 0;
+
+            // Later purchases can lose entries too once the V-Bucks this one carried over are gone
+            const remaining = (await database.getPurchasesByGiveaway(purchase.giveawayId))
+                .filter(p => p.userId === purchase.userId && p.purchaseId !== purchase.purchaseId);
+            const userEntriesAfter = [...database.settlePurchases(remaining).entries.values()]
+                .reduce((sum, entries) => sum + entries, 0);
+            const entriesLost = userEntries - userEntriesAfter;
+
+            const confirmEmbed = new EmbedBuilder()
+                .setColor('#FFC107')
+                .setTitle('⚠️ Confirm Purchase Deletion')
+                .setDescription(`Are you sure you want to **permanently delete** purchase \`${purchase.purchaseId}\`?`)
+                .addFields(
+                    {
+                        name: '🧾 Purchase to Delete',
+                        value: this.formatPurchase(purchase, giveaway),
+                        inline: false
+                    },
+                    {
+                        name: '📊 Entry Impact',
+                        value: giveaway
+                            ? [
+                                `**<@${purchase.userId}>'s Entries:** ${userEntries} → ${Math.max(0, userEntriesAfter)}`,
+                                `**Total Entries:** ${totalEntries} → ${Math.max(0, totalEntries - entriesLost)}`
+                            ].join('\n')
+                            : 'The giveaway for this purchase no longer exists.',
+                        inline: false
+                    }
+                )
+                .setTimestamp();
+
+            if (giveaway?.winner) {
+                confirmEmbed.addFields({
+                    name: '❗ Warning',
+                    value: `**${giveaway.name}** already has a winner. Entries will be updated, but the drawn result will not change.`,
+                    inline: false
+                });
+            }
+
+            const confirmRow = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`deletepurchase_confirm_${purchase.purchaseId}`)
+                        .setLabel('🗑️ Delete Purchase')
+                        .setStyle(ButtonStyle.Danger),
+                    new ButtonBuilder()
+                        .setCustomId('deletepurchase_cancel')
+                        .setLabel('❌ Cancel')
+                        .setStyle(ButtonStyle.Secondary)
+                );
+
+            const message = await interaction.editReply({
+                embeds: [confirmEmbed],
+                components: [confirmRow]
+            });
+
+            const collector = message.createMessageComponentCollector({
+                time: 60000 // 1 minute timeout
+            });
+
+            collector.on('collect', async (buttonInteraction) => {
+                if (buttonInteraction.user.id !== interaction.user.id) {
+                    await buttonInteraction.reply({
+                        content: 'Only the command user can confirm this action.',
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                if (buttonInteraction.customId === 'deletepurchase_cancel') {
+                    const cancelEmbed = new EmbedBuilder()
+                        .setColor('#6C757D')
+                        .setTitle('✅ Deletion Cancelled')
+                        .setDescription(`Purchase \`${purchase.purchaseId}\` was not deleted.`)
+                        .setTimestamp();
+
+                    await buttonInteraction.update({
+                        embeds: [cancelEmbed],
+                        components: []
+                    });
+
+                    collector.stop();
+
+                } else if (buttonInteraction.customId === `deletepurchase_confirm_${purchase.purchaseId}`) {
+                    await audit.runAs(audit.userActor(buttonInteraction.user), () => this.executeDelete(buttonInteraction, purchase, giveaway, userEntries, totalEntries));
+                    collector.stop();
+                }
+            });
+
+            collector.on('end', async (collected, reason) => {
+                if (reason === 'time') {
+                    const timeoutEmbed = new EmbedBuilder()
+                        .setColor('#6C757D')
+                        .setTitle('⏰ Confirmation Timeout')
+                        .setDescription('Purchase deletion was cancelled due to timeout.')
+                        .setTimestamp();
+
+                    try {
+                        await interaction.editReply({
+                            embeds: [timeoutEmbed],
+                            components: []
+                        });
+                    } catch (error) {
+                        logger.debug('Could not update message after timeout:', error.message);
+                    }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Failed to delete purchase:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to process purchase deletion. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    async executeDelete(interaction, purchase, giveaway, userEntriesBefore, totalEntriesBefore) {
+        try {
+            // deletePurchase recalculates the giveaway's entries
+            const deletedPurchase = await database.deletePurchase(purchase.purchaseId);
+            const updatedGiveaway = await database.getGiveaway(deletedPurchase.giveawayId);
+
+            const deletedEmbed = new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('🗑️ Purchase Deleted')
+                .setDescription(`Purchase \`${deletedPurchase.purchaseId}\` has been deleted and giveaway entries were recalculated.`)
+                .addFields({
+                    name: '🧾 Deleted Purchase',
+                    value: this.formatPurchase(deletedPurchase, giveaway),
+                    inline: false
+                })
+                .setTimestamp()
+                .setFooter({
+                    text: `Deleted by ${interaction.user.tag}`,
+                    iconURL: interaction.user.displayAvatarURL()
+                });
+
+            if (updatedGiveaway) {
+                deletedEmbed.addFields({
+                    name: '📊 Before → After',
+                    value: [
+                        `**<@${deletedPurchase.userId}>'s Entries:** ${userEntriesBefore} → ${updatedGiveaway.participants?.[deletedPurchase.userId]?.entries || 0}`,
+                        `**Total Entries:** ${totalEntriesBefore} → ${updatedGiveaway.totalEntries || 0}`,
+                        `**Participants:** ${Object.keys(updatedGiveaway.participants || {}).length}`
+                    ].join('\n'),
+                    inline: false
+                });
+            }
+
+            await interaction.update({
+                embeds: [deletedEmbed],
+                components: []
+            });
+
+            logger.purchase('DELETED', deletedPurchase.purchaseId, `by ${interaction.user.tag}`);
+
+        } catch (deleteError) {
+            logger.error('Failed to execute purchase deletion:', deleteError);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('❌ Deletion Failed')
+                .setDescription('Failed to delete the purchase. Please try again.')
+                .setTimestamp();
+
+            await interaction.update({
+                embeds: [errorEmbed],
+                components: []
+            });
+        }
+    },
+
+    formatPurchase(purchase, giveaway) {
+        return [
+            `**ID:** \`${purchase.purchaseId}\``,
+            `**User:** <@${purchase.userId}>`,
+            `**Giveaway:** ${giveaway ? giveaway.name : 'Unknown'} (\`${purchase.giveawayId}\`)`,
+            `**Items:** ${(purchase.items || []).join(', ') || 'None'}`,
+            `**V-Bucks Spent:** ${purchase.vbucksSpent}`,
+            `**Entries Earned:** ${purchase.entriesEarned}`,
+            `**Added:** ${new Date(purchase.timestamp).toLocaleString()}`
+        ].join('\n');
+    }
+};
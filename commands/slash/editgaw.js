@@ -1,7 +1,18 @@
-const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType } = require('discord.js');
 const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const scheduler = require('../../utils/scheduler');
+const audit = require('../../utils/audit');
 const logger = require('../../utils/logger');
 
+const RATE_POLICIES = {
+    grandfather: 'Existing purchases keep the entries they earned; the new rate applies to new purchases',
+    rederive: 'Every purchase is recalculated at the new rate'
+};
+
+// Participants listed in the rate change preview before the rest are summarised
+const MAX_PREVIEW_PARTICIPANTS = 15;
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('editgaw')
@@ -9,6 +20,7 @@ module.exports = {
         .addStringOption(option =>
             option.setName('giveaway')
                 .setDescription('Giveaway ID or name to edit')
+                .setAutocomplete(true)
                 .setRequired(true))
         .addStringOption(option =>
             option.setName('name')
@@ -42,25 +54,46 @@ module.exports = {
                 .setMinValue(1)
                 .setMaxValue(10000)
                 .setRequired(false))
+        .addStringOption(option =>
+            option.setName('rate-policy')
+                .setDescription('How existing purchases are treated when V-Bucks per entry changes')
+                .addChoices(
+                    { name: 'Grandfather existing purchases', value: 'grandfather' },
+                    { name: 'Re-derive every purchase at the new rate', value: 'rederive' }
+                )
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('winners')
+                .setDescription('New number of winners to draw')
+                .setMinValue(1)
+                .setMaxValue(25)
+                .setRequired(false))
         .addBooleanOption(option =>
             option.setName('active')
                 .setDescription('Set giveaway active/inactive status')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('auto-spin')
+                .setDescription('Automatically spin the wheel when the giveaway ends')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('auto-spin-delay')
+                .setDescription('Minutes to wait after the end time before auto-spinning')
+                .setMinValue(0)
+                .setMaxValue(1440)
                 .setRequired(false)),
 
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
     async execute(interaction, bot) {
         try {
             await interaction.deferReply();
 
-            const giveawayInput = interaction.options.getString('giveaway');
-            
             // Find existing giveaway
-            const giveaway = await database.getGiveaway(giveawayInput);
-            if (!giveaway) {
-                return interaction.editReply({
-                    content: `❌ Giveaway not found: **${giveawayInput}**\nUse \`/listgaws\` to see available giveaways.`,
-                    ephemeral: true
-                });
-            }
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
 
             // Collect all the updates
             const updates = {};
@@ -132,14 +165,40 @@ module.exports = {
 
             // V-Bucks per entry update
             const newVbucksPerEntry = interaction.options.getInteger('vbucks-per-entry');
+            const ratePolicy = interaction.options.getString('rate-policy');
+            let rateChangeAffectsPurchases = false;
+
             if (newVbucksPerEntry && newVbucksPerEntry !== giveaway.vbucksPerEntry) {
                 updates.vbucksPerEntry = newVbucksPerEntry;
                 hasChanges = true;
-                
-                // If V-Bucks per entry changes, we need to recalculate all entries
-                if (Object.keys(giveaway.participants).length > 0) {
-                    updates.needsEntryRecalculation = true;
+
+                // Existing V-Bucks purchases need an explicit decision about which rate they use
+                const purchases = await database.getPurchasesByGiveaway(giveaway.id);
+                rateChangeAffectsPurchases = purchases.some(p => database.earnsFromVbucks(p));
+
+                if (rateChangeAffectsPurchases && !ratePolicy) {
+                    return interaction.editReply({
+                        content: [
+                            `❌ **${giveaway.name}** already has V-Bucks purchases. Choose a \`rate-policy\` for them:`,
+                            `• **grandfather** - ${RATE_POLICIES.grandfather}`,
+                            `• **rederive** - ${RATE_POLICIES.rederive}`
+                        ].join('\n'),
+                        ephemeral: true
+                    });
+                }
+            }
+
+            // Winner count update (only before the wheel has been spun)
+            const newWinnerCount = interaction.options.getInteger('winners');
+            if (newWinnerCount !== null && newWinnerCount !== (giveaway.winnerCount || 1)) {
+                if (giveaway.winner) {
+                    return interaction.editReply({
+                        content: '❌ Winners have already been drawn for this giveaway. Use `/reroll` to replace a winner instead.',
+                        ephemeral: true
+                    });
                 }
+                updates.winnerCount = newWinnerCount;
+                hasChanges = true;
             }
 
             // Active status update
@@ -149,93 +208,67 @@ module.exports = {
                 hasChanges = true;
             }
 
-            if (!hasChanges) {
-                return interaction.editReply({
-                    content: '❌ No changes specified. Please provide at least one field to update.',
-                    ephemeral: true
-                });
+            // Auto-spin updates
+            const newAutoSpin = interaction.options.getBoolean('auto-spin');
+            if (newAutoSpin !== null && newAutoSpin !== !!giveaway.autoSpin) {
+                updates.autoSpin = newAutoSpin;
+                hasChanges = true;
             }
 
-            // Apply updates
-            const updatedGiveaway = await database.updateGiveaway(giveaway.id, updates);
-
-            // Recalculate entries if V-Bucks per entry changed
-            if (updates.needsEntryRecalculation) {
-                await this.recalculateEntriesForGiveaway(updatedGiveaway.id, newVbucksPerEntry);
+            const newAutoSpinDelay = interaction.options.getInteger('auto-spin-delay');
+            if (newAutoSpinDelay !== null && newAutoSpinDelay !== giveaway.autoSpinDelayMinutes) {
+                updates.autoSpinDelayMinutes = newAutoSpinDelay;
+                hasChanges = true;
             }
 
-            // Create success embed
-            const embed = new EmbedBuilder()
-                .setColor('#00FF00')
-                .setTitle('✏️ Giveaway Updated Successfully!')
-                .setDescription(`**${updatedGiveaway.name}** has been updated`)
-                .addFields(
-                    {
-                        name: '📋 Updated Giveaway Details',
-                        value: [
-                            `**ID:** \`${updatedGiveaway.id}\``,
-                            `**Name:** ${updatedGiveaway.name}`,
-                            `**Channel:** <#${updatedGiveaway.channel}>`,
-                            `**Status:** ${updatedGiveaway.active ? '🟢 Active' : '🔴 Inactive'}`,
-                            `**V-Bucks per Entry:** ${updatedGiveaway.vbucksPerEntry}`
-                        ].join('\n'),
-                        inline: false
-                    }
-                )
-                .setTimestamp()
-                .setFooter({
-                    text: `Updated by ${interaction.user.tag}`,
-                    iconURL: interaction.user.displayAvatarURL()
-                });
+            if (updates.autoSpin !== undefined || updates.autoSpinDelayMinutes !== undefined) {
+                // Let the scheduler recompute the spin time from the new settings
+                updates.autoSpinAt = null;
 
-            // Show schedule if dates are set
-            if (updatedGiveaway.startDate || updatedGiveaway.endDate) {
-                const scheduleInfo = [];
-                if (updatedGiveaway.startDate) {
-                    scheduleInfo.push(`**Start:** ${updatedGiveaway.startDate}${updatedGiveaway.startTime ? ` ${updatedGiveaway.startTime}` : ''}`);
-                }
-                if (updatedGiveaway.endDate) {
-                    scheduleInfo.push(`**End:** ${updatedGiveaway.endDate}${updatedGiveaway.endTime ? ` ${updatedGiveaway.endTime}` : ''}`);
+                if ((updates.autoSpin ?? giveaway.autoSpin) && !(updates.endDate || giveaway.endDate)) {
+                    return interaction.editReply({
+                        content: '❌ Auto-spin needs an end date. Please set `end-date` as well.',
+                        ephemeral: true
+                    });
                 }
+            }
 
-                embed.addFields({
-                    name: '📅 Schedule',
-                    value: scheduleInfo.join('\n') || 'No schedule set',
-                    inline: false
+            if (!hasChanges) {
+                return interaction.editReply({
+                    content: '❌ No changes specified. Please provide at least one field to update.',
+                    ephemeral: true
                 });
             }
 
-            // Show what was changed
-            const changesList = [];
-            if (updates.name) changesList.push(`Name: "${giveaway.name}" → "${updates.name}"`);
-            if (updates.channel) changesList.push(`Channel: <#${giveaway.channel}> → <#${updates.channel}>`);
-            if (updates.startDate) changesList.push(`Start Date: ${giveaway.startDate || 'None'} → ${updates.startDate}`);
-            if (updates.startTime) changesList.push(`Start Time: ${giveaway.startTime || 'None'} → ${updates.startTime}`);
-            if (updates.endDate) changesList.push(`End Date: ${giveaway.endDate || 'None'} → ${updates.endDate}`);
-            if (updates.endTime) changesList.push(`End Time: ${giveaway.endTime || 'None'} → ${updates.endTime}`);
-            if (updates.vbucksPerEntry) changesList.push(`V-Bucks/Entry: ${giveaway.vbucksPerEntry} → ${updates.vbucksPerEntry}`);
-            if (updates.active !== undefined) changesList.push(`Status: ${giveaway.active ? 'Active' : 'Inactive'} → ${updates.active ? 'Active' : 'Inactive'}`);
-
-            if (changesList.length > 0) {
-                embed.addFields({
-                    name: '📝 Changes Made',
-                    value: changesList.join('\n'),
-                    inline: false
-                });
+            // Re-derive the scheduled state when the start/end window changes
+            const scheduleChanged = ['startDate', 'startTime', 'endDate', 'endTime']
+                .some(field => updates[field] !== undefined);
+
+            if (scheduleChanged) {
+                const scheduleWindow = scheduler.getWindowStatus({ ...giveaway, ...updates });
+                if (scheduleWindow.startsAt && scheduleWindow.endsAt && scheduleWindow.endsAt <= scheduleWindow.startsAt) {
+                    return interaction.editReply({
+                        content: '❌ The end date/time must be after the start date/time.',
+                        ephemeral: true
+                    });
+                }
+
+                // An explicit active flag from the command wins over the schedule
+                const scheduleState = scheduler.getScheduleState({ ...giveaway, ...updates });
+                if (updates.active !== undefined) {
+                    delete scheduleState.active;
+                }
+                Object.assign(updates, scheduleState);
             }
 
-            if (updates.needsEntryRecalculation) {
-                embed.addFields({
-                    name: '🔄 Entry Recalculation',
-                    value: 'All participant entries have been recalculated based on the new V-Bucks per entry value.',
-                    inline: false
-                });
+            // Rate changes are previewed and confirmed before anything is saved
+            if (rateChangeAffectsPurchases) {
+                return this.confirmRateChange(interaction, giveaway, updates, ratePolicy);
             }
 
+            const embed = await this.applyEdit(interaction, giveaway, updates, null);
             await interaction.editReply({ embeds: [embed] });
 
-            logger.giveaway('UPDATED', updatedGiveaway.id, `Updated by ${interaction.user.tag}: ${Object.keys(updates).join(', ')}`);
-
         } catch (error) {
             logger.error('Failed to edit giveaway:', error);
             
@@ -252,47 +285,254 @@ module.exports = {
         }
     },
 
-    // Helper method to recalculate entries when V-Bucks per entry changes
-    async recalculateEntriesForGiveaway(giveawayId, newVbucksPerEntry) {
-        try {
-            const purchases = await database.getPurchasesByGiveaway(giveawayId);
-            const giveaway = await database.getGiveaway(giveawayId);
-            
-            if (!giveaway || purchases.length === 0) return;
-
-            // Recalculate all entries
-            const participants = {};
-            let totalEntries = 0;
-
-            purchases.forEach(purchase => {
-                const newEntries = Math.floor(purchase.vbucksSpent / newVbucksPerEntry);
-                
-                if (!participants[purchase.userId]) {
-                    participants[purchase.userId] = {
-                        userId: purchase.userId,
-                        entries: 0,
-                        vbucksSpent: 0,
-                        purchases: []
-                    };
+    // Save the edit and build the success embed
+    async applyEdit(interaction, giveaway, updates, ratePolicy) {
+        // Apply updates. A re-derived rate change lands together with the giveaway edit.
+        const updatedGiveaway = await database.transaction(async () => {
+            await database.updateGiveaway(giveaway.id, updates);
+
+            if (ratePolicy === 'rederive') {
+                await database.repricePurchases(giveaway.id, updates.vbucksPerEntry);
+            }
+
+            return database.getGiveaway(giveaway.id);
+        });
+        await scheduler.scheduleGiveaway(updatedGiveaway);
+
+        // Create success embed
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('✏️ Giveaway Updated Successfully!')
+            .setDescription(`**${updatedGiveaway.name}** has been updated`)
+            .addFields(
+                {
+                    name: '📋 Updated Giveaway Details',
+                    value: [
+                        `**ID:** \`${updatedGiveaway.id}\``,
+                        `**Name:** ${updatedGiveaway.name}`,
+                        `**Channel:** <#${updatedGiveaway.channel}>`,
+                        `**Status:** ${updatedGiveaway.active ? '🟢 Active' : '🔴 Inactive'}`,
+                        `**V-Bucks per Entry:** ${updatedGiveaway.vbucksPerEntry}`,
+                        `**Winners:** ${updatedGiveaway.winnerCount || 1}`
+                    ].join('\n'),
+                    inline: false
                 }
+            )
+            .setTimestamp()
+            .setFooter({
+                text: `Updated by ${interaction.user.tag}`,
+                iconURL: interaction.user.displayAvatarURL()
+            });
+
+        // Show schedule if dates are set
+        if (updatedGiveaway.startDate || updatedGiveaway.endDate) {
+            const scheduleInfo = [];
+            if (updatedGiveaway.startDate) {
+                scheduleInfo.push(`**Start:** ${updatedGiveaway.startDate}${updatedGiveaway.startTime ? ` ${updatedGiveaway.startTime}` : ''}`);
+            }
+            if (updatedGiveaway.endDate) {
+                scheduleInfo.push(`**End:** ${updatedGiveaway.endDate}${updatedGiveaway.endTime ? ` ${updatedGiveaway.endTime}` : ''}`);
+            }
+
+            embed.addFields({
+                name: '📅 Schedule',
+                value: scheduleInfo.join('\n') || 'No schedule set',
+                inline: false
+            });
+        }
 
-                participants[purchase.userId].entries += newEntries;
-                participants[purchase.userId].vbucksSpent += purchase.vbucksSpent;
-                participants[purchase.userId].purchases.push(purchase.purchaseId);
-                totalEntries += newEntries;
+        // Show what was changed
+        const changesList = [];
+        if (updates.name) changesList.push(`Name: "${giveaway.name}" → "${updates.name}"`);
+        if (updates.channel) changesList.push(`Channel: <#${giveaway.channel}> → <#${updates.channel}>`);
+        if (updates.startDate) changesList.push(`Start Date: ${giveaway.startDate || 'None'} → ${updates.startDate}`);
+        if (updates.startTime) changesList.push(`Start Time: ${giveaway.startTime || 'None'} → ${updates.startTime}`);
+        if (updates.endDate) changesList.push(`End Date: ${giveaway.endDate || 'None'} → ${updates.endDate}`);
+        if (updates.endTime) changesList.push(`End Time: ${giveaway.endTime || 'None'} → ${updates.endTime}`);
+        if (updates.vbucksPerEntry) changesList.push(`V-Bucks/Entry: ${giveaway.vbucksPerEntry} → ${updates.vbucksPerEntry}`);
+        if (updates.winnerCount) changesList.push(`Winners: ${giveaway.winnerCount || 1} → ${updates.winnerCount}`);
+        if (updates.active !== undefined) changesList.push(`Status: ${giveaway.active ? 'Active' : 'Inactive'} → ${updates.active ? 'Active' : 'Inactive'}`);
+        if (updates.autoSpin !== undefined) changesList.push(`Auto-Spin: ${giveaway.autoSpin ? 'On' : 'Off'} → ${updates.autoSpin ? 'On' : 'Off'}`);
+        if (updates.autoSpinDelayMinutes !== undefined) changesList.push(`Auto-Spin Delay: ${giveaway.autoSpinDelayMinutes ?? 'Default'} → ${updates.autoSpinDelayMinutes} min`);
+
+        if (changesList.length > 0) {
+            embed.addFields({
+                name: '📝 Changes Made',
+                value: changesList.join('\n'),
+                inline: false
             });
+        }
 
-            await database.updateGiveaway(giveawayId, {
-                participants,
-                totalEntries
+        if (ratePolicy) {
+            embed.addFields({
+                name: ratePolicy === 'rederive' ? '🔄 Entry Recalculation' : '📜 Existing Purchases Grandfathered',
+                value: `${RATE_POLICIES[ratePolicy]}. Total entries: ${giveaway.totalEntries || 0} → ${updatedGiveaway.totalEntries || 0}`,
+                inline: false
             });
+        }
 
-            logger.info(`Recalculated entries for giveaway ${giveawayId}: ${totalEntries} total entries`);
+        logger.giveaway('UPDATED', updatedGiveaway.id, `Updated by ${interaction.user.tag}: ${Object.keys(updates).join(', ')}${ratePolicy ? ` (${ratePolicy})` : ''}`);
 
-        } catch (error) {
-            logger.error('Failed to recalculate entries:', error);
-            throw error;
+        return embed;
+    },
+
+    async confirmRateChange(interaction, giveaway, updates, ratePolicy) {
+        const preview = await this.previewRateChange(giveaway, updates.vbucksPerEntry, ratePolicy);
+        const changed = preview.filter(row => row.before !== row.after);
+        const totalBefore = preview.reduce((sum, row) => sum + row.before, 0);
+        const totalAfter = preview.reduce((sum, row) => sum + row.after, 0);
+
+        const participantLines = changed.slice(0, MAX_PREVIEW_PARTICIPANTS)
+            .map(row => `<@${row.userId}>: ${row.before} → ${row.after} entries`);
+        if (changed.length > MAX_PREVIEW_PARTICIPANTS) {
+            participantLines.push(`...and ${changed.length - MAX_PREVIEW_PARTICIPANTS} more`);
         }
+        if (preview.length > changed.length) {
+            participantLines.push(`${preview.length - changed.length} participant(s) keep their entries`);
+        }
+
+        const confirmEmbed = new EmbedBuilder()
+            .setColor('#FFC107')
+            .setTitle('⚠️ Confirm V-Bucks per Entry Change')
+            .setDescription(`**${giveaway.name}**: ${giveaway.vbucksPerEntry} → ${updates.vbucksPerEntry} V-Bucks per entry`)
+            .addFields(
+                {
+                    name: `📜 Policy: ${ratePolicy}`,
+                    value: RATE_POLICIES[ratePolicy],
+                    inline: false
+                },
+                {
+                    name: `📊 Entry Preview (Total: ${totalBefore} → ${totalAfter})`,
+                    value: participantLines.join('\n') || 'No participants yet',
+                    inline: false
+                }
+            )
+            .setTimestamp();
+
+        if (giveaway.winner) {
+            confirmEmbed.addFields({
+                name: '❗ Warning',
+                value: `**${giveaway.name}** already has a winner. Entries will be updated, but the drawn result will not change.`,
+                inline: false
+            });
+        }
+
+        const confirmRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`editgaw_confirm_${giveaway.id}`)
+                    .setLabel('✅ Apply Changes')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId('editgaw_cancel')
+                    .setLabel('❌ Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        const message = await interaction.editReply({
+            embeds: [confirmEmbed],
+            components: [confirmRow]
+        });
+
+        const collector = message.createMessageComponentCollector({
+            time: 60000 // 1 minute timeout
+        });
+
+        collector.on('collect', async (buttonInteraction) => {
+            if (buttonInteraction.user.id !== interaction.user.id) {
+                await buttonInteraction.reply({
+                    content: 'Only the command user can confirm this action.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (buttonInteraction.customId === 'editgaw_cancel') {
+                const cancelEmbed = new EmbedBuilder()
+                    .setColor('#6C757D')
+                    .setTitle('✅ Edit Cancelled')
+                    .setDescription(`**${giveaway.name}** was not changed.`)
+                    .setTimestamp();
+
+                await buttonInteraction.update({
+                    embeds: [cancelEmbed],
+                    components: []
+                });
+
+                collector.stop();
+
+            } else if (buttonInteraction.customId === `editgaw_confirm_${giveaway.id}`) {
+                await audit.runAs(audit.userActor(buttonInteraction.user), () => this.executeRateChange(buttonInteraction, giveaway, updates, ratePolicy));
+                collector.stop();
+            }
+        });
+
+        collector.on('end', async (collected, reason) => {
+            if (reason === 'time') {
+                const timeoutEmbed = new EmbedBuilder()
+                    .setColor('#6C757D')
+                    .setTitle('⏰ Confirmation Timeout')
+                    .setDescription('Giveaway edit was cancelled due to timeout.')
+                    .setTimestamp();
+
+                try {
+                    await interaction.editReply({
+                        embeds: [timeoutEmbed],
+                        components: []
+                    });
+                } catch (error) {
+                    logger.debug('Could not update message after timeout:', error.message);
+                }
+            }
+        });
+    },
+
+    async executeRateChange(interaction, giveaway, updates, ratePolicy) {
+        try {
+            // The giveaway may have changed while the preview was open
+            const current = await database.getGiveaway(giveaway.id);
+            if (!current) {
+                throw new Error('The giveaway no longer exists');
+            }
+
+            const embed = await this.applyEdit(interaction, current, updates, ratePolicy);
+            await interaction.update({
+                embeds: [embed],
+                components: []
+            });
+
+        } catch (editError) {
+            logger.error('Failed to apply V-Bucks per entry change:', editError);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('❌ Edit Failed')
+                .setDescription(`Failed to update the giveaway: ${editError.message}`)
+                .setTimestamp();
+
+            await interaction.update({
+                embeds: [errorEmbed],
+                components: []
+            });
+        }
+    },
+
+    // Each participant's entries now and after the rate change. Grandfathered purchases keep the
+    // rate they were settled at, so only re-deriving changes anyone's entries.
+    async previewRateChange(giveaway, newVbucksPerEntry, ratePolicy) {
+        const purchases = await database.getPurchasesByGiveaway(giveaway.id);
+        const repriced = ratePolicy === 'rederive'
+            ? purchases.map(p => (database.earnsFromVbucks(p) ? { ...p, vbucksPerEntry: newVbucksPerEntry } : p))
+            : purchases;
+
+        return Object.values(giveaway.participants || {}).map(participant => {
+            const { entries } = database.settlePurchases(repriced.filter(p => p.userId === participant.userId));
+            return {
+                userId: participant.userId,
+                before: participant.entries || 0,
+                after: [...entries.values()].reduce((sum, count) => sum + count, 0)
+            };
+        });
     },
 
     // Validation helper methods
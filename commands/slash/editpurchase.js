@@ -0,0 +1,379 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const database = require('../../utils/database');
+const audit = require('../../utils/audit');
+const eligibility = require('../../utils/eligibility');
+const logger = require('../../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('editpurchase')
+        .setDescription('Edit an existing purchase (with confirmation)')
+        .addStringOption(option =>
+            option.setName('purchase')
+                .setDescription('Purchase ID to edit (e.g., PUR-...)')
+                .setRequired(true))
+        .addIntegerOption(option =>
+            option.setName('vbucks')
+                .setDescription('Corrected V-Bucks amount')
+                .setMinValue(1)
+                .setMaxValue(50000)
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Reassign the purchase to another user')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('giveaway')
+                .setDescription('Move the purchase to another giveaway (ID or name)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('items')
+                .setDescription('Replace the item list (comma-separated)')
+                .setRequired(false)),
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const purchaseId = interaction.options.getString('purchase').trim();
+            const newVbucks = interaction.options.getInteger('vbucks');
+            const newUser = interaction.options.getUser('user');
+            const giveawayInput = interaction.options.getString('giveaway');
+            const itemsInput = interaction.options.getString('items');
+
+            const purchase = await database.getPurchase(purchaseId);
+            if (!purchase) {
+                return interaction.editReply({
+                    content: `❌ Purchase not found: **${purchaseId}**\nUse \`/stats user\` to look up a user's purchases.`,
+                    ephemeral: true
+                });
+            }
+
+            if (database.isBonus(purchase)) {
+                return interaction.editReply({
+                    content: `❌ **${purchase.purchaseId}** is a bonus line. Use \`/bonus revoke\` to remove it.`,
+                    ephemeral: true
+                });
+            }
+
+            if (database.isSubmission(purchase) && newVbucks !== null) {
+                return interaction.editReply({
+                    content: `❌ **${purchase.purchaseId}** is a submission grant and has no V-Bucks amount to edit.`,
+                    ephemeral: true
+                });
+            }
+
+            const currentGiveaway = await database.getGiveaway(purchase.giveawayId);
+            let targetGiveaway = currentGiveaway;
+
+            if (giveawayInput) {
+                targetGiveaway = await database.getGiveaway(giveawayInput);
+                if (!targetGiveaway) {
+                    return interaction.editReply({
+                        content: `❌ Giveaway not found: **${giveawayInput}**\nUse \`/listgaws\` to see available giveaways.`,
+                        ephemeral: true
+                    });
+                }
+            }
+
+            // Collect the updates
+            const updates = {};
+
+            if (newVbucks !== null && newVbucks !== purchase.vbucksSpent) {
+                updates.vbucksSpent = newVbucks;
+            }
+
+            if (newUser && newUser.id !== purchase.userId) {
+                updates.userId = newUser.id;
+            }
+
+            if (targetGiveaway && targetGiveaway.id !== purchase.giveawayId) {
+                updates.giveawayId = targetGiveaway.id;
+            }
+
+            if (itemsInput) {
+                const items = itemsInput.split(',').map(item => item.trim()).filter(Boolean);
+                if (items.join(',') !== (purchase.items || []).join(',')) {
+                    updates.items = items;
+                }
+            }
+
+            // Entries follow the V-Bucks amount, the rate of the giveaway the purchase ends up in and
+            // the balance its owner carries over from earlier purchases
+            const settlementChanged = updates.vbucksSpent !== undefined || updates.giveawayId !== undefined
+                || (updates.userId !== undefined && targetGiveaway);
+            if (database.earnsFromVbucks(purchase) && settlementChanged) {
+                if (!targetGiveaway) {
+                    return interaction.editReply({
+                        content: `❌ Purchase **${purchase.purchaseId}** belongs to a giveaway that no longer exists. Provide \`giveaway\` to move it first.`,
+                        ephemeral: true
+                    });
+                }
+
+                // A moved purchase takes its new giveaway's rate. Purchases recorded before rates were
+                // stored take the current one, which also lets them carry V-Bucks over from now on.
+                const vbucksPerEntry = updates.giveawayId || !purchase.vbucksPerEntry
+                    ? targetGiveaway.vbucksPerEntry
+                    : purchase.vbucksPerEntry;
+
+                if (vbucksPerEntry !== purchase.vbucksPerEntry) {
+                    updates.vbucksPerEntry = vbucksPerEntry;
+                }
+
+                const entriesEarned = await this.previewEntries(purchase, { ...purchase, ...updates });
+                if (entriesEarned !== purchase.entriesEarned) {
+                    updates.entriesEarned = entriesEarned;
+                }
+            }
+
+            if (Object.keys(updates).length === 0) {
+                return interaction.editReply({
+                    content: '❌ No changes specified. Please provide at least one field that differs from the current purchase.',
+                    ephemeral: true
+                });
+            }
+
+            const giveawayNames = {
+                [purchase.giveawayId]: currentGiveaway?.name,
+                ...(targetGiveaway && { [targetGiveaway.id]: targetGiveaway.name })
+            };
+            const editedPurchase = { ...purchase, ...updates };
+
+            const confirmEmbed = new EmbedBuilder()
+                .setColor('#FFC107')
+                .setTitle('⚠️ Confirm Purchase Edit')
+                .setDescription(`Review the changes to purchase \`${purchase.purchaseId}\` before saving.`)
+                .addFields(
+                    {
+                        name: '📋 Before',
+                        value: this.formatPurchase(purchase, giveawayNames),
+                        inline: true
+                    },
+                    {
+                        name: '✏️ After',
+                        value: this.formatPurchase(editedPurchase, giveawayNames),
+                        inline: true
+                    }
+                )
+                .setTimestamp();
+
+            const drawnGiveaway = [currentGiveaway, targetGiveaway].find(g => g?.winner);
+            if (drawnGiveaway) {
+                confirmEmbed.addFields({
+                    name: '❗ Warning',
+                    value: `**${drawnGiveaway.name}** already has a winner. Entries will be updated, but the drawn result will not change.`,
+                    inline: false
+                });
+            }
+
+            const confirmRow = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`editpurchase_confirm_${purchase.purchaseId}`)
+                        .setLabel('✅ Save Changes')
+                        .setStyle(ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId('editpurchase_cancel')
+                        .setLabel('❌ Cancel')
+                        .setStyle(ButtonStyle.Secondary)
+                );
+
+            const message = await interaction.editReply({
+                embeds: [confirmEmbed],
+                components: [confirmRow]
+            });
+
+            const collector = message.createMessageComponentCollector({
+                time: 60000 // 1 minute timeout
+            });
+
+            collector.on('collect', async (buttonInteraction) => {
+                if (buttonInteraction.user.id !== interaction.user.id) {
+                    await buttonInteraction.reply({
+                        content: 'Only the command user can confirm this action.',
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                if (buttonInteraction.customId === 'editpurchase_cancel') {
+                    const cancelEmbed = new EmbedBuilder()
+                        .setColor('#6C757D')
+                        .setTitle('✅ Edit Cancelled')
+                        .setDescription(`Purchase \`${purchase.purchaseId}\` was not changed.`)
+                        .setTimestamp();
+
+                    await buttonInteraction.update({
+                        embeds: [cancelEmbed],
+                        components: []
+                    });
+
+                    collector.stop();
+
+                } else if (buttonInteraction.customId === `editpurchase_confirm_${purchase.purchaseId}`) {
+                    await audit.runAs(audit.userActor(buttonInteraction.user), () => this.executeEdit(buttonInteraction, purchase, updates, newUser, giveawayNames));
+                    collector.stop();
+                }
+            });
+
+            collector.on('end', async (collected, reason) => {
+                if (reason === 'time') {
+                    const timeoutEmbed = new EmbedBuilder()
+                        .setColor('#6C757D')
+                        .setTitle('⏰ Confirmation Timeout')
+                        .setDescription('Purchase edit was cancelled due to timeout.')
+                        .setTimestamp();
+
+                    try {
+                        await interaction.editReply({
+                            embeds: [timeoutEmbed],
+                            components: []
+                        });
+                    } catch (error) {
+                        logger.debug('Could not update message after timeout:', error.message);
+                    }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Failed to edit purchase:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to edit purchase. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    async executeEdit(interaction, purchase, updates, newUser, giveawayNames) {
+        try {
+            const affectedGiveawayIds = [...new Set([purchase.giveawayId, updates.giveawayId].filter(Boolean))];
+            const affectedUserIds = [...new Set([purchase.userId, updates.userId].filter(Boolean))];
+            const before = await this.snapshotEntries(affectedGiveawayIds, affectedUserIds);
+
+            // A purchase moving to another user or giveaway gets its role multiplier from the new owner's roles
+            const moved = (updates.userId && updates.userId !== purchase.userId) ||
+                (updates.giveawayId && updates.giveawayId !== purchase.giveawayId);
+            const member = moved && await eligibility.fetchMember(interaction.guild, updates.userId || purchase.userId);
+            const roleIds = moved ? (member ? [...member.roles.cache.keys()] : []) : undefined;
+
+            const updatedPurchase = await database.transaction(async () => {
+                // updatePurchase recalculates entries for every giveaway the purchase touched
+                const updated = await database.updatePurchase(purchase.purchaseId, updates, { roleIds });
+
+                if (newUser && updates.userId) {
+                    await database.updateGiveawayParticipantWithUserInfo(updated.giveawayId, newUser.id, 0, 0, {
+                        username: newUser.username,
+                        displayName: newUser.displayName || newUser.username,
+                        discriminator: newUser.discriminator
+                    });
+                }
+
+                return updated;
+            });
+
+            const after = await this.snapshotEntries(affectedGiveawayIds, affectedUserIds);
+
+            const impactLines = affectedGiveawayIds.map(giveawayId => {
+                const lines = [`**${giveawayNames[giveawayId] || giveawayId}** - Total Entries: ${before[giveawayId].total} → ${after[giveawayId].total}`];
+                affectedUserIds.forEach(userId => {
+                    const userBefore = before[giveawayId].users[userId];
+                    const userAfter = after[giveawayId].users[userId];
+                    if (userBefore !== userAfter) {
+                        lines.push(`• <@${userId}>: ${userBefore} → ${userAfter} entries`);
+                    }
+                });
+                return lines.join('\n');
+            });
+
+            const editedEmbed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle('✏️ Purchase Updated Successfully!')
+                .setDescription(`Purchase \`${purchase.purchaseId}\` has been updated and giveaway entries were recalculated.`)
+                .addFields(
+                    {
+                        name: '📋 Before',
+                        value: this.formatPurchase(purchase, giveawayNames),
+                        inline: true
+                    },
+                    {
+                        name: '✏️ After',
+                        value: this.formatPurchase(updatedPurchase, giveawayNames),
+                        inline: true
+                    },
+                    {
+                        name: '📊 Giveaway Impact',
+                        value: impactLines.join('\n\n') || 'No entry changes',
+                        inline: false
+                    }
+                )
+                .setTimestamp()
+                .setFooter({
+                    text: `Edited by ${interaction.user.tag}`,
+                    iconURL: interaction.user.displayAvatarURL()
+                });
+
+            await interaction.update({
+                embeds: [editedEmbed],
+                components: []
+            });
+
+            logger.purchase('EDITED', purchase.purchaseId, `by ${interaction.user.tag}: ${Object.keys(updates).join(', ')}`);
+
+        } catch (editError) {
+            logger.error('Failed to execute purchase edit:', editError);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('❌ Edit Failed')
+                .setDescription('Failed to update the purchase. Please try again.')
+                .setTimestamp();
+
+            await interaction.update({
+                embeds: [errorEmbed],
+                components: []
+            });
+        }
+    },
+
+    // Entries the edited purchase earns once it is settled among its owner's other purchases
+    async previewEntries(purchase, editedPurchase) {
+        const others = (await database.getPurchasesByGiveaway(editedPurchase.giveawayId))
+            .filter(p => p.userId === editedPurchase.userId && p.purchaseId !== purchase.purchaseId);
+
+        return database.settlePurchases([...others, editedPurchase]).entries.get(purchase.purchaseId);
+    },
+
+    // Total entries per giveaway plus each user's entries, for the before/after comparison
+    async snapshotEntries(giveawayIds, userIds) {
+        const snapshot = {};
+
+        for (const giveawayId of giveawayIds) {
+            const giveaway = await database.getGiveaway(giveawayId);
+            const participants = giveaway?.participants || {};
+
+            snapshot[giveawayId] = {
+                total: giveaway?.totalEntries || 0,
+                users: Object.fromEntries(userIds.map(userId => [userId, participants[userId]?.entries || 0]))
+            };
+        }
+
+        return snapshot;
+    },
+
+    formatPurchase(purchase, giveawayNames = {}) {
+        return [
+            `**User:** <@${purchase.userId}>`,
+            `**Giveaway:** ${giveawayNames[purchase.giveawayId] || 'Unknown'} (\`${purchase.giveawayId}\`)`,
+            `**Items:** ${(purchase.items || []).join(', ') || 'None'}`,
+            `**V-Bucks Spent:** ${purchase.vbucksSpent}`,
+            `**Entries Earned:** ${purchase.entriesEarned}`
+        ].join('\n');
+    }
+};
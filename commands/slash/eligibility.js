@@ -0,0 +1,300 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const eligibility = require('../../utils/eligibility');
+const logger = require('../../utils/logger');
+
+const MAX_BLOCKED_SHOWN = 15;
+
+function addGiveawayOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('giveaway')
+            .setDescription('Giveaway ID or name')
+            .setAutocomplete(true)
+            .setRequired(true));
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('eligibility')
+        .setDescription('Limit who can take part in a giveaway')
+        .addSubcommand(subcommand =>
+            addGiveawayOption(subcommand.setName('show')
+                .setDescription('Show the eligibility rules of a giveaway')))
+        .addSubcommand(subcommand =>
+            addGiveawayOption(subcommand.setName('role')
+                .setDescription('Require or exclude a role'))
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to set a rule for')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('rule')
+                        .setDescription('What the role means for this giveaway')
+                        .addChoices(
+                            { name: 'Required (members need one of the required roles)', value: 'required' },
+                            { name: 'Excluded (members with it cannot take part)', value: 'excluded' },
+                            { name: 'No rule (remove it)', value: 'none' }
+                        )
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            addGiveawayOption(subcommand.setName('tenure')
+                .setDescription('Set a minimum account age or time in the server (0 removes the limit)'))
+                .addIntegerOption(option =>
+                    option.setName('account-age-days')
+                        .setDescription('Minimum days since the Discord account was created')
+                        .setMinValue(0)
+                        .setMaxValue(3650)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('server-days')
+                        .setDescription('Minimum days since the member joined this server')
+                        .setMinValue(0)
+                        .setMaxValue(3650)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            addGiveawayOption(subcommand.setName('block')
+                .setDescription('Keep a user out of a giveaway'))
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to block')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Why the user is blocked (shown to mods and the user)')
+                        .setMaxLength(200)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            addGiveawayOption(subcommand.setName('unblock')
+                .setDescription('Let a blocked user take part again'))
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to unblock')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            addGiveawayOption(subcommand.setName('check')
+                .setDescription('Check whether a user can take part in a giveaway'))
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to check')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            addGiveawayOption(subcommand.setName('clear')
+                .setDescription('Remove all eligibility rules from a giveaway'))),
+
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'show':
+                    return this.handleShow(interaction, giveaway);
+                case 'role':
+                    return this.handleRole(interaction, giveaway);
+                case 'tenure':
+                    return this.handleTenure(interaction, giveaway);
+                case 'block':
+                    return this.handleBlock(interaction, giveaway);
+                case 'unblock':
+                    return this.handleUnblock(interaction, giveaway);
+                case 'check':
+                    return this.handleCheck(interaction, giveaway);
+                case 'clear':
+                    return this.handleClear(interaction, giveaway);
+            }
+
+        } catch (error) {
+            logger.error('Failed to run eligibility command:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to update eligibility rules. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    async handleShow(interaction, giveaway) {
+        const embed = this.buildRulesEmbed(giveaway, '📋 Eligibility Rules');
+        const { blockedUsers } = eligibility.getRules(giveaway);
+
+        if (blockedUsers.length > 0) {
+            const lines = blockedUsers.slice(0, MAX_BLOCKED_SHOWN)
+                .map(b => `<@${b.userId}>${b.reason ? ` - ${b.reason}` : ''}`);
+
+            if (blockedUsers.length > MAX_BLOCKED_SHOWN) {
+                lines.push(`...and ${blockedUsers.length - MAX_BLOCKED_SHOWN} more`);
+            }
+
+            embed.addFields({
+                name: '🚫 Blocked Users',
+                value: lines.join('\n'),
+                inline: false
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleRole(interaction, giveaway) {
+        const role = interaction.options.getRole('role');
+        const rule = interaction.options.getString('rule');
+        const rules = eligibility.getRules(giveaway);
+
+        const requiredRoles = rules.requiredRoles.filter(id => id !== role.id);
+        const excludedRoles = rules.excludedRoles.filter(id => id !== role.id);
+
+        if (rule === 'required') requiredRoles.push(role.id);
+        if (rule === 'excluded') excludedRoles.push(role.id);
+
+        const updated = await this.saveRules(giveaway, { requiredRoles, excludedRoles });
+
+        const changes = {
+            required: `${role} is now required`,
+            excluded: `${role} is now excluded`,
+            none: `${role} no longer has a rule`
+        };
+
+        await interaction.editReply({ embeds: [this.buildRulesEmbed(updated, '✅ Eligibility Updated', changes[rule])] });
+
+        logger.giveaway('UPDATED', giveaway.id, `eligibility role ${role.name}: ${rule}`);
+    },
+
+    async handleTenure(interaction, giveaway) {
+        const accountAgeDays = interaction.options.getInteger('account-age-days');
+        const serverDays = interaction.options.getInteger('server-days');
+
+        if (accountAgeDays === null && serverDays === null) {
+            return interaction.editReply({
+                content: '❌ Set `account-age-days`, `server-days` or both.',
+                ephemeral: true
+            });
+        }
+
+        const changes = {};
+        if (accountAgeDays !== null) changes.minAccountAgeDays = accountAgeDays;
+        if (serverDays !== null) changes.minGuildDays = serverDays;
+
+        const updated = await this.saveRules(giveaway, changes);
+
+        await interaction.editReply({ embeds: [this.buildRulesEmbed(updated, '✅ Eligibility Updated', 'Tenure limits changed')] });
+
+        logger.giveaway('UPDATED', giveaway.id, `eligibility tenure: account ${accountAgeDays ?? '-'}d, server ${serverDays ?? '-'}d`);
+    },
+
+    async handleBlock(interaction, giveaway) {
+        const user = interaction.options.getUser('user');
+        const reason = interaction.options.getString('reason');
+        const { blockedUsers } = eligibility.getRules(giveaway);
+
+        const entry = {
+            userId: user.id,
+            reason: reason || null,
+            blockedBy: interaction.user.id,
+            blockedAt: new Date().toISOString()
+        };
+
+        const updated = await this.saveRules(giveaway, {
+            blockedUsers: [...blockedUsers.filter(b => b.userId !== user.id), entry]
+        });
+
+        const participant = giveaway.participants?.[user.id];
+        const embed = this.buildRulesEmbed(updated, '🚫 User Blocked', `${user} can no longer take part`);
+
+        if (participant?.entries > 0) {
+            embed.addFields({
+                name: '💡 Existing Entries',
+                value: `${user} keeps their ${participant.entries} recorded entries but will be left out of the spin. Use \`/deletepurchase\` to remove them.`,
+                inline: false
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+
+        logger.giveaway('UPDATED', giveaway.id, `eligibility: blocked ${user.tag}${reason ? ` (${reason})` : ''}`);
+    },
+
+    async handleUnblock(interaction, giveaway) {
+        const user = interaction.options.getUser('user');
+        const { blockedUsers } = eligibility.getRules(giveaway);
+
+        if (!blockedUsers.some(b => b.userId === user.id)) {
+            return interaction.editReply({
+                content: `❌ ${user} is not blocked from **${giveaway.name}**.`,
+                ephemeral: true
+            });
+        }
+
+        const updated = await this.saveRules(giveaway, {
+            blockedUsers: blockedUsers.filter(b => b.userId !== user.id)
+        });
+
+        await interaction.editReply({ embeds: [this.buildRulesEmbed(updated, '✅ User Unblocked', `${user} can take part again`)] });
+
+        logger.giveaway('UPDATED', giveaway.id, `eligibility: unblocked ${user.tag}`);
+    },
+
+    async handleCheck(interaction, giveaway) {
+        const user = interaction.options.getUser('user');
+        const reasons = await eligibility.checkUser(interaction.guild, giveaway, user.id);
+
+        const embed = new EmbedBuilder()
+            .setColor(reasons.length === 0 ? '#00FF00' : '#DC3545')
+            .setTitle(reasons.length === 0 ? '✅ Eligible' : '🚫 Not Eligible')
+            .setDescription(reasons.length === 0
+                ? `${user} can take part in **${giveaway.name}**.`
+                : `${user} cannot take part in **${giveaway.name}**:\n${reasons.map(r => `• ${r}`).join('\n')}`)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleClear(interaction, giveaway) {
+        if (!eligibility.hasRules(giveaway)) {
+            return interaction.editReply({
+                content: `📭 **${giveaway.name}** has no eligibility rules.`
+            });
+        }
+
+        const updated = await database.updateGiveaway(giveaway.id, { eligibility: null });
+
+        await interaction.editReply({ embeds: [this.buildRulesEmbed(updated, '🧹 Eligibility Cleared', 'All rules removed')] });
+
+        logger.giveaway('UPDATED', giveaway.id, 'eligibility cleared');
+    },
+
+    async saveRules(giveaway, changes) {
+        return database.updateGiveaway(giveaway.id, {
+            eligibility: { ...eligibility.getRules(giveaway), ...changes }
+        });
+    },
+
+    buildRulesEmbed(giveaway, title, change = null) {
+        const embed = new EmbedBuilder()
+            .setColor(eligibility.hasRules(giveaway) ? '#0099FF' : '#6C757D')
+            .setTitle(title)
+            .setDescription(`${change ? `${change} in` : 'Who can take part in'} **${giveaway.name}**`)
+            .addFields({
+                name: '📜 Rules',
+                value: eligibility.describe(giveaway).join('\n'),
+                inline: false
+            })
+            .setTimestamp();
+
+        return embed;
+    }
+};
@@ -63,16 +63,22 @@ module.exports = {
                 '`/creategaw` - Create a new giveaway',
                 '`/editgaw` - Edit existing giveaway',
                 '`/deletegaw` - Delete a giveaway',
+                '`/eligibility` - Limit who can take part in a giveaway',
+                '`/bonus` - Role multipliers and bonus entries for a giveaway',
                 '`/listgaws` - List all giveaways'
             ],
             'Purchase Management': [
                 '`/addpurchase` - Add user purchase',
                 '`/editpurchase` - Edit existing purchase', 
-                '`/deletepurchase` - Delete a purchase'
+                '`/deletepurchase` - Delete a purchase',
+                '`/claimpurchase` - Send your purchase receipt for mod review'
             ],
             'Analysis & Tools': [
                 '`/analyze` - Analyze channel messages',
+                '`/submissions` - Link a submissions channel and review submissions',
                 '`/spin` - Spin the giveaway wheel',
+                '`/reroll` - Draw a new winner, excluding previous winners',
+                '`/verifyspin` - Verify a spin against its seed commitment',
                 '`/showcurrentwheelstate` - Show current wheel state',
                 '`/stats` - Show detailed statistics'
             ],
@@ -80,6 +86,8 @@ module.exports = {
                 '`/creatorcode` - Check Fortnite creator code',
                 '`/time` - Show current time in multiple zones',
                 '`/backup` - Backup management operations',
+                '`/trash` - Restore or purge deleted giveaways',
+                '`/audit` - Show who changed giveaways and purchases',
                 '`/help` - Show this help message'
             ]
         };
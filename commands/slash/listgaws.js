@@ -85,8 +85,12 @@ module.exports = {
                     const totalEntries = giveaway.totalEntries || 0;
                     
                     let status = '';
-                    if (giveaway.winner) {
+                    if (giveaway.winners?.length > 1) {
+                        status = `🏆 Winners: ${giveaway.winners.map(id => `<@${id}>`).join(', ')}`;
+                    } else if (giveaway.winner) {
                         status = `🏆 Winner: <@${giveaway.winner}>`;
+                    } else if (giveaway.awaitingStart) {
+                        status = '⏳ Scheduled';
                     } else if (giveaway.active) {
                         status = '🟢 Active';
                     } else {
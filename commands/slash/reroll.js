@@ -0,0 +1,203 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const wheelGenerator = require('../../utils/wheelGenerator');
+const logger = require('../../utils/logger');
+const spinCommand = require('./spin');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('reroll')
+        .setDescription('Draw a new winner, excluding everyone who has already won')
+        .addStringOption(option =>
+            option.setName('giveaway')
+                .setDescription('Giveaway ID or name to reroll')
+                .setAutocomplete(true)
+                .setRequired(true))
+        .addIntegerOption(option =>
+            option.setName('place')
+                .setDescription('Which winner to replace for multi-winner giveaways (default: 1st)')
+                .setMinValue(1)
+                .setMaxValue(25)
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Why the previous winner is being replaced')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('no-animation')
+                .setDescription('Skip wheel animation for faster results')
+                .setRequired(false)),
+
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const place = interaction.options.getInteger('place') || 1;
+            const reason = interaction.options.getString('reason');
+            const skipAnimation = interaction.options.getBoolean('no-animation') || false;
+            const rerollTime = new Date();
+
+            // Find giveaway
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
+
+            if (!giveaway.winner) {
+                return interaction.editReply({
+                    content: `❌ Giveaway **${giveaway.name}** has no winner to reroll yet.\nUse \`/spin\` to draw the first winner.`,
+                    ephemeral: true
+                });
+            }
+
+            const currentWinners = spinCommand.getCurrentWinners(giveaway);
+            if (place > currentWinners.length) {
+                return interaction.editReply({
+                    content: `❌ Giveaway **${giveaway.name}** only has ${currentWinners.length} winner(s). Choose a place between 1 and ${currentWinners.length}.`,
+                    ephemeral: true
+                });
+            }
+            const replacedWinner = currentWinners[place - 1];
+            const isMultiWinner = currentWinners.length > 1;
+
+            // Everyone who has won this giveaway before is out of the pool
+            const history = spinCommand.getWinnerHistory(giveaway);
+            const previousWinners = [...new Set([...history.map(draw => draw.userId), ...currentWinners])];
+
+            // So is anyone the eligibility rules now rule out
+            const { ineligible } = await spinCommand.getEligiblePool(interaction.guild, giveaway);
+            const excludedUserIds = [...new Set([...previousWinners, ...ineligible.keys()])];
+
+            // Participants still short of their first entry hold no tickets, as in /spin
+            const pool = Object.fromEntries(
+                Object.entries(giveaway.participants || {})
+                    .filter(([userId, p]) => p.entries > 0 && !excludedUserIds.includes(userId))
+            );
+            const poolCount = Object.keys(pool).length;
+
+            if (poolCount === 0) {
+                return interaction.editReply({
+                    content: ineligible.size > 0
+                        ? `❌ No eligible participants left in **${giveaway.name}**: ${previousWinners.length} participant(s) have already won and ${ineligible.size} are not eligible.`
+                        : `❌ No eligible participants left in **${giveaway.name}**: ${previousWinners.length} participant(s) have already won and nobody else has entries.`,
+                    ephemeral: true
+                });
+            }
+
+            // The wheel, embed and DM all describe the reduced pool
+            const poolGiveaway = {
+                ...giveaway,
+                participants: pool,
+                winnerCount: 1,
+                totalEntries: Object.values(pool).reduce((sum, p) => sum + (p.entries || 0), 0)
+            };
+
+            try {
+                wheelGenerator.validateWheelData(poolGiveaway.participants, giveaway.name);
+            } catch (validationError) {
+                return interaction.editReply({
+                    content: `❌ Invalid wheel data: ${validationError.message}`,
+                    ephemeral: true
+                });
+            }
+
+            // Rerolls always get a fresh commitment since the last server seed is already public
+            const commitment = await spinCommand.ensureCommitment(giveaway, interaction.channel);
+            const [winner] = spinCommand.drawWinners(giveaway, 1, commitment, excludedUserIds);
+            if (!winner) {
+                return interaction.editReply({
+                    content: '❌ Failed to select a new winner. Please try again.',
+                    ephemeral: true
+                });
+            }
+
+            const rerollingEmbed = new EmbedBuilder()
+                .setColor('#FFD700')
+                .setTitle('🔁 Rerolling the Wheel!')
+                .setDescription(
+                    skipAnimation
+                        ? `Selecting a new winner for **${giveaway.name}**...`
+                        : `Generating animated wheel for **${giveaway.name}**...\n\n⏳ This may take a few seconds for the best experience...`
+                )
+                .addFields(
+                    {
+                        name: '🎯 Reroll Details',
+                        value: [
+                            `**Replacing:** ${isMultiWinner ? `${spinCommand.formatPlace(place)} ` : ''}<@${replacedWinner}>`,
+                            `**Excluded Winners:** ${previousWinners.length}`,
+                            ...(ineligible.size > 0 ? [`**Not Eligible:** ${ineligible.size}`] : []),
+                            `**Eligible Participants:** ${poolCount}`,
+                            `**Eligible Entries:** ${poolGiveaway.totalEntries}`
+                        ].join('\n'),
+                        inline: false
+                    },
+                    {
+                        name: '🕐 Reroll Time',
+                        value: spinCommand.formatSpinTimestamp(rerollTime),
+                        inline: false
+                    }
+                )
+                .setTimestamp(rerollTime);
+
+            await interaction.editReply({ embeds: [rerollingEmbed] });
+
+            const { wheelBuffer, wheelError } = skipAnimation
+                ? { wheelBuffer: null, wheelError: null }
+                : await spinCommand.generateWheel(poolGiveaway, [winner], poolCount);
+
+            await spinCommand.recordDraw(giveaway, [winner], {
+                drawnAt: rerollTime,
+                triggeredBy: interaction.user.id,
+                reason,
+                commitment,
+                type: 'reroll',
+                previousWinner: replacedWinner,
+                place,
+                excludedUserIds
+            });
+
+            const winnerEmbed = spinCommand.buildWinnerEmbed(poolGiveaway, [winner], rerollTime, bot, { skipAnimation, wheelBuffer, wheelError, commitment, ineligible })
+                .setTitle('🔁 NEW WINNER SELECTED! 🔁')
+                .setDescription(`**${giveaway.name}** has been rerolled!`)
+                .addFields({
+                    name: '📜 Reroll',
+                    value: [
+                        ...(isMultiWinner ? [`**Place:** ${spinCommand.formatPlace(place)}`] : []),
+                        `**Previous Winner:** <@${replacedWinner}>`,
+                        `**Reason:** ${reason || 'No reason given'}`,
+                        `**Rerolled By:** <@${interaction.user.id}>`,
+                        `**Draw #:** ${history.length + 1}`
+                    ].join('\n'),
+                    inline: false
+                });
+
+            const response = { embeds: [winnerEmbed] };
+            if (wheelBuffer && !wheelError) {
+                response.files = [spinCommand.buildWheelAttachment(giveaway, wheelBuffer)];
+            }
+
+            await interaction.editReply(response);
+
+            logger.giveaway('REROLLED', giveaway.id, `${replacedWinner} -> ${winner.userId} by ${interaction.user.tag}${reason ? ` (${reason})` : ''}`);
+
+            await spinCommand.notifyWinner(interaction.guild, winner, poolGiveaway, rerollTime, isMultiWinner ? place : null);
+
+        } catch (error) {
+            logger.error('Failed to reroll giveaway:', error);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('❌ Reroll Failed')
+                .setDescription('An error occurred while drawing a new winner. Please check the console for details.')
+                .setTimestamp();
+
+            if (interaction.deferred) {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } else {
+                await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+            }
+        }
+    }
+};
@@ -1,5 +1,6 @@
 const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
 const wheelGenerator = require('../../utils/wheelGenerator');
 const logger = require('../../utils/logger');
 const moment = require('moment-timezone');
@@ -11,23 +12,22 @@ module.exports = {
         .addStringOption(option =>
             option.setName('giveaway')
                 .setDescription('Giveaway ID or name')
+                .setAutocomplete(true)
                 .setRequired(true)),
 
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
     async execute(interaction, bot) {
         try {
             await interaction.deferReply();
 
-            const giveawayInput = interaction.options.getString('giveaway');
             const stateTime = new Date(); // Capture when command was run
 
             // Find giveaway
-            const giveaway = await database.getGiveaway(giveawayInput);
-            if (!giveaway) {
-                return interaction.editReply({
-                    content: `âŒ Giveaway not found: **${giveawayInput}**\nUse \`/listgaws\` to see available giveaways.`,
-                    ephemeral: true
-                });
-            }
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
 
             const participantCount = Object.keys(giveaway.participants || {}).length;
 
@@ -44,7 +44,10 @@ module.exports = {
                             `**Status:** ${giveaway.active ? 'ðŸŸ¢ Active' : 'ðŸ”´ Inactive'}`,
                             `**Channel:** <#${giveaway.channel}>`,
                             `**V-Bucks per Entry:** ${giveaway.vbucksPerEntry}`,
-                            `**Winner:** ${giveaway.winner ? `<@${giveaway.winner}>` : 'Not selected'}`
+                            `**Winners to Draw:** ${giveaway.winnerCount || 1}`,
+                            giveaway.winners?.length > 1
+                                ? `**Winners:** ${giveaway.winners.map(id => `<@${id}>`).join(', ')}`
+                                : `**Winner:** ${giveaway.winner ? `<@${giveaway.winner}>` : 'Not selected'}`
                         ].join('\n'),
                         inline: false
                     },
@@ -1,6 +1,9 @@
 const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
 const wheelGenerator = require('../../utils/wheelGenerator');
+const fairness = require('../../utils/fairness');
+const eligibility = require('../../utils/eligibility');
 const logger = require('../../utils/logger');
 const moment = require('moment-timezone');
 
@@ -8,6 +11,8 @@ const moment = require('moment-timezone');
 const DISCORD_FREE_LIMIT = 10 * 1024 * 1024; // 10MB
 const DISCORD_NITRO_LIMIT = 25 * 1024 * 1024; // 25MB (if bot has Nitro)
 
+const MAX_INELIGIBLE_SHOWN = 10;
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('spin')
@@ -15,33 +20,32 @@ module.exports = {
         .addStringOption(option =>
             option.setName('giveaway')
                 .setDescription('Giveaway ID or name to spin')
+                .setAutocomplete(true)
                 .setRequired(true))
         .addBooleanOption(option =>
             option.setName('no-animation')
                 .setDescription('Skip wheel animation for faster results')
                 .setRequired(false)),
 
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
     async execute(interaction, bot) {
         try {
             await interaction.deferReply();
 
-            const giveawayInput = interaction.options.getString('giveaway');
             const skipAnimation = interaction.options.getBoolean('no-animation') || false;
             
             // Capture spin time immediately for timestamp
             const spinTime = new Date();
 
             // Find giveaway
-            const giveaway = await database.getGiveaway(giveawayInput);
-            if (!giveaway) {
-                return interaction.editReply({
-                    content: `âŒ Giveaway not found: **${giveawayInput}**\nUse \`/listgaws\` to see available giveaways.`,
-                    ephemeral: true
-                });
-            }
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
 
             // Check if giveaway has participants
-            const participantCount = Object.keys(giveaway.participants).length;
+            const participantCount = Object.values(giveaway.participants).filter(p => p.entries > 0).length;
             if (participantCount === 0) {
                 return interaction.editReply({
                     content: `âŒ No participants in giveaway **${giveaway.name}**\nAdd purchases with \`/addpurchase\` first.`,
@@ -52,14 +56,23 @@ module.exports = {
             // Check if giveaway already has a winner
             if (giveaway.winner) {
                 return interaction.editReply({
-                    content: `âš ï¸ Giveaway **${giveaway.name}** already has a winner: <@${giveaway.winner}>\nUse \`/editgaw\` to reset the winner if needed.`,
+                    content: `âš ï¸ Giveaway **${giveaway.name}** already has a winner: <@${giveaway.winner}>\nUse \`/reroll\` to draw a new winner if needed.`,
+                    ephemeral: true
+                });
+            }
+
+            const { poolGiveaway, ineligible } = await this.getEligiblePool(interaction.guild, giveaway);
+            const eligibleCount = Object.values(poolGiveaway.participants).filter(p => p.entries > 0).length;
+            if (eligibleCount === 0) {
+                return interaction.editReply({
+                    content: `❌ No eligible participants in giveaway **${giveaway.name}**:\n${this.formatIneligible(ineligible)}`,
                     ephemeral: true
                 });
             }
 
             // Validate wheel data
             try {
-                wheelGenerator.validateWheelData(giveaway.participants, giveaway.name);
+                wheelGenerator.validateWheelData(poolGiveaway.participants, giveaway.name);
             } catch (validationError) {
                 return interaction.editReply({
                     content: `âŒ Invalid wheel data: ${validationError.message}`,
@@ -67,9 +80,11 @@ module.exports = {
                 });
             }
 
-            // Select random winner based on entries
-            const winner = wheelGenerator.selectRandomWinner(giveaway.participants);
-            if (!winner) {
+            // Publish (or reuse) the seed commitment, then derive winners from it without replacement
+            const commitment = await this.ensureCommitment(giveaway, interaction.channel);
+            const excludedUserIds = [...ineligible.keys()];
+            const winners = this.drawWinners(giveaway, giveaway.winnerCount || 1, commitment, excludedUserIds);
+            if (winners.length === 0) {
                 return interaction.editReply({
                     content: 'âŒ Failed to select winner. Please try again.',
                     ephemeral: true
@@ -89,10 +104,12 @@ module.exports = {
                     {
                         name: 'ðŸŽ¯ Wheel Details',
                         value: [
-                            `**Participants:** ${participantCount}`,
-                            `**Total Entries:** ${giveaway.totalEntries}`,
+                            `**Participants:** ${eligibleCount}`,
+                            `**Total Entries:** ${poolGiveaway.totalEntries}`,
                             `**V-Bucks per Entry:** ${giveaway.vbucksPerEntry}`,
-                            `**Selected Winner:** ||<@${winner.userId}>||`
+                            winners.length > 1
+                                ? `**Selected Winners:** ${winners.map(w => `||<@${w.userId}>||`).join(' ')}`
+                                : `**Selected Winner:** ||<@${winners[0].userId}>||`
                         ].join('\n'),
                         inline: false
                     },
@@ -110,156 +127,37 @@ module.exports = {
 
             await interaction.editReply({ embeds: [spinningEmbed] });
 
-            let wheelBuffer = null;
-            let wheelError = null;
-
             // Generate wheel animation (unless skipped)
-            if (!skipAnimation) {
-                try {
-                    logger.wheel(`Starting FIXED PALETTE wheel generation for ${giveaway.id} with winner ${winner.userId}`);
-                    
-                    // UPDATED: Use fixed palette wheel generation
-                    const wheelOptions = {
-                        quality: 15,        // Better quality with fixed palette
-                        frameDelay: 40,     // Smooth 25fps animation
-                        canvasSize: 500,    // Good quality size
-                        participants: participantCount
-                    };
-                    
-                    // Adjust settings based on participant count for performance
-                    if (participantCount > 15) {
-                        wheelOptions.quality = 12; // Better quality for fixed palette
-                        wheelOptions.frameDelay = 50;
-                        wheelOptions.canvasSize = 450;
-                    }
-                    if (participantCount > 25) {
-                        wheelOptions.quality = 10; // Still better than before
-                        wheelOptions.frameDelay = 60;
-                        wheelOptions.canvasSize = 400;
-                    }
+            const { wheelBuffer, wheelError } = skipAnimation
+                ? { wheelBuffer: null, wheelError: null }
+                : await this.generateWheel(poolGiveaway, winners, eligibleCount);
 
-                    // Set timeout based on participant count
-                    const timeoutMs = Math.min(45000, 8000 + (participantCount * 800));
-                    
-                    // UPDATED: Use the new fixed palette method
-                    const wheelPromise = wheelGenerator.generateFixedPaletteSpinningWheel(
-                        giveaway.participants, 
-                        winner.userId, 
-                        giveaway.name,
-                        wheelOptions
-                    );
-                    
-                    const timeoutPromise = new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Wheel generation timeout')), timeoutMs)
-                    );
-                    
-                    wheelBuffer = await Promise.race([wheelPromise, timeoutPromise]);
-                    
-                    // Check file size
-                    if (wheelBuffer && wheelBuffer.length > DISCORD_FREE_LIMIT) {
-                        logger.warn(`Wheel GIF too large: ${(wheelBuffer.length / 1024 / 1024).toFixed(2)}MB`);
-                        wheelBuffer = null;
-                        wheelError = new Error(`Generated wheel (${(wheelBuffer.length / 1024 / 1024).toFixed(1)}MB) exceeds Discord's 10MB limit`);
-                    } else if (wheelBuffer) {
-                        logger.success(`Fixed palette wheel GIF generated: ${(wheelBuffer.length / 1024 / 1024).toFixed(2)}MB - NO COLOR FLASHING`);
-                    }
-                    
-                } catch (error) {
-                    logger.error('Fixed palette wheel generation failed:', error);
-                    wheelError = error;
-                    wheelBuffer = null;
-                }
-            }
-
-            // Update giveaway with winner regardless of wheel success
-            await database.updateGiveaway(giveaway.id, { 
-                winner: winner.userId,
-                completedAt: spinTime.toISOString()
+            // Update giveaway with winners regardless of wheel success
+            await this.recordDraw(giveaway, winners, {
+                drawnAt: spinTime,
+                triggeredBy: interaction.user.id,
+                commitment,
+                type: 'spin',
+                excludedUserIds
             });
 
-            // Create winner announcement embed with enhanced WheelOfNames style
-            const winnerEmbed = new EmbedBuilder()
-                .setColor('#28A745')
-                .setTitle('ðŸŽ‰ WINNER SELECTED! ðŸŽ‰')
-                .setDescription(`**${giveaway.name}** has been completed!`)
-                .addFields(
-                    {
-                        name: 'ðŸ† Winner',
-                        value: `<@${winner.userId}>`,
-                        inline: true
-                    },
-                    {
-                        name: 'ðŸŽ« Winning Details',
-                        value: [
-                            `**Entries:** ${winner.entries}`,
-                            `**V-Bucks Spent:** ${winner.vbucksSpent}`,
-                            `**Win Chance:** ${((winner.entries / giveaway.totalEntries) * 100).toFixed(2)}%`
-                        ].join('\n'),
-                        inline: true
-                    },
-                    {
-                        name: 'ðŸ“Š Final Statistics',
-                        value: [
-                            `**Total Participants:** ${participantCount}`,
-                            `**Total Entries:** ${giveaway.totalEntries}`,
-                            `**Total V-Bucks Tracked:** ${Object.values(giveaway.participants).reduce((sum, p) => sum + p.vbucksSpent, 0).toLocaleString()}`
-                        ].join('\n'),
-                        inline: false
-                    },
-                    {
-                        name: 'ðŸ• Spin Information',
-                        value: this.formatSpinTimestamp(spinTime),
-                        inline: false
-                    }
-                )
-                .setTimestamp(spinTime)
-                .setFooter({
-                    text: `Giveaway ID: ${giveaway.id} | Use code 'sheready' in the item shop!`,
-                    iconURL: bot.client.user.displayAvatarURL()
-                });
-
-            // Add wheel generation status
-            if (skipAnimation) {
-                winnerEmbed.addFields({
-                    name: 'âš¡ Quick Selection',
-                    value: 'Animation was skipped for faster results.',
-                    inline: false
-                });
-            } else if (wheelError) {
-                winnerEmbed.addFields({
-                    name: 'âš ï¸ Animation Status',
-                    value: `Fixed-palette wheel animation could not be generated: ${this.getSimpleErrorMessage(wheelError.message)}\n\n*Winner selection was completed successfully.*`,
-                    inline: false
-                });
-            } else if (wheelBuffer) {
-                const fileSizeMB = (wheelBuffer.length / 1024 / 1024).toFixed(1);
-                winnerEmbed.addFields({
-                    name: 'ðŸŽ¡ Fixed-Palette Wheel Animation',
-                    value: `Generated stable wheel animation (${fileSizeMB}MB) with **NO COLOR FLASHING** using fixed global color palette!`,
-                    inline: false
-                });
-            }
-
-            // Send result with or without wheel attachment
+            // Create winner announcement embed and attach the wheel if it was generated
+            const winnerEmbed = this.buildWinnerEmbed(poolGiveaway, winners, spinTime, bot, { skipAnimation, wheelBuffer, wheelError, commitment, ineligible });
             const response = { embeds: [winnerEmbed] };
-            
+
             if (wheelBuffer && !wheelError) {
-                const attachment = new AttachmentBuilder(wheelBuffer, { 
-                    name: `wheel-${giveaway.id}-${Date.now()}.gif`,
-                    description: `Fixed-Palette Fortnite Giveaway Wheel - ${giveaway.name}`
-                });
-                response.files = [attachment];
-                
-                logger.wheel(`Fixed-palette wheel animation sent for ${giveaway.id} (${(wheelBuffer.length / 1024 / 1024).toFixed(2)}MB) - NO FLASHING`);
+                response.files = [this.buildWheelAttachment(giveaway, wheelBuffer)];
             }
 
             await interaction.editReply(response);
 
             // Log the completion
-            logger.giveaway('COMPLETED', giveaway.id, `Winner: ${winner.userId} at ${spinTime.toISOString()}`);
+            logger.giveaway('COMPLETED', giveaway.id, `Winners: ${winners.map(w => w.userId).join(', ')} at ${spinTime.toISOString()}`);
 
-            // Notify winner
-            await this.notifyWinner(interaction, winner, giveaway, spinTime);
+            // Notify winners
+            for (const [index, winner] of winners.entries()) {
+                await this.notifyWinner(interaction.guild, winner, giveaway, spinTime, winners.length > 1 ? index + 1 : null);
+            }
 
         } catch (error) {
             logger.error('Failed to spin wheel:', error);
@@ -315,6 +213,412 @@ module.exports = {
         }
     },
 
+    // Generate the spinning wheel GIF, returning the buffer or the error that prevented it
+    async generateWheel(giveaway, winners, participantCount) {
+        let wheelBuffer = null;
+        let wheelError = null;
+
+        try {
+            logger.wheel(`Starting FIXED PALETTE wheel generation for ${giveaway.id} with winner(s) ${winners.map(w => w.userId).join(', ')}`);
+            
+            // UPDATED: Use fixed palette wheel generation
+            const wheelOptions = {
+                quality: 15,        // Better quality with fixed palette
+                frameDelay: 40,     // Smooth 25fps animation
+                canvasSize: 500,    // Good quality size
+                participants: participantCount
+            };
+            
+            // Adjust settings based on participant count for performance
+            if (participantCount > 15) {
+                wheelOptions.quality = 12; // Better quality for fixed palette
+                wheelOptions.frameDelay = 50;
+                wheelOptions.canvasSize = 450;
+            }
+            if (participantCount > 25) {
+                wheelOptions.quality = 10; // Still better than before
+                wheelOptions.frameDelay = 60;
+                wheelOptions.canvasSize = 400;
+            }
+
+            // Set timeout based on participant count and number of spins
+            const timeoutMs = Math.min(45000, 8000 + (participantCount * 800)) * winners.length;
+            
+            // UPDATED: Use the new fixed palette method (elimination wheel for multiple winners)
+            const wheelPromise = winners.length > 1
+                ? wheelGenerator.generateEliminationWheel(
+                    giveaway.participants,
+                    winners.map(w => w.userId),
+                    giveaway.name,
+                    wheelOptions
+                )
+                : wheelGenerator.generateFixedPaletteSpinningWheel(
+                    giveaway.participants, 
+                    winners[0].userId, 
+                    giveaway.name,
+                    wheelOptions
+                );
+            
+            const timeoutPromise = new Promise((_, reject) => 
+                setTimeout(() => reject(new Error('Wheel generation timeout')), timeoutMs)
+            );
+            
+            wheelBuffer = await Promise.race([wheelPromise, timeoutPromise]);
+            
+            // Check file size
+            if (wheelBuffer && wheelBuffer.length > DISCORD_FREE_LIMIT) {
+                const sizeMB = wheelBuffer.length / 1024 / 1024;
+                logger.warn(`Wheel GIF too large: ${sizeMB.toFixed(2)}MB`);
+                wheelBuffer = null;
+                wheelError = new Error(`Generated wheel (${sizeMB.toFixed(1)}MB) exceeds Discord's 10MB limit`);
+            } else if (wheelBuffer) {
+                logger.success(`Fixed palette wheel GIF generated: ${(wheelBuffer.length / 1024 / 1024).toFixed(2)}MB - NO COLOR FLASHING`);
+            }
+            
+        } catch (error) {
+            logger.error('Fixed palette wheel generation failed:', error);
+            wheelError = error;
+            wheelBuffer = null;
+        }
+
+        return { wheelBuffer, wheelError };
+    },
+
+    // Build the winner announcement embed with enhanced WheelOfNames style
+    buildWinnerEmbed(giveaway, winners, spinTime, bot, { skipAnimation = false, wheelBuffer = null, wheelError = null, commitment = null, ineligible = null } = {}) {
+        const participantCount = Object.keys(giveaway.participants).length;
+        const [winner] = winners;
+
+        const winnerEmbed = new EmbedBuilder()
+            .setColor('#28A745')
+            .setTitle(winners.length > 1 ? '🎉 WINNERS SELECTED! 🎉' : 'ðŸŽ‰ WINNER SELECTED! ðŸŽ‰')
+            .setDescription(`**${giveaway.name}** has been completed!`);
+
+        if (winners.length > 1) {
+            winnerEmbed.addFields({
+                name: '🏆 Winners',
+                value: winners.map((w, index) =>
+                    `**${this.formatPlace(index + 1)}:** <@${w.userId}> - ${w.entries} entries (${w.vbucksSpent} V-Bucks)`
+                ).join('\n'),
+                inline: false
+            });
+        } else {
+            winnerEmbed.addFields(
+                {
+                    name: 'ðŸ† Winner',
+                    value: `<@${winner.userId}>`,
+                    inline: true
+                },
+                {
+                    name: 'ðŸŽ« Winning Details',
+                    value: [
+                        `**Entries:** ${winner.entries}`,
+                        `**V-Bucks Spent:** ${winner.vbucksSpent}`,
+                        `**Win Chance:** ${((winner.entries / giveaway.totalEntries) * 100).toFixed(2)}%`
+                    ].join('\n'),
+                    inline: true
+                }
+            );
+        }
+
+        const requestedWinners = giveaway.winnerCount || 1;
+        if (winners.length < requestedWinners) {
+            winnerEmbed.addFields({
+                name: '⚠️ Fewer Winners',
+                value: `Only ${winners.length} of ${requestedWinners} winners could be drawn because there were not enough eligible participants.`,
+                inline: false
+            });
+        }
+
+        if (ineligible?.size > 0) {
+            winnerEmbed.addFields({
+                name: '🚫 Left Out (Not Eligible)',
+                value: this.formatIneligible(ineligible).slice(0, 1024),
+                inline: false
+            });
+        }
+
+        winnerEmbed
+            .addFields(
+                {
+                    name: 'ðŸ“Š Final Statistics',
+                    value: [
+                        `**Total Participants:** ${participantCount}`,
+                        `**Total Entries:** ${giveaway.totalEntries}`,
+                        `**Total V-Bucks Tracked:** ${Object.values(giveaway.participants).reduce((sum, p) => sum + p.vbucksSpent, 0).toLocaleString()}`
+                    ].join('\n'),
+                    inline: false
+                },
+                {
+                    name: 'ðŸ• Spin Information',
+                    value: this.formatSpinTimestamp(spinTime),
+                    inline: false
+                }
+            )
+            .setTimestamp(spinTime)
+            .setFooter({
+                text: `Giveaway ID: ${giveaway.id} | Use code 'sheready' in the item shop!`,
+                iconURL: bot.client.user.displayAvatarURL()
+            });
+
+        if (commitment) {
+            winnerEmbed.addFields({
+                name: '🔐 Provably Fair',
+                value: `${fairness.formatReveal(commitment)}\nCheck this result with \`/verifyspin giveaway:${giveaway.id}\``,
+                inline: false
+            });
+        }
+
+        // Add wheel generation status
+        if (skipAnimation) {
+            winnerEmbed.addFields({
+                name: 'âš¡ Quick Selection',
+                value: 'Animation was skipped for faster results.',
+                inline: false
+            });
+        } else if (wheelError) {
+            winnerEmbed.addFields({
+                name: 'âš ï¸ Animation Status',
+                value: `Fixed-palette wheel animation could not be generated: ${this.getSimpleErrorMessage(wheelError.message)}\n\n*Winner selection was completed successfully.*`,
+                inline: false
+            });
+        } else if (wheelBuffer) {
+            const fileSizeMB = (wheelBuffer.length / 1024 / 1024).toFixed(1);
+            winnerEmbed.addFields({
+                name: 'ðŸŽ¡ Fixed-Palette Wheel Animation',
+                value: `Generated stable wheel animation (${fileSizeMB}MB) with **NO COLOR FLASHING** using fixed global color palette!`,
+                inline: false
+            });
+        }
+
+        return winnerEmbed;
+    },
+
+    buildWheelAttachment(giveaway, wheelBuffer) {
+        const attachment = new AttachmentBuilder(wheelBuffer, { 
+            name: `wheel-${giveaway.id}-${Date.now()}.gif`,
+            description: `Fixed-Palette Fortnite Giveaway Wheel - ${giveaway.name}`
+        });
+
+        logger.wheel(`Fixed-palette wheel animation sent for ${giveaway.id} (${(wheelBuffer.length / 1024 / 1024).toFixed(2)}MB) - NO FLASHING`);
+        return attachment;
+    },
+
+    // Run the spin flow without an interaction (used by the scheduler's auto-spin)
+    async autoSpin(giveaway, bot) {
+        const channel = await bot.client.channels.fetch(giveaway.channel);
+        const participantCount = Object.keys(giveaway.participants || {}).length;
+
+        if (participantCount === 0) {
+            await channel.send(`⚠️ Auto-spin skipped for **${giveaway.name}**: no participants.`);
+            logger.giveaway('AUTO-SPIN SKIPPED', giveaway.id, 'no participants');
+            return null;
+        }
+
+        const { poolGiveaway, ineligible } = await this.getEligiblePool(channel.guild, giveaway);
+        const eligibleCount = Object.values(poolGiveaway.participants).filter(p => p.entries > 0).length;
+
+        if (eligibleCount === 0) {
+            await channel.send(`⚠️ Auto-spin skipped for **${giveaway.name}**: no eligible participants.`);
+            logger.giveaway('AUTO-SPIN SKIPPED', giveaway.id, 'no eligible participants');
+            return null;
+        }
+
+        wheelGenerator.validateWheelData(poolGiveaway.participants, giveaway.name);
+
+        const spinTime = new Date();
+        const commitment = await this.ensureCommitment(giveaway, channel);
+        const excludedUserIds = [...ineligible.keys()];
+        const winners = this.drawWinners(giveaway, giveaway.winnerCount || 1, commitment, excludedUserIds);
+        if (winners.length === 0) {
+            throw new Error(`Failed to select winner for ${giveaway.id}`);
+        }
+
+        const { wheelBuffer, wheelError } = await this.generateWheel(poolGiveaway, winners, eligibleCount);
+
+        await this.recordDraw(giveaway, winners, {
+            drawnAt: spinTime,
+            triggeredBy: 'scheduler',
+            reason: 'Auto-spin',
+            commitment,
+            type: 'spin',
+            excludedUserIds
+        });
+
+        const winnerEmbed = this.buildWinnerEmbed(poolGiveaway, winners, spinTime, bot, { wheelBuffer, wheelError, commitment, ineligible });
+        const fallbackText = winners.length > 1
+            ? `🎉 **${giveaway.name}** auto-spin winners: ${winners.map((w, index) => `${this.formatPlace(index + 1)} <@${w.userId}>`).join(', ')}`
+            : `🎉 **${giveaway.name}** auto-spin winner: <@${winners[0].userId}> (${winners[0].entries} entries)`;
+
+        try {
+            if (wheelBuffer && !wheelError) {
+                await channel.send({ embeds: [winnerEmbed], files: [this.buildWheelAttachment(giveaway, wheelBuffer)] });
+            } else {
+                await channel.send({ content: fallbackText, embeds: [winnerEmbed] });
+            }
+        } catch (sendError) {
+            logger.warn(`Auto-spin result upload failed for ${giveaway.id}, sending text result: ${sendError.message}`);
+            await channel.send(fallbackText);
+        }
+
+        logger.giveaway('AUTO-SPIN COMPLETED', giveaway.id, `Winners: ${winners.map(w => w.userId).join(', ')} at ${spinTime.toISOString()}`);
+
+        for (const [index, winner] of winners.entries()) {
+            await this.notifyWinner(channel.guild, winner, giveaway, spinTime, winners.length > 1 ? index + 1 : null);
+        }
+        return winners;
+    },
+
+    // Reuse the unrevealed commitment published at close, or publish a fresh one in `channel`.
+    // A new commitment is needed after a reveal or when participants changed since committing.
+    async ensureCommitment(giveaway, channel) {
+        const pending = giveaway.fairness;
+        if (pending && !pending.revealed && pending.publicSeed &&
+            pending.participantsHash === fairness.hashParticipants(giveaway.participants)) {
+            return pending;
+        }
+
+        const commitment = fairness.createCommitment(giveaway.participants);
+        const message = await channel.send({
+            embeds: [new EmbedBuilder()
+                .setColor('#6F42C1')
+                .setTitle('🔐 Fairness Commitment')
+                .setDescription(`The next draw for **${giveaway.name}** is locked in.`)
+                .addFields({
+                    name: 'Commitment',
+                    value: fairness.formatCommitment(commitment),
+                    inline: false
+                })
+                .setTimestamp()]
+        });
+        commitment.publicSeed = message.id;
+
+        await database.updateGiveaway(giveaway.id, { fairness: commitment });
+        return commitment;
+    },
+
+    // The giveaway as the draw sees it: participants the eligibility rules now rule out are
+    // left off the wheel and out of the totals. `ineligible` maps their user IDs to the reasons.
+    async getEligiblePool(guild, giveaway) {
+        const ineligible = await eligibility.findIneligible(guild, giveaway);
+        if (ineligible.size === 0) {
+            return { poolGiveaway: giveaway, ineligible };
+        }
+
+        const pool = Object.fromEntries(
+            Object.entries(giveaway.participants || {})
+                .filter(([userId]) => !ineligible.has(userId))
+        );
+
+        return {
+            poolGiveaway: {
+                ...giveaway,
+                participants: pool,
+                totalEntries: Object.values(pool).reduce((sum, p) => sum + (p.entries || 0), 0)
+            },
+            ineligible
+        };
+    },
+
+    formatIneligible(ineligible) {
+        const lines = [...ineligible.entries()]
+            .slice(0, MAX_INELIGIBLE_SHOWN)
+            .map(([userId, reasons]) => `<@${userId}>: ${reasons.join('; ')}`);
+
+        if (ineligible.size > MAX_INELIGIBLE_SHOWN) {
+            lines.push(`...and ${ineligible.size - MAX_INELIGIBLE_SHOWN} more`);
+        }
+
+        return lines.join('\n');
+    },
+
+    // Winners derived from the commitment, as participant records in place order
+    drawWinners(giveaway, count, commitment, excludeUserIds = []) {
+        return fairness.drawWinnerIds(giveaway.participants, count, commitment, excludeUserIds)
+            .map(userId => giveaway.participants[userId]);
+    },
+
+    // Save the winners from `place` onwards, reveal the server seed and append each draw to the winner history.
+    // The commitment's participant snapshot is kept once, under its server seed hash, for /verifyspin.
+    async recordDraw(giveaway, winners, { drawnAt, triggeredBy, reason = null, commitment, type = 'spin', previousWinner = null, place = 1, excludedUserIds = [] }) {
+        const currentWinners = [...this.getCurrentWinners(giveaway)];
+        const { participants: snapshot, ...published } = commitment;
+        const revealed = { ...published, revealed: true, revealedAt: drawnAt.toISOString() };
+
+        const entries = winners.map((winner, index) => {
+            const entry = {
+                userId: winner.userId,
+                place: place + index,
+                drawnAt: drawnAt.toISOString(),
+                triggeredBy,
+                reason,
+                seed: commitment.serverSeed,
+                type,
+                fairness: {
+                    serverSeed: commitment.serverSeed,
+                    serverSeedHash: commitment.serverSeedHash,
+                    publicSeed: commitment.publicSeed,
+                    participantsHash: commitment.participantsHash,
+                    excludedUserIds
+                }
+            };
+            if (previousWinner) {
+                entry.previousWinner = previousWinner;
+            }
+
+            currentWinners[place + index - 1] = winner.userId;
+            return entry;
+        });
+
+        return database.updateGiveaway(giveaway.id, {
+            winner: currentWinners[0],
+            winners: currentWinners,
+            completedAt: drawnAt.toISOString(),
+            fairness: revealed,
+            ...(snapshot && {
+                participantSnapshots: { ...giveaway.participantSnapshots, [commitment.serverSeedHash]: snapshot }
+            }),
+            winnerHistory: [...this.getWinnerHistory(giveaway), ...entries]
+        });
+    },
+
+    // Winner user IDs in place order (giveaways from before winnerCount only carry `winner`)
+    getCurrentWinners(giveaway) {
+        if (Array.isArray(giveaway.winners) && giveaway.winners.length > 0) {
+            return giveaway.winners;
+        }
+        return giveaway.winner ? [giveaway.winner] : [];
+    },
+
+    formatPlace(place) {
+        const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
+        const suffix = (place % 100 >= 11 && place % 100 <= 13)
+            ? 'th'
+            : { 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th';
+
+        return `${medals[place] ? `${medals[place]} ` : ''}${place}${suffix}`;
+    },
+
+    // Giveaways completed before winnerHistory existed only carry `winner`
+    getWinnerHistory(giveaway) {
+        if (Array.isArray(giveaway.winnerHistory) && giveaway.winnerHistory.length > 0) {
+            return giveaway.winnerHistory;
+        }
+        if (!giveaway.winner) {
+            return [];
+        }
+
+        return [{
+            userId: giveaway.winner,
+            place: 1,
+            drawnAt: giveaway.completedAt || null,
+            triggeredBy: null,
+            reason: null,
+            seed: null,
+            type: 'spin'
+        }];
+    },
+
     // Format spin timestamp for multiple timezones
     formatSpinTimestamp(spinTime) {
         const utc1 = moment(spinTime).tz('Europe/London');
@@ -344,21 +648,23 @@ module.exports = {
         return 'Generation error';
     },
 
-    // Helper method to notify winner with enhanced message
-    async notifyWinner(interaction, winner, giveaway, spinTime) {
+    // Helper method to notify winner with enhanced message (place is set for multi-winner giveaways)
+    async notifyWinner(guild, winner, giveaway, spinTime, place = null) {
         try {
-            const guild = interaction.guild;
             const member = await guild.members.fetch(winner.userId);
             
             if (member) {
                 const notificationEmbed = new EmbedBuilder()
                     .setColor('#28A745')
                     .setTitle('ðŸŽ‰ Congratulations! You Won!')
-                    .setDescription(`You have won the giveaway: **${giveaway.name}**!`)
+                    .setDescription(place
+                        ? `You placed **${this.formatPlace(place)}** in the giveaway: **${giveaway.name}**!`
+                        : `You have won the giveaway: **${giveaway.name}**!`)
                     .addFields(
                         {
                             name: 'ðŸŽ¯ Your Winning Details',
                             value: [
+                                ...(place ? [`**Your Place:** ${this.formatPlace(place)}`] : []),
                                 `**Your Entries:** ${winner.entries}`,
                                 `**V-Bucks Spent:** ${winner.vbucksSpent}`,
                                 `**Win Probability:** ${((winner.entries / giveaway.totalEntries) * 100).toFixed(2)}%`,
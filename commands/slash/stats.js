@@ -1,5 +1,7 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const spinCommand = require('./spin');
 const logger = require('../../utils/logger');
 
 module.exports = {
@@ -13,6 +15,7 @@ module.exports = {
                 .addStringOption(option =>
                     option.setName('giveaway')
                         .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
                         .setRequired(true)))
         .addSubcommand(subcommand =>
             subcommand
@@ -27,6 +30,10 @@ module.exports = {
                 .setName('global')
                 .setDescription('Show global bot statistics')),
 
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
     async execute(interaction, bot) {
         try {
             await interaction.deferReply();
@@ -63,17 +70,12 @@ module.exports = {
     },
 
     async showGiveawayStats(interaction, bot) {
-        const giveawayInput = interaction.options.getString('giveaway');
-        
-        const giveaway = await database.getGiveaway(giveawayInput);
-        if (!giveaway) {
-            return interaction.editReply({
-                content: `Giveaway not found: **${giveawayInput}**`,
-                ephemeral: true
-            });
-        }
+        const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+        if (!giveaway) return;
 
-        const purchases = await database.getPurchasesByGiveaway(giveaway.id);
+        const records = await database.getPurchasesByGiveaway(giveaway.id);
+        const purchases = records.filter(p => database.earnsFromVbucks(p));
+        const submissions = records.filter(p => database.isSubmission(p));
         const participantCount = Object.keys(giveaway.participants || {}).length;
 
         const embed = new EmbedBuilder()
@@ -88,7 +90,9 @@ module.exports = {
                         `**Channel:** <#${giveaway.channel}>`,
                         `**Created:** ${new Date(giveaway.createdAt).toLocaleDateString()}`,
                         `**Created By:** <@${giveaway.createdBy}>`,
-                        `**Winner:** ${giveaway.winner ? `<@${giveaway.winner}>` : 'Not selected'}`
+                        giveaway.winners?.length > 1
+                            ? `**Winners:** ${giveaway.winners.map(id => `<@${id}>`).join(', ')}`
+                            : `**Winner:** ${giveaway.winner ? `<@${giveaway.winner}>` : 'Not selected'}`
                     ].join('\n'),
                     inline: true
                 },
@@ -98,26 +102,38 @@ module.exports = {
                         `**Total Participants:** ${participantCount}`,
                         `**Total Entries:** ${giveaway.totalEntries || 0}`,
                         `**Total Purchases:** ${purchases.length}`,
+                        ...(submissions.length > 0 ? [`**Submission Entries:** ${submissions.reduce((sum, p) => sum + p.entriesEarned, 0)} (${submissions.length} grants)`] : []),
                         `**V-Bucks per Entry:** ${giveaway.vbucksPerEntry}`
                     ].join('\n'),
                     inline: true
                 }
             );
 
-        if (purchases.length > 0) {
-            const totalVbucks = purchases.reduce((sum, p) => sum + (p.vbucksSpent || 0), 0);
-            const avgVbucks = Math.round(totalVbucks / purchases.length);
-            const avgEntries = Math.round((giveaway.totalEntries || 0) / participantCount);
-
+        const breakdown = this.summarizeEntries(records);
+        if (breakdown.bonus > 0) {
             embed.addFields({
-                name: '💰 Financial Stats',
-                value: [
-                    `**Total V-Bucks Tracked:** ${totalVbucks.toLocaleString()}`,
-                    `**Average V-Bucks/Purchase:** ${avgVbucks.toLocaleString()}`,
-                    `**Average Entries/User:** ${avgEntries}`
-                ].join('\n'),
+                name: '🎟️ Entry Breakdown',
+                value: this.formatEntryBreakdown(breakdown),
                 inline: false
             });
+        }
+
+        if (records.length > 0) {
+            if (purchases.length > 0) {
+                const totalVbucks = purchases.reduce((sum, p) => sum + (p.vbucksSpent || 0), 0);
+                const avgVbucks = Math.round(totalVbucks / purchases.length);
+                const avgEntries = Math.round((giveaway.totalEntries || 0) / participantCount);
+
+                embed.addFields({
+                    name: '💰 Financial Stats',
+                    value: [
+                        `**Total V-Bucks Tracked:** ${totalVbucks.toLocaleString()}`,
+                        `**Average V-Bucks/Purchase:** ${avgVbucks.toLocaleString()}`,
+                        `**Average Entries/User:** ${avgEntries}`
+                    ].join('\n'),
+                    inline: false
+                });
+            }
 
             // Top participants
             if (participantCount > 0) {
@@ -135,6 +151,36 @@ module.exports = {
             }
         }
 
+        // Every draw in order, including rerolls
+        const winnerHistory = spinCommand.getWinnerHistory(giveaway);
+        if (winnerHistory.length > 0) {
+            const historyLines = winnerHistory.map((draw, i) => {
+                const drawnAt = draw.drawnAt ? `<t:${Math.floor(new Date(draw.drawnAt).getTime() / 1000)}:f>` : 'Unknown time';
+                const triggeredBy = draw.triggeredBy === 'scheduler'
+                    ? 'auto-spin'
+                    : draw.triggeredBy ? `<@${draw.triggeredBy}>` : 'unknown';
+                const place = (giveaway.winnerCount || 1) > 1 && draw.place ? ` (${spinCommand.formatPlace(draw.place)})` : '';
+                const lines = [`${i + 1}. ${draw.type === 'reroll' ? '🔁' : '🎡'} <@${draw.userId}>${place} - ${drawnAt} by ${triggeredBy}`];
+
+                if (draw.reason) lines.push(`   Reason: ${draw.reason}`);
+                if (draw.seed) lines.push(`   Seed: \`${draw.seed}\``);
+                return lines.join('\n');
+            });
+
+            // Keep the most recent draws when the chain outgrows an embed field
+            let historyValue = historyLines.join('\n');
+            while (historyValue.length > 1024 && historyLines.length > 1) {
+                historyLines.shift();
+                historyValue = ['…', ...historyLines].join('\n');
+            }
+
+            embed.addFields({
+                name: '🏆 Winner History',
+                value: historyValue,
+                inline: false
+            });
+        }
+
         embed.setTimestamp()
             .setFooter({
                 text: `Giveaway ID: ${giveaway.id}`,
@@ -158,6 +204,7 @@ module.exports = {
         const totalVbucks = purchases.reduce((sum, p) => sum + (p.vbucksSpent || 0), 0);
         const totalEntries = purchases.reduce((sum, p) => sum + (p.entriesEarned || 0), 0);
         const giveawayIds = new Set(purchases.map(p => p.giveawayId));
+        const purchaseCount = purchases.filter(p => database.earnsFromVbucks(p)).length;
 
         const embed = new EmbedBuilder()
             .setColor('#0099FF')
@@ -167,24 +214,57 @@ module.exports = {
                 {
                     name: '📈 Overall Stats',
                     value: [
-                        `**Total Purchases:** ${purchases.length}`,
+                        `**Total Purchases:** ${purchaseCount}`,
                         `**Total V-Bucks Spent:** ${totalVbucks.toLocaleString()}`,
                         `**Total Entries Earned:** ${totalEntries}`,
                         `**Giveaways Participated:** ${giveawayIds.size}`,
-                        `**Average V-Bucks/Purchase:** ${Math.round(totalVbucks / purchases.length).toLocaleString()}`
+                        `**Average V-Bucks/Purchase:** ${Math.round(totalVbucks / Math.max(1, purchaseCount)).toLocaleString()}`
                     ].join('\n'),
                     inline: false
+                },
+                {
+                    name: '🎟️ Entry Breakdown',
+                    value: this.formatEntryBreakdown(this.summarizeEntries(purchases)),
+                    inline: false
                 }
             );
 
+        // V-Bucks carried toward the next entry in giveaways still taking purchases
+        const progressLines = [];
+        for (const giveawayId of giveawayIds) {
+            const giveaway = await database.getGiveaway(giveawayId);
+            const participant = giveaway?.participants?.[user.id];
+            if (!giveaway?.active || !participant) continue;
+
+            // A balance can exceed a rate lowered since it was carried; it converts on the next purchase
+            const balance = participant.vbucksBalance || 0;
+            const percent = Math.min(100, Math.floor(balance / giveaway.vbucksPerEntry * 100));
+            const remaining = Math.max(0, giveaway.vbucksPerEntry - balance);
+            progressLines.push(`**${giveaway.name}:** ${balance}/${giveaway.vbucksPerEntry} V-Bucks (${percent}%) - ${remaining} more for the next entry`);
+        }
+
+        if (progressLines.length > 0) {
+            embed.addFields({
+                name: '🎯 Progress to Next Entry',
+                value: progressLines.slice(0, 10).join('\n'),
+                inline: false
+            });
+        }
+
         // Recent purchases
         const recentPurchases = purchases
             .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
             .slice(0, 5)
             .map(p => {
                 const date = new Date(p.timestamp).toLocaleDateString();
+                if (database.isSubmission(p)) {
+                    return `\`${p.purchaseId}\` 📸 **${p.entriesEarned}** entries from ${p.messageIds.length} submissions (${date})`;
+                }
+                if (database.isBonus(p)) {
+                    return `\`${p.purchaseId}\` 🎁 **+${p.entriesEarned}** bonus entries - ${database.describeBonus(p)} (${date})`;
+                }
                 const items = p.items.slice(0, 2).join(', ') + (p.items.length > 2 ? '...' : '');
-                return `**${p.vbucksSpent}** V-Bucks - ${items} (${date})`;
+                return `\`${p.purchaseId}\` **${p.vbucksSpent}** V-Bucks - ${items} (${date})`;
             })
             .join('\n');
 
@@ -206,6 +286,33 @@ module.exports = {
         await interaction.editReply({ embeds: [embed] });
     },
 
+    // Entries by where they came from: V-Bucks purchases, submissions and bonus lines
+    summarizeEntries(records) {
+        const breakdown = { purchased: 0, submitted: 0, bonus: 0, multiplier: 0, flat: 0 };
+
+        for (const record of records) {
+            if (database.isSubmission(record)) {
+                breakdown.submitted += record.entriesEarned;
+            } else if (database.isBonus(record)) {
+                breakdown.bonus += record.entriesEarned;
+                breakdown[record.bonusType === 'multiplier' ? 'multiplier' : 'flat'] += record.entriesEarned;
+            } else {
+                breakdown.purchased += record.entriesEarned;
+            }
+        }
+
+        return breakdown;
+    },
+
+    formatEntryBreakdown(breakdown) {
+        return [
+            `**From Purchases:** ${breakdown.purchased}`,
+            ...(breakdown.submitted > 0 ? [`**From Submissions:** ${breakdown.submitted}`] : []),
+            `**From Bonuses:** ${breakdown.bonus}` +
+                (breakdown.bonus > 0 ? ` (${breakdown.multiplier} from role multipliers, ${breakdown.flat} flat)` : '')
+        ].join('\n');
+    },
+
     async showGlobalStats(interaction, bot) {
     try {
         // FIXED: Calculate stats directly from cache data instead of relying on potentially empty stats.json
@@ -0,0 +1,314 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const database = require('../../utils/database');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const submissions = require('../../utils/submissions');
+const imageHash = require('../../utils/imageHash');
+const logger = require('../../utils/logger');
+
+const MAX_PENDING_SHOWN = 15;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('submissions')
+        .setDescription('Live submission tracking for giveaway channels')
+        .addSubcommand(subcommand =>
+            subcommand.setName('link')
+                .setDescription('Link a giveaway to a submissions channel')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
+                        .setRequired(true))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel where submissions are posted')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('Grant entries right away or queue them for review (default: auto)')
+                        .addChoices(
+                            { name: 'Auto-approve', value: 'auto' },
+                            { name: 'Manual review', value: 'manual' }
+                        )
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('entries-per-message')
+                        .setDescription('Entries granted per valid message (default: 1)')
+                        .setMinValue(1)
+                        .setMaxValue(100)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('max-entries-per-user')
+                        .setDescription('Cap on submission entries per user')
+                        .setMinValue(1)
+                        .setMaxValue(10000)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('unlink')
+                .setDescription('Stop tracking submissions for a giveaway')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('pending')
+                .setDescription('List submissions waiting for review')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Giveaway ID or name')
+                        .setAutocomplete(true)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('approve')
+                .setDescription('Approve a pending submission')
+                .addStringOption(option =>
+                    option.setName('message-id')
+                        .setDescription('Message ID of the submission')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('reject')
+                .setDescription('Reject a pending submission')
+                .addStringOption(option =>
+                    option.setName('message-id')
+                        .setDescription('Message ID of the submission')
+                        .setRequired(true))),
+
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'link':
+                    return this.handleLink(interaction);
+                case 'unlink':
+                    return this.handleUnlink(interaction);
+                case 'pending':
+                    return this.handlePending(interaction);
+                case 'approve':
+                    return this.handleApprove(interaction);
+                case 'reject':
+                    return this.handleReject(interaction);
+            }
+
+        } catch (error) {
+            logger.error('Failed to run submissions command:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to process submissions command. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    async handleLink(interaction) {
+        const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+        if (!giveaway) return;
+
+        if (giveaway.winner) {
+            return interaction.editReply({
+                content: `❌ **${giveaway.name}** already has a winner. Submissions can only be tracked before the spin.`,
+                ephemeral: true
+            });
+        }
+
+        const channel = interaction.options.getChannel('channel');
+        const mode = interaction.options.getString('mode') || 'auto';
+        const entriesPerSubmission = interaction.options.getInteger('entries-per-message') || 1;
+        const maxEntriesPerUser = interaction.options.getInteger('max-entries-per-user');
+
+        await database.updateGiveaway(giveaway.id, {
+            submissionChannel: channel.id,
+            submissionMode: mode,
+            entriesPerSubmission,
+            maxSubmissionEntriesPerUser: maxEntriesPerUser || null
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('🔗 Submissions Channel Linked')
+            .setDescription(`New image/video posts in ${channel} now count towards **${giveaway.name}**.`)
+            .addFields({
+                name: '⚙️ Settings',
+                value: [
+                    `**Mode:** ${mode === 'manual' ? '🕵️ Manual review' : '⚡ Auto-approve'}`,
+                    `**Entries per Message:** ${entriesPerSubmission}`,
+                    `**Cap per User:** ${maxEntriesPerUser ? `${maxEntriesPerUser} entries` : 'None'}`,
+                    `**Active:** ${giveaway.active ? 'Yes' : 'No - submissions are tracked once the giveaway is active'}`
+                ].join('\n'),
+                inline: false
+            })
+            .addFields({
+                name: '💡 Note',
+                value: 'Only new messages are tracked. Use `/analyze` with `apply-to-giveaway` for posts made before linking.',
+                inline: false
+            })
+            .setTimestamp()
+            .setFooter({
+                text: `Linked by ${interaction.user.tag}`,
+                iconURL: interaction.user.displayAvatarURL()
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+
+        logger.giveaway('UPDATED', giveaway.id, `submissions linked to #${channel.name} (${mode})`);
+    },
+
+    async handleUnlink(interaction) {
+        const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+        if (!giveaway) return;
+
+        if (!giveaway.submissionChannel) {
+            return interaction.editReply({
+                content: `❌ **${giveaway.name}** is not linked to a submissions channel.`,
+                ephemeral: true
+            });
+        }
+
+        const pendingCount = (giveaway.pendingSubmissions || []).length;
+
+        await database.updateGiveaway(giveaway.id, {
+            submissionChannel: null,
+            submissionMode: null
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor('#FFC107')
+            .setTitle('🔗 Submissions Channel Unlinked')
+            .setDescription(`<#${giveaway.submissionChannel}> no longer counts towards **${giveaway.name}**. Entries already granted are kept.`)
+            .setTimestamp();
+
+        if (pendingCount > 0) {
+            embed.addFields({
+                name: '⏳ Pending Submissions',
+                value: `${pendingCount} submission(s) are still waiting for review and can be approved or rejected.`,
+                inline: false
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+
+        logger.giveaway('UPDATED', giveaway.id, 'submissions unlinked');
+    },
+
+    async handlePending(interaction) {
+        const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+        if (!giveaway) return;
+
+        const pending = giveaway.pendingSubmissions || [];
+
+        if (pending.length === 0) {
+            return interaction.editReply({
+                content: `📭 No pending submissions for **${giveaway.name}**.`
+            });
+        }
+
+        let flagged = 0;
+        const lines = pending.slice(0, MAX_PENDING_SHOWN).map((submission, i) => {
+            const line = `${i + 1}. <@${submission.userId}> - [jump](${submission.url}) • <t:${Math.floor(new Date(submission.submittedAt).getTime() / 1000)}:R>\n` +
+                `   \`${submission.messageId}\``;
+
+            const [earliest] = imageHash.findDuplicates(submission.imageHashes, { exclude: submission.messageId });
+            if (!earliest) return line;
+
+            flagged++;
+            return `${line}\n   ⚠️ Image matches ${earliest.kind} \`${earliest.id}\` by <@${earliest.userId}>${earliest.url ? ` ([view](${earliest.url}))` : ''}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor('#0099FF')
+            .setTitle(`⏳ Pending Submissions: ${giveaway.name}`)
+            .setDescription(lines.join('\n'))
+            .setTimestamp()
+            .setFooter({ text: `Showing ${Math.min(pending.length, MAX_PENDING_SHOWN)} of ${pending.length} pending (oldest first)` });
+
+        if (flagged > 0) {
+            embed.addFields({
+                name: '⚠️ Possible Duplicates',
+                value: `${flagged} submission(s) reuse an image seen before. Check the linked records before approving.`,
+                inline: false
+            });
+        }
+
+        embed.addFields({
+            name: '💡 Review',
+            value: 'Use `/submissions approve` or `/submissions reject` with the message ID.',
+            inline: false
+        });
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleApprove(interaction) {
+        const messageId = interaction.options.getString('message-id').trim();
+        const result = await submissions.approve(messageId, interaction.user.id);
+
+        if (!result) {
+            return interaction.editReply({
+                content: `❌ No pending submission found for message \`${messageId}\`.\nUse \`/submissions pending\` to see the review queue.`,
+                ephemeral: true
+            });
+        }
+
+        const { giveaway, submission, record } = result;
+
+        const embed = new EmbedBuilder()
+            .setColor(record ? '#00FF00' : '#FFC107')
+            .setTitle(record ? '✅ Submission Approved' : '⚠️ Submission Approved Without Entries')
+            .setDescription(record
+                ? `<@${submission.userId}> earned **${record.entriesEarned}** entries in **${giveaway.name}**.`
+                : `<@${submission.userId}> already reached the entry cap in **${giveaway.name}**.`)
+            .addFields({
+                name: '📸 Submission',
+                value: [
+                    `**Message:** [jump](${submission.url})`,
+                    ...(record ? [`**Record ID:** \`${record.purchaseId}\``] : [])
+                ].join('\n'),
+                inline: false
+            })
+            .setTimestamp()
+            .setFooter({
+                text: `Approved by ${interaction.user.tag}`,
+                iconURL: interaction.user.displayAvatarURL()
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleReject(interaction) {
+        const messageId = interaction.options.getString('message-id').trim();
+        const result = await submissions.reject(messageId);
+
+        if (!result) {
+            return interaction.editReply({
+                content: `❌ No pending submission found for message \`${messageId}\`.\nUse \`/submissions pending\` to see the review queue.`,
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#DC3545')
+            .setTitle('🚫 Submission Rejected')
+            .setDescription(`[This submission](${result.submission.url}) from <@${result.submission.userId}> will not earn entries in **${result.giveaway.name}**.`)
+            .setTimestamp()
+            .setFooter({
+                text: `Rejected by ${interaction.user.tag}`,
+                iconURL: interaction.user.displayAvatarURL()
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
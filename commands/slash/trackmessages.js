@@ -1,4 +1,6 @@
 const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const messageCache = require('../../utils/messageCache');
+const messageValidator = require('../../utils/messageValidator');
 const logger = require('../../utils/logger');
 
 module.exports = {
@@ -29,6 +31,10 @@ module.exports = {
         .addStringOption(option =>
             option.setName('end-time')
                 .setDescription('End time (HH:MM AM/PM format) - optional')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('rescan')
+                .setDescription('Ignore the message cache and rescan the channel history')
                 .setRequired(false)),
 
     async execute(interaction, bot) {
@@ -41,6 +47,7 @@ module.exports = {
             const startTime = interaction.options.getString('start-time');
             const endDate = interaction.options.getString('end-date');
             const endTime = interaction.options.getString('end-time');
+            const rescan = interaction.options.getBoolean('rescan') || false;
 
             // Validate date/time formats if provided
             let after = null;
@@ -85,7 +92,7 @@ module.exports = {
             await interaction.editReply({ embeds: [trackingEmbed] });
 
             // Track messages for the specific user
-            const trackingResult = await this.trackUserMessages(channel, targetUser, after, before);
+            const trackingResult = await this.trackUserMessages(channel, targetUser, after, before, rescan);
 
             // Create detailed results embed
             const resultsEmbed = new EmbedBuilder()
@@ -109,6 +116,7 @@ module.exports = {
                             `✅ **Valid Messages (Image/Video):** ${trackingResult.validMessages}`,
                             `❌ **Invalid Messages:** ${trackingResult.invalidMessages}`,
                             `📊 **Total Messages Found:** ${trackingResult.totalMessages}`,
+                            `📥 **Fetched from Discord:** ${trackingResult.fetchedMessages} (rest from cache)`,
                             `📈 **Valid Message Rate:** ${trackingResult.totalMessages > 0 ? Math.round((trackingResult.validMessages / trackingResult.totalMessages) * 100) : 0}%`
                         ].join('\n'),
                         inline: false
@@ -208,146 +216,39 @@ module.exports = {
         }
     },
 
-    async trackUserMessages(channel, targetUser, after = null, before = null) {
+    async trackUserMessages(channel, targetUser, after = null, before = null, rescan = false) {
         const startTime = Date.now();
-        const messages = [];
-        let totalMessages = 0;
-        let validMessages = 0;
-        let invalidMessages = 0;
-
-        try {
-            const fetchOptions = { limit: 100 };
-            if (after) fetchOptions.after = after.getTime();
-            if (before) fetchOptions.before = before.getTime();
-
-            let lastMessageId = null;
-            let hasMore = true;
-
-            while (hasMore) {
-                const options = { ...fetchOptions };
-                if (lastMessageId) {
-                    options.before = lastMessageId;
-                }
-
-                const fetchedMessages = await channel.messages.fetch(options);
-                
-                if (fetchedMessages.size === 0) {
-                    hasMore = false;
-                    break;
-                }
-
-                for (const [messageId, message] of fetchedMessages) {
-                    // Skip if not from target user
-                    if (message.author.id !== targetUser.id) continue;
-                    
-                    // Skip if message is outside date range
-                    if (after && message.createdAt < after) continue;
-                    if (before && message.createdAt > before) continue;
-
-                    totalMessages++;
-                    const validationResult = this.validateMessage(message);
-                    
-                    if (validationResult.valid) {
-                        validMessages++;
-                    } else {
-                        invalidMessages++;
-                    }
-
-                    messages.push({
-                        id: messageId,
-                        content: message.content,
-                        attachments: message.attachments.size,
-                        attachmentTypes: validationResult.attachmentTypes,
-                        timestamp: message.createdAt,
-                        valid: validationResult.valid,
-                        url: message.url
-                    });
-                }
 
-                lastMessageId = fetchedMessages.last()?.id;
-                hasMore = fetchedMessages.size === fetchOptions.limit;
+        // Cached messages come back newest first; only new history is fetched from Discord
+        const { messages: cached, fetched } = await messageCache.getMessages(channel, { after, before, rescan });
 
-                // Add small delay to respect rate limits
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
+        const messages = cached
+            .filter(message => message.authorId === targetUser.id)
+            .map(message => ({
+                id: message.id,
+                attachments: message.attachments,
+                attachmentTypes: message.attachmentTypes,
+                timestamp: message.timestamp,
+                valid: message.valid,
+                url: message.url
+            }));
 
-            // Sort messages by timestamp (newest first)
-            messages.sort((a, b) => b.timestamp - a.timestamp);
-
-        } catch (error) {
-            logger.error('Error fetching user messages:', error);
-            throw error;
-        }
+        const validMessages = messages.filter(message => message.valid).length;
 
         return {
             messages,
-            totalMessages,
+            totalMessages: messages.length,
             validMessages,
-            invalidMessages,
+            invalidMessages: messages.length - validMessages,
+            fetchedMessages: fetched,
             duration: Date.now() - startTime
         };
     },
 
     validateMessage(message) {
-        const attachmentTypes = [];
-        let hasValidContent = false;
-
-        // Check for images or videos in attachments
-        if (message.attachments.size > 0) {
-            for (const attachment of message.attachments.values()) {
-                const contentType = attachment.contentType?.toLowerCase() || '';
-                const name = attachment.name?.toLowerCase() || '';
-                
-                // Image types
-                if (contentType.startsWith('image/') || 
-                    name.match(/\.(png|jpg|jpeg|gif|webp|bmp)$/)) {
-                    attachmentTypes.push('Image');
-                    hasValidContent = true;
-                }
-                
-                // Video types
-                if (contentType.startsWith('video/') || 
-                    name.match(/\.(mp4|mov|webm|avi|mkv)$/)) {
-                    attachmentTypes.push('Video');
-                    hasValidContent = true;
-                }
-            }
-        }
-
-        // Check for embedded images/videos (from links)
-        if (message.embeds.length > 0) {
-            for (const embed of message.embeds) {
-                if (embed.image) {
-                    attachmentTypes.push('Embedded Image');
-                    hasValidContent = true;
-                }
-                if (embed.video) {
-                    attachmentTypes.push('Embedded Video');
-                    hasValidContent = true;
-                }
-                if (embed.thumbnail) {
-                    attachmentTypes.push('Thumbnail');
-                    hasValidContent = true;
-                }
-            }
-        }
-
-        // If no valid attachments, classify the content type
-        if (!hasValidContent) {
-            if (message.content.trim()) {
-                attachmentTypes.push('Text');
-            }
-            if (message.stickers.size > 0) {
-                attachmentTypes.push('Sticker');
-            }
-            if (message.embeds.length > 0) {
-                attachmentTypes.push('Embed');
-            }
-        }
-
         return {
-            valid: hasValidContent,
-            attachmentTypes: attachmentTypes.length > 0 ? attachmentTypes : ['Text']
+            valid: messageValidator.isValidMessage(message),
+            attachmentTypes: messageValidator.getAttachmentTypes(message)
         };
     },
 
@@ -0,0 +1,289 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const database = require('../../utils/database');
+const scheduler = require('../../utils/scheduler');
+const audit = require('../../utils/audit');
+const logger = require('../../utils/logger');
+
+const MAX_TRASH_LISTED = 15;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('trash')
+        .setDescription('Restore or permanently remove deleted giveaways')
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List deleted giveaways that can still be restored'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('restore')
+                .setDescription('Bring a deleted giveaway and its purchases back')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Deleted giveaway ID or name (from /trash list)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('purge')
+                .setDescription('Permanently remove a deleted giveaway (with confirmation)')
+                .addStringOption(option =>
+                    option.setName('giveaway')
+                        .setDescription('Deleted giveaway ID or name (from /trash list)')
+                        .setRequired(true))),
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'list':
+                    return this.handleList(interaction);
+                case 'restore':
+                    return this.handleRestore(interaction);
+                case 'purge':
+                    return this.handlePurge(interaction);
+            }
+
+        } catch (error) {
+            logger.error('Failed to run trash command:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to run trash operation. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    async handleList(interaction) {
+        // Newest deletions first
+        const trash = [...await database.getTrash()].reverse();
+
+        if (trash.length === 0) {
+            return interaction.editReply({
+                content: '📭 The trash is empty.'
+            });
+        }
+
+        const shown = trash.slice(0, MAX_TRASH_LISTED);
+
+        const embed = new EmbedBuilder()
+            .setColor('#6C757D')
+            .setTitle('🗑️ Deleted Giveaways')
+            .setDescription(shown.map(entry => {
+                const deletedAt = Math.floor(new Date(entry.deletedAt).getTime() / 1000);
+                const expiresAt = Math.floor(new Date(entry.expiresAt).getTime() / 1000);
+                return [
+                    `**${entry.giveaway.name}** (\`${entry.giveaway.id}\`)`,
+                    `└ ${entry.giveaway.totalEntries || 0} entries • ${entry.purchases.length} purchases • deleted <t:${deletedAt}:R> by ${this.formatActor(entry.deletedBy)} • purged <t:${expiresAt}:R>`
+                ].join('\n');
+            }).join('\n'))
+            .setFooter({ text: `Deleted giveaways are kept for ${database.trashRetentionDays} days` })
+            .setTimestamp();
+
+        if (trash.length > shown.length) {
+            embed.setFooter({ text: `Showing ${shown.length} of ${trash.length} deleted giveaways (newest first)` });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    async handleRestore(interaction) {
+        const entry = await this.resolveTrashEntry(interaction);
+        if (!entry) return;
+
+        if (await database.getGiveaway(entry.giveaway.id)) {
+            return interaction.editReply({
+                content: `❌ A giveaway with ID \`${entry.giveaway.id}\` already exists, so **${entry.giveaway.name}** can't be restored.`,
+                ephemeral: true
+            });
+        }
+
+        const restored = await database.restoreGiveaway(entry.giveaway.id);
+        await scheduler.scheduleGiveaway(restored.giveaway);
+
+        const embed = new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('♻️ Giveaway Restored')
+            .setDescription(`**${restored.giveaway.name}** is back with all of its entries.`)
+            .addFields({
+                name: '📊 Restored Data',
+                value: [
+                    `**ID:** \`${restored.giveaway.id}\``,
+                    `**Participants:** ${Object.keys(restored.giveaway.participants || {}).length}`,
+                    `**Total Entries:** ${restored.giveaway.totalEntries || 0}`,
+                    `**Purchase Records:** ${restored.purchases.length}`,
+                    `**Status:** ${restored.giveaway.active ? '🟢 Active' : '🔴 Inactive'}`
+                ].join('\n'),
+                inline: false
+            })
+            .setTimestamp()
+            .setFooter({
+                text: `Restored by ${interaction.user.tag}`,
+                iconURL: interaction.user.displayAvatarURL()
+            });
+
+        await interaction.editReply({ embeds: [embed] });
+
+        logger.giveaway('RESTORED', restored.giveaway.id, `from trash by ${interaction.user.tag}`);
+    },
+
+    async handlePurge(interaction) {
+        const entry = await this.resolveTrashEntry(interaction);
+        if (!entry) return;
+
+        const giveaway = entry.giveaway;
+
+        const confirmEmbed = new EmbedBuilder()
+            .setColor('#FFC107')
+            .setTitle('⚠️ Confirm Permanent Deletion')
+            .setDescription(`Are you sure you want to **permanently delete** **${giveaway.name}**?`)
+            .addFields(
+                {
+                    name: '🎁 Giveaway to Purge',
+                    value: [
+                        `**ID:** \`${giveaway.id}\``,
+                        `**Participants:** ${Object.keys(giveaway.participants || {}).length}`,
+                        `**Total Entries:** ${giveaway.totalEntries || 0}`,
+                        `**Purchase Records:** ${entry.purchases.length}`
+                    ].join('\n'),
+                    inline: false
+                },
+                {
+                    name: '❗ Warning',
+                    value: 'This cannot be undone with `/trash restore`. Only a backup taken before the deletion still has this data.',
+                    inline: false
+                }
+            )
+            .setTimestamp();
+
+        const confirmRow = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`trash_purge_confirm_${giveaway.id}`)
+                    .setLabel('🔥 Delete Forever')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId('trash_cancel')
+                    .setLabel('❌ Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        const message = await interaction.editReply({
+            embeds: [confirmEmbed],
+            components: [confirmRow]
+        });
+
+        const collector = message.createMessageComponentCollector({
+            time: 60000 // 1 minute timeout
+        });
+
+        collector.on('collect', async (buttonInteraction) => {
+            if (buttonInteraction.user.id !== interaction.user.id) {
+                await buttonInteraction.reply({
+                    content: 'Only the command user can confirm this action.',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (buttonInteraction.customId === 'trash_cancel') {
+                const cancelEmbed = new EmbedBuilder()
+                    .setColor('#6C757D')
+                    .setTitle('✅ Purge Cancelled')
+                    .setDescription(`**${giveaway.name}** is still in the trash.`)
+                    .setTimestamp();
+
+                await buttonInteraction.update({
+                    embeds: [cancelEmbed],
+                    components: []
+                });
+
+                collector.stop();
+
+            } else if (buttonInteraction.customId === `trash_purge_confirm_${giveaway.id}`) {
+                await audit.runAs(audit.userActor(buttonInteraction.user), () => this.executePurge(buttonInteraction, giveaway));
+                collector.stop();
+            }
+        });
+
+        collector.on('end', async (collected, reason) => {
+            if (reason === 'time') {
+                const timeoutEmbed = new EmbedBuilder()
+                    .setColor('#6C757D')
+                    .setTitle('⏰ Confirmation Timeout')
+                    .setDescription('Purge was cancelled due to timeout.')
+                    .setTimestamp();
+
+                try {
+                    await interaction.editReply({
+                        embeds: [timeoutEmbed],
+                        components: []
+                    });
+                } catch (error) {
+                    logger.debug('Could not update message after timeout:', error.message);
+                }
+            }
+        });
+    },
+
+    async executePurge(interaction, giveaway) {
+        try {
+            const purged = await database.purgeTrash(giveaway.id);
+
+            const purgedEmbed = new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('🔥 Giveaway Purged')
+                .setDescription(`**${purged.giveaway.name}** and ${purged.purchases.length} purchase records were permanently deleted.`)
+                .setTimestamp()
+                .setFooter({
+                    text: `Purged by ${interaction.user.tag}`,
+                    iconURL: interaction.user.displayAvatarURL()
+                });
+
+            await interaction.update({
+                embeds: [purgedEmbed],
+                components: []
+            });
+
+            logger.giveaway('PURGED', purged.giveaway.id, `${purged.giveaway.name} by ${interaction.user.tag}`);
+
+        } catch (purgeError) {
+            logger.error('Failed to purge giveaway from trash:', purgeError);
+
+            const errorEmbed = new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('❌ Purge Failed')
+                .setDescription(`Failed to purge the giveaway: ${purgeError.message}`)
+                .setTimestamp();
+
+            await interaction.update({
+                embeds: [errorEmbed],
+                components: []
+            });
+        }
+    },
+
+    async resolveTrashEntry(interaction) {
+        const giveawayInput = interaction.options.getString('giveaway').trim();
+        const entry = await database.getTrashEntry(giveawayInput);
+
+        if (!entry) {
+            await interaction.editReply({
+                content: `❌ No deleted giveaway found: **${giveawayInput}**\nUse \`/trash list\` to see what can be restored.`,
+                ephemeral: true
+            });
+            return null;
+        }
+
+        return entry;
+    },
+
+    formatActor(actor) {
+        return actor?.type === 'user' ? `<@${actor.id}>` : audit.formatActor(actor);
+    }
+};
@@ -0,0 +1,131 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const giveawayResolver = require('../../utils/giveawayResolver');
+const fairness = require('../../utils/fairness');
+const logger = require('../../utils/logger');
+
+// Keeps the embed under Discord's 6000 character limit
+const MAX_DRAWS_SHOWN = 6;
+const MAX_EXCLUDED_SHOWN = 10;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('verifyspin')
+        .setDescription('Verify that a giveaway\'s winners match its published seed commitment')
+        .addStringOption(option =>
+            option.setName('giveaway')
+                .setDescription('Giveaway ID or name to verify')
+                .setAutocomplete(true)
+                .setRequired(true)),
+
+    async autocomplete(interaction) {
+        return giveawayResolver.autocomplete(interaction);
+    },
+
+    async execute(interaction, bot) {
+        try {
+            await interaction.deferReply();
+
+            const giveaway = await giveawayResolver.resolveFromInteraction(interaction);
+            if (!giveaway) return;
+
+            const results = fairness.verifyGiveaway(giveaway);
+            const verified = results.filter(result => result.verifiable);
+            const allValid = verified.length > 0 && verified.every(result => result.valid);
+
+            const embed = new EmbedBuilder()
+                .setColor(verified.length === 0 ? '#808080' : allValid ? '#28A745' : '#DC3545')
+                .setTitle(`🔐 Spin Verification: ${giveaway.name}`)
+                .setDescription(
+                    verified.length === 0
+                        ? 'There are no revealed draws to verify for this giveaway yet.'
+                        : allValid
+                            ? '✅ Every draw matches its published commitment.'
+                            : '❌ At least one draw does **not** match its published commitment.'
+                );
+
+            results.slice(-MAX_DRAWS_SHOWN).forEach((result, index) => {
+                const drawNumber = results.length - Math.min(results.length, MAX_DRAWS_SHOWN) + index + 1;
+                const type = result.entries[0].type === 'reroll' ? '🔁 Reroll' : '🎡 Spin';
+                const winnersLine = `**Winner(s):** ${result.recordedIds.map(id => `<@${id}>`).join(', ')}`;
+
+                if (!result.verifiable) {
+                    embed.addFields({
+                        name: `Draw #${drawNumber} - ${type}`,
+                        value: `${winnersLine}\n⚪ Drawn before provably fair spins; nothing to verify.`,
+                        inline: false
+                    });
+                    return;
+                }
+
+                const check = ok => (ok ? '✅' : '❌');
+                embed.addFields({
+                    name: `Draw #${drawNumber} - ${type}`,
+                    value: [
+                        winnersLine,
+                        `${check(result.seedMatchesCommitment)} Server seed matches the committed hash`,
+                        result.hasSnapshot
+                            ? `${check(result.participantsMatch)} Participant snapshot matches the committed hash`
+                            : `${check(result.participantsMatch)} Participants unchanged since the draw`,
+                        this.formatExcluded(result.fairness.excludedUserIds || []),
+                        `${check(result.winnersMatch)} Winners reproduced${result.winnersMatch ? '' : `: expected ${result.expectedIds.map(id => `<@${id}>`).join(', ') || 'none'}`}`,
+                        fairness.formatReveal(result.fairness)
+                    ].join('\n'),
+                    inline: false
+                });
+            });
+
+            // An unrevealed commitment only shows its hash until the next draw
+            if (giveaway.fairness && !giveaway.fairness.revealed) {
+                embed.addFields({
+                    name: '⏳ Pending Commitment',
+                    value: `**Server Seed Hash:** \`${giveaway.fairness.serverSeedHash}\`\nThe server seed will be revealed after the next spin.`,
+                    inline: false
+                });
+            }
+
+            embed.addFields({
+                name: '🧮 Verify It Yourself',
+                value: [
+                    '1. `SHA-256(serverSeed)` must equal the hash posted before the spin.',
+                    '2. Sort the participants at the commitment by user ID and keep `{ userId, entries }`. Remove anyone with 0 entries and every excluded user listed on the draw (previous winners and users the eligibility rules ruled out).',
+                    '3. For draw `n` (from 0), take the first 52 bits of `HMAC-SHA256(serverSeed, "<publicSeed>:<n>")` divided by 2^52, times the total entries.',
+                    '4. Walk the sorted list subtracting entries; the winner is where the value drops below zero. Remove them and repeat for the next place.'
+                ].join('\n'),
+                inline: false
+            });
+
+            embed.setTimestamp()
+                .setFooter({
+                    text: `Giveaway ID: ${giveaway.id}`,
+                    iconURL: bot.client.user.displayAvatarURL()
+                });
+
+            await interaction.editReply({ embeds: [embed] });
+
+            logger.info(`Spin verification for ${giveaway.id}: ${verified.length === 0 ? 'nothing to verify' : allValid ? 'valid' : 'MISMATCH'}`);
+
+        } catch (error) {
+            logger.error('Failed to verify spin:', error);
+
+            const errorMessage = {
+                content: '❌ Failed to verify spin. Please check the console for details.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    // Raw IDs, since they are what the sorted participant list is keyed on
+    formatExcluded(excludedUserIds) {
+        if (excludedUserIds.length === 0) return '**Excluded:** none';
+
+        const shown = excludedUserIds.slice(0, MAX_EXCLUDED_SHOWN).map(id => `\`${id}\``).join(', ');
+        const more = excludedUserIds.length > MAX_EXCLUDED_SHOWN ? ` ...and ${excludedUserIds.length - MAX_EXCLUDED_SHOWN} more` : '';
+        return `**Excluded:** ${shown}${more}`;
+    }
+};
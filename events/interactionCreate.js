@@ -1,9 +1,18 @@
 const { Collection, Events } = require('discord.js');
 const logger = require('../utils/logger');
+const audit = require('../utils/audit');
 
 module.exports = {
     name: Events.InteractionCreate, // Use the proper Events enum
     async execute(interaction, bot) {
+        if (interaction.isAutocomplete()) {
+            return this.handleAutocomplete(interaction, bot);
+        }
+
+        if (interaction.isButton()) {
+            return this.handleButton(interaction, bot);
+        }
+
         // Only handle slash commands
         if (!interaction.isChatInputCommand()) return;
 
@@ -17,7 +26,7 @@ module.exports = {
         const protectedCommands = [
             'creategaw', 'editgaw', 'deletegaw',
             'addpurchase', 'editpurchase', 'deletepurchase',
-            'analyze', 'spin', 'backup'
+            'analyze', 'submissions', 'eligibility', 'bonus', 'spin', 'reroll', 'backup', 'audit', 'trash'
         ];
 
         if (protectedCommands.includes(interaction.commandName)) {
@@ -63,7 +72,7 @@ module.exports = {
             );
 
             const startTime = Date.now();
-            await command.execute(interaction, bot);
+            await audit.runAs(audit.userActor(interaction.user), () => command.execute(interaction, bot));
             const duration = Date.now() - startTime;
             
             logger.performance(`Command ${interaction.commandName}`, duration);
@@ -82,5 +91,42 @@ module.exports = {
                 await interaction.reply(errorMessage);
             }
         }
+    },
+
+    // Buttons that must outlive the command that posted them (like the claim review queue) are
+    // routed to the command named by their customId prefix. Confirmation prompts are handled by
+    // their own collectors, and their commands have no handleButton.
+    async handleButton(interaction, bot) {
+        const command = bot.commands.get(interaction.customId.split('_')[0]);
+        if (!command?.handleButton) return;
+
+        try {
+            await audit.runAs(audit.userActor(interaction.user), () => command.handleButton(interaction, bot));
+        } catch (error) {
+            logger.error(`Error handling button ${interaction.customId}:`, error);
+
+            const errorMessage = {
+                content: '❌ There was an error while handling this button! The error has been logged.',
+                ephemeral: true
+            };
+
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(errorMessage);
+            } else {
+                await interaction.reply(errorMessage);
+            }
+        }
+    },
+
+    async handleAutocomplete(interaction, bot) {
+        const command = bot.commands.get(interaction.commandName);
+        if (!command?.autocomplete) return;
+
+        try {
+            await command.autocomplete(interaction, bot);
+        } catch (error) {
+            // Autocomplete has a 3 second window; a late or failed response just shows no suggestions
+            logger.debug(`Autocomplete failed for ${interaction.commandName}:`, error.message);
+        }
     }
 };
\ No newline at end of file
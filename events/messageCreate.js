@@ -1,5 +1,7 @@
 const { Collection } = require('discord.js');
 const logger = require('../utils/logger');
+const audit = require('../utils/audit');
+const submissions = require('../utils/submissions');
 
 module.exports = {
     name: 'messageCreate',
@@ -7,6 +9,13 @@ module.exports = {
         // Ignore bots and non-guild messages
         if (message.author.bot || !message.guild) return;
 
+        // Track image/video posts in channels linked to a giveaway
+        try {
+            await audit.runAs(audit.systemActor('submissions'), () => submissions.handleMessage(message));
+        } catch (error) {
+            logger.error('Failed to process submission:', error);
+        }
+
         const prefix = process.env.BOT_PREFIX || 'jd!';
         
         // Check if message starts with prefix
@@ -26,7 +35,7 @@ module.exports = {
         const protectedCommands = [
             'creategaw', 'editgaw', 'deletegaw',
             'addpurchase', 'editpurchase', 'deletepurchase',
-            'analyze', 'spin', 'backup'
+            'analyze', 'submissions', 'eligibility', 'bonus', 'spin', 'reroll', 'backup', 'audit', 'trash'
         ];
 
         if (protectedCommands.includes(commandName)) {
@@ -106,7 +115,7 @@ module.exports = {
             );
 
             const startTime = Date.now();
-            await command.execute(mockInteraction, bot);
+            await audit.runAs(audit.userActor(message.author), () => command.execute(mockInteraction, bot));
             const duration = Date.now() - startTime;
             
             logger.performance(`Prefix command ${commandName}`, duration);
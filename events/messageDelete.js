@@ -0,0 +1,21 @@
+const logger = require('../utils/logger');
+const audit = require('../utils/audit');
+const messageCache = require('../utils/messageCache');
+const submissions = require('../utils/submissions');
+
+module.exports = {
+    name: 'messageDelete',
+    async execute(message, bot) {
+        try {
+            await audit.runAs(audit.systemActor('submissions'), () => submissions.handleMessageDelete(message));
+        } catch (error) {
+            logger.error('Failed to process deleted submission:', error);
+        }
+
+        try {
+            await messageCache.handleMessageDelete(message);
+        } catch (error) {
+            logger.error('Failed to update message cache:', error);
+        }
+    }
+};
@@ -0,0 +1,21 @@
+const logger = require('../utils/logger');
+const audit = require('../utils/audit');
+const messageCache = require('../utils/messageCache');
+const submissions = require('../utils/submissions');
+
+module.exports = {
+    name: 'messageUpdate',
+    async execute(oldMessage, newMessage, bot) {
+        try {
+            await audit.runAs(audit.systemActor('submissions'), () => submissions.handleMessageUpdate(oldMessage, newMessage));
+        } catch (error) {
+            logger.error('Failed to process edited submission:', error);
+        }
+
+        try {
+            await messageCache.handleMessageUpdate(newMessage);
+        } catch (error) {
+            logger.error('Failed to update message cache:', error);
+        }
+    }
+};
@@ -18,7 +18,10 @@ module.exports = {
             
             // Mark bot as ready
             bot.isReady = true;
-            
+
+            // Start giveaway scheduler once channels can be reached for announcements
+            await bot.initializeScheduler();
+
             // Log final statistics
             const guild = client.guilds.cache.first();
             if (guild) {
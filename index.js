@@ -11,6 +11,9 @@ const apiHandler = require('./utils/apiHandler');
 const backup = require('./utils/backup');
 const logger = require('./utils/logger');
 const terminalServer = require('./utils/terminal');
+const scheduler = require('./utils/scheduler');
+const integrity = require('./utils/integrity');
+const audit = require('./utils/audit');
 
 class FortniteGiveawayBot {
     constructor() {
@@ -52,6 +55,9 @@ class FortniteGiveawayBot {
             
             // Initialize backup system
             await this.initializeBackups();
+
+            // Schedule data integrity checks
+            this.initializeIntegrityChecks();
             
             // Start terminal server
             await this.startTerminalServer();
@@ -226,9 +232,57 @@ class FortniteGiveawayBot {
             }
         });
 
+        // Deleted giveaways past their retention period are gone for good
+        cron.schedule('15 3 * * *', async () => {
+            try {
+                await audit.runAs({ type: 'scheduler', id: 'trash-cleanup' }, () => database.purgeExpiredTrash());
+            } catch (error) {
+                logger.error('❌ Trash cleanup failed:', error);
+            }
+        });
+
         logger.info('✅ Backup system initialized');
     }
 
+    initializeIntegrityChecks() {
+        const schedule = process.env.INTEGRITY_CHECK_CRON || '30 3 * * *';
+        const autoRepair = process.env.INTEGRITY_AUTO_REPAIR === 'true';
+
+        if (!cron.validate(schedule)) {
+            logger.warn(`⚠️  Invalid INTEGRITY_CHECK_CRON "${schedule}" - integrity checks disabled`);
+            return;
+        }
+
+        cron.schedule(schedule, async () => {
+            try {
+                const report = await audit.runAs({ type: 'scheduler', id: 'integrity' }, () =>
+                    autoRepair ? integrity.repair() : integrity.scan()
+                );
+
+                if (integrity.isClean(report)) {
+                    logger.info('✅ Scheduled integrity check found no problems');
+                } else {
+                    logger.warn(`⚠️  Scheduled integrity check:\n${integrity.formatReport(report)}`);
+                }
+            } catch (error) {
+                logger.error('❌ Scheduled integrity check failed:', error);
+            }
+        });
+
+        logger.info(`✅ Integrity checks scheduled (${schedule}${autoRepair ? ', auto-repair on' : ''})`);
+    }
+
+    async initializeScheduler() {
+        logger.info('⏰ Initializing giveaway scheduler...');
+
+        try {
+            await scheduler.start(this);
+            logger.info('✅ Giveaway scheduler initialized');
+        } catch (error) {
+            logger.error('❌ Giveaway scheduler failed to start:', error);
+        }
+    }
+
     async startTerminalServer() {
         try {
             logger.info('🖥️  Starting terminal interface server...');
@@ -288,6 +342,9 @@ class FortniteGiveawayBot {
             logger.info(`\n🛑 Received ${signal}. Shutting down gracefully...`);
             
             try {
+                // Stop giveaway scheduler
+                scheduler.stop();
+
                 // Stop terminal server
                 if (terminalServer.isRunning()) {
                     await terminalServer.stop();
@@ -298,6 +355,9 @@ class FortniteGiveawayBot {
                 await backup.createBackup('shutdown');
                 logger.info('✅ Shutdown backup created');
 
+                // Flush and close the storage backend
+                await database.close();
+
                 // Destroy Discord client
                 this.client.destroy();
                 logger.info('✅ Discord client destroyed');
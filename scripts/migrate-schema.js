@@ -0,0 +1,30 @@
+// Upgrade giveaway and purchase records to the current schema version.
+//
+//   npm run migrate-schema -- --dry-run   report what would change without writing
+//   npm run migrate-schema                apply pending migrations (the bot also does this at startup)
+require('dotenv').config();
+const database = require('../utils/database');
+const migrator = require('../utils/migrator');
+const logger = require('../utils/logger');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    await database.initialize({ runMigrations: false });
+
+    try {
+        const report = await migrator.run({ dryRun });
+        console.log(migrator.formatReport(report));
+
+        if (report.invalid.length > 0) {
+            process.exitCode = 1;
+        }
+    } finally {
+        await database.close();
+    }
+}
+
+main().catch(error => {
+    logger.error('Schema migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,88 @@
+// One-shot copy of every data store from one storage backend to another.
+//
+//   npm run migrate-storage -- --from json --to sqlite [--force]
+//
+// Stop the bot first. After a successful run, set STORAGE_BACKEND to the target backend.
+require('dotenv').config();
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const { createStorageAdapter, backends } = require('../utils/storage');
+
+function parseArgs(argv) {
+    const args = { force: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--force') args.force = true;
+    }
+
+    return args;
+}
+
+function countRecords(data) {
+    if (Array.isArray(data)) return data.length;
+    if (Array.isArray(data?.items)) return data.items.length;
+    return 1;
+}
+
+async function migrate({ from, to, force }) {
+    if (!backends.includes(from) || !backends.includes(to) || from === to) {
+        throw new Error(`Usage: npm run migrate-storage -- --from <${backends.join('|')}> --to <${backends.join('|')}> [--force]`);
+    }
+
+    const options = { dataDir: database.dataDir, files: database.files };
+    const source = createStorageAdapter(from, options);
+    const target = createStorageAdapter(to, options);
+
+    await source.initialize();
+    await target.initialize();
+
+    try {
+        const names = [];
+        for (const name of Object.keys(database.files)) {
+            if (await source.exists(name)) {
+                names.push(name);
+            } else {
+                logger.warn(`Skipping ${name}: not found in ${from} storage`);
+            }
+        }
+
+        // Refuse before writing anything, so a half-migrated target can't happen by accident
+        if (!force) {
+            const existing = [];
+            for (const name of names) {
+                if (await target.exists(name)) existing.push(name);
+            }
+
+            if (existing.length > 0) {
+                throw new Error(`${to} storage already contains: ${existing.join(', ')}. Re-run with --force to overwrite.`);
+            }
+        }
+
+        for (const name of names) {
+            const data = await source.load(name);
+            await target.save(name, data);
+
+            // Read back to make sure nothing was lost on the way
+            const copied = await target.load(name);
+            if (countRecords(copied) !== countRecords(data)) {
+                throw new Error(`Verification failed for ${name}: ${countRecords(data)} records in ${from}, ${countRecords(copied)} in ${to}`);
+            }
+
+            logger.info(`Migrated ${name}: ${countRecords(data)} records`);
+        }
+
+        logger.success(`Migration from ${from} to ${to} complete. Set STORAGE_BACKEND=${to} to use it.`);
+    } finally {
+        await source.close();
+        await target.close();
+    }
+}
+
+migrate(parseArgs(process.argv.slice(2)))
+    .then(() => process.exit(0))
+    .catch(error => {
+        logger.error('Storage migration failed:', error.message);
+        process.exit(1);
+    });
@@ -505,44 +505,82 @@ class APIHandler {
             }
 
             // Take the best match
-            const item = searchResults[0];
-            
-            // Check if we already have pricing cached
-            if (item.price && item.price > 0) {
-                logger.debug(`Using cached pricing for ${item.name}: ${item.price} V-Bucks`);
-                return {
-                    ...item,
-                    pricingSource: 'cache'
-                };
-            }
+            return this.withPricing(searchResults[0]);
+        } catch (error) {
+            logger.error('Failed to get item with pricing:', error);
+            throw error;
+        }
+    }
 
-            // Fetch pricing from FNBR API
-            logger.debug(`Fetching pricing from FNBR API for: ${item.name}`);
-            const pricingData = await this.getItemPricing(item.name, item.type);
-            
-            if (pricingData && pricingData.price) {
-                // Update the cached item with pricing
-                await database.updateCosmeticPrice(item.id, pricingData.price);
-                
-                return {
-                    ...item,
-                    price: pricingData.price,
-                    priceText: pricingData.priceText,
-                    pricingSource: 'fnbr-api'
-                };
-            } else {
-                logger.debug(`No pricing available for: ${item.name}`);
-                return {
-                    ...item,
-                    pricingSource: 'not-available'
-                };
+    // Same as getItemWithPricing, for an item already picked by cosmetic ID
+    async getItemByIdWithPricing(itemId) {
+        try {
+            const item = await database.getCosmeticById(itemId);
+            if (!item) {
+                logger.debug(`No cosmetic with ID: ${itemId}`);
+                return null;
             }
+
+            return this.withPricing(item);
         } catch (error) {
             logger.error('Failed to get item with pricing:', error);
             throw error;
         }
     }
 
+    // Bundles aren't part of the Fortnite API cosmetics list, so they are looked up on FNBR directly
+    async getBundleWithPricing(name) {
+        try {
+            const pricingData = await this.getItemPricing(name, 'bundle');
+            if (!pricingData) {
+                logger.debug(`No bundle pricing found for: ${name}`);
+                return null;
+            }
+
+            return {
+                ...pricingData,
+                type: 'bundle',
+                pricingSource: 'fnbr-api'
+            };
+        } catch (error) {
+            logger.error('Failed to get bundle with pricing:', error);
+            throw error;
+        }
+    }
+
+    async withPricing(item) {
+        // Check if we already have pricing cached
+        if (item.price && item.price > 0) {
+            logger.debug(`Using cached pricing for ${item.name}: ${item.price} V-Bucks`);
+            return {
+                ...item,
+                pricingSource: 'cache'
+            };
+        }
+
+        // Fetch pricing from FNBR API
+        logger.debug(`Fetching pricing from FNBR API for: ${item.name}`);
+        const pricingData = await this.getItemPricing(item.name, item.type);
+        
+        if (pricingData && pricingData.price) {
+            // Update the cached item with pricing
+            await database.updateCosmeticPrice(item.id, pricingData.price);
+            
+            return {
+                ...item,
+                price: pricingData.price,
+                priceText: pricingData.priceText,
+                pricingSource: 'fnbr-api'
+            };
+        } else {
+            logger.debug(`No pricing available for: ${item.name}`);
+            return {
+                ...item,
+                pricingSource: 'not-available'
+            };
+        }
+    }
+
     // Batch pricing updates (for maintenance)
     async updatePricingForItems(items, delayMs = 1000) {
         try {
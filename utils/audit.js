@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+
+// Stores whose records are audited, with their ID field. Cosmetics mirror the Fortnite API
+// and stats are derived from purchases, so their changes are not worth recording. The trash
+// only holds copies of records whose deletion is already recorded here.
+const AUDITED_STORES = {
+    giveaways: 'id',
+    purchases: 'purchaseId'
+};
+
+const SYSTEM_ACTOR = { type: 'system', id: 'bot' };
+
+// Append-only audit trail of every giveaway and purchase change (data/audit.log, one JSON entry
+// per line). The actor is taken from an async context set where work enters the bot: slash and
+// prefix commands, button clicks, terminal clients and scheduled tasks.
+class AuditLog {
+    constructor() {
+        this.filepath = path.join(__dirname, '../data/audit.log');
+        this.context = new AsyncLocalStorage();
+    }
+
+    // Run fn with every database change inside it attributed to actor
+    runAs(actor, fn) {
+        return this.context.run(actor, fn);
+    }
+
+    currentActor() {
+        return this.context.getStore() || SYSTEM_ACTOR;
+    }
+
+    userActor(user) {
+        return { type: 'user', id: user.id, name: user.tag };
+    }
+
+    systemActor(id) {
+        return { type: 'system', id };
+    }
+
+    // Diff the stores a transaction committed and append one entry per changed record
+    async recordChanges(changes, actor = this.currentActor()) {
+        const timestamp = new Date().toISOString();
+        const entries = [];
+
+        for (const { store, before, after } of changes) {
+            const idField = AUDITED_STORES[store];
+            if (!idField) continue;
+
+            const previous = new Map((before || []).map(record => [record[idField], record]));
+            const next = new Map((after || []).map(record => [record[idField], record]));
+
+            for (const id of new Set([...previous.keys(), ...next.keys()])) {
+                const oldRecord = previous.get(id);
+                const newRecord = next.get(id);
+                if (oldRecord === newRecord) continue;
+
+                const diff = this.diff(oldRecord || {}, newRecord || {});
+                if (Object.keys(diff).length === 0) continue;
+
+                entries.push({
+                    timestamp,
+                    actor,
+                    action: !oldRecord ? 'create' : !newRecord ? 'delete' : 'update',
+                    store,
+                    recordId: id,
+                    giveawayId: store === 'giveaways' ? id : (newRecord || oldRecord).giveawayId,
+                    userIds: this.getUserIds(store, oldRecord, newRecord, diff),
+                    changes: diff
+                });
+            }
+        }
+
+        if (entries.length === 0) return [];
+
+        await fs.ensureDir(path.dirname(this.filepath));
+        await fs.appendFile(this.filepath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+        logger.debug(`Audit: ${entries.length} change(s) by ${this.formatActor(actor)}`);
+        return entries;
+    }
+
+    // Changed fields as dotted paths ("participants.123.entries") with their old and new values
+    diff(before, after, prefix = '') {
+        const changes = {};
+
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const oldValue = before[key];
+            const newValue = after[key];
+            const field = prefix + key;
+
+            // Objects are walked even when one side is missing, so a new participant shows up
+            // under participants.<userId> rather than as one opaque value
+            if (this.isObjectOrMissing(oldValue) && this.isObjectOrMissing(newValue) && (oldValue ?? newValue) != null) {
+                Object.assign(changes, this.diff(oldValue || {}, newValue || {}, `${field}.`));
+            } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes[field] = { before: oldValue ?? null, after: newValue ?? null };
+            }
+        }
+
+        return changes;
+    }
+
+    isObjectOrMissing(value) {
+        return value == null || (typeof value === 'object' && !Array.isArray(value));
+    }
+
+    // Users a change is about: the purchase's buyer, or the participants a giveaway change touched
+    getUserIds(store, oldRecord, newRecord, diff) {
+        if (store === 'purchases') {
+            return [...new Set([oldRecord?.userId, newRecord?.userId].filter(Boolean))];
+        }
+
+        const userIds = Object.keys(diff)
+            .filter(field => field.startsWith('participants.'))
+            .map(field => field.split('.')[1]);
+
+        return [...new Set(userIds)];
+    }
+
+    // Newest matching entries first. Filters: giveawayId, userId, actorId, actorType
+    async query({ giveawayId, userId, actorId, actorType, limit = 10 } = {}) {
+        if (!await fs.pathExists(this.filepath)) return [];
+
+        const matches = [];
+        const lines = readline.createInterface({
+            input: fs.createReadStream(this.filepath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                logger.warn('Skipping unreadable audit log line');
+                continue;
+            }
+
+            if (giveawayId && entry.giveawayId !== giveawayId) continue;
+            if (userId && !(entry.userIds || []).includes(userId)) continue;
+            if (actorId && entry.actor?.id !== actorId) continue;
+            if (actorType && entry.actor?.type !== actorType) continue;
+
+            matches.push(entry);
+            if (matches.length > limit) matches.shift();
+        }
+
+        return matches.reverse();
+    }
+
+    formatActor(actor) {
+        switch (actor?.type) {
+            case 'user':
+                return actor.name ? `${actor.name} (${actor.id})` : actor.id;
+            case 'terminal':
+                return `terminal ${actor.id}`;
+            case 'scheduler':
+                return `scheduler (${actor.id})`;
+            default:
+                return `system (${actor?.id || 'unknown'})`;
+        }
+    }
+}
+
+module.exports = new AuditLog();
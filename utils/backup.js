@@ -2,6 +2,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const database = require('./database');
 const logger = require('./logger');
 
 const gzip = promisify(zlib.gzip);
@@ -18,7 +19,9 @@ class BackupManager {
             'giveaways.json',
             'purchases.json', 
             'fortnite-cosmetics.json',
-            'stats.json'
+            'stats.json',
+            // Restored along with giveaways so a giveaway is never both live and in the trash
+            'trash.json'
         ];
     }
 
@@ -66,13 +69,13 @@ class BackupManager {
                 data: {}
             };
 
-            // Read all data files
+            // Read all data stores (through the storage backend, so SQLite data is included)
             for (const filename of this.backupFiles) {
-                const filepath = path.join(this.dataDir, filename);
+                const storeName = database.getStoreName(filename);
                 
                 try {
-                    if (await fs.pathExists(filepath)) {
-                        backupData.data[filename] = await fs.readJson(filepath);
+                    if (storeName && await database.storage.exists(storeName)) {
+                        backupData.data[filename] = await database.storage.load(storeName);
                         logger.debug(`Backed up: ${filename}`);
                     } else {
                         logger.warn(`File not found for backup: ${filename}`);
@@ -144,36 +147,38 @@ class BackupManager {
             logger.info(`Backup metadata: ${backupData.metadata.type} from ${backupData.metadata.timestamp}`);
 
             // Create backup of current data before restore
-            await this.createBackup('pre-restore');
+            const safetyBackup = await this.createBackup('pre-restore');
             
-            // Restore each file
-            const restored = [];
-            const failed = [];
+            // Every store is restored in one transaction: if any of them fails, none of them change
+            // and the current data stays as it was
+            const restored = await database.transaction(async () => {
+                const saved = [];
 
-            for (const [filename, data] of Object.entries(backupData.data)) {
-                if (data === null) {
-                    logger.warn(`Skipping null data for: ${filename}`);
-                    continue;
-                }
+                for (const [filename, data] of Object.entries(backupData.data)) {
+                    if (data === null) {
+                        logger.warn(`Skipping null data for: ${filename}`);
+                        continue;
+                    }
 
-                const filepath = path.join(this.dataDir, filename);
-                
-                try {
-                    await fs.writeJson(filepath, data, { spaces: 2 });
-                    restored.push(filename);
+                    const storeName = database.getStoreName(filename);
+                    if (!storeName) {
+                        throw new Error(`Unknown data file: ${filename}`);
+                    }
+
+                    await database.saveToFile(storeName, data);
+                    saved.push(filename);
                     logger.debug(`Restored: ${filename}`);
-                } catch (error) {
-                    failed.push({ filename, error: error.message });
-                    logger.error(`Failed to restore ${filename}:`, error);
                 }
-            }
 
-            logger.backup(`Restore completed: ${restored.length} files restored, ${failed.length} failed`);
+                return saved;
+            });
+
+            logger.backup(`Restore completed: ${restored.length} files restored`);
             
             return {
                 restored,
-                failed,
-                metadata: backupData.metadata
+                metadata: backupData.metadata,
+                safetyBackup: safetyBackup.name
             };
             
         } catch (error) {
@@ -200,8 +205,8 @@ class BackupManager {
                     const stats = await fs.stat(filepath);
                     const sizeKB = Math.round(stats.size / 1024);
                     
-                    // Extract type from filename
-                    const typeMatch = filename.match(/backup-([^-]+)-/);
+                    // Extract type from filename (types may contain hyphens, e.g. pre-restore)
+                    const typeMatch = filename.match(/^backup-(.+?)-\d{4}-\d{2}-\d{2}-/);
                     const type = typeMatch ? typeMatch[1] : 'unknown';
                     
                     backups.push({
@@ -0,0 +1,118 @@
+const database = require('./database');
+const logger = require('./logger');
+
+// Purchases reported by users themselves through /claimpurchase. A claim waits on its giveaway's
+// pendingClaims list until a mod approves it, which records it like any other purchase, or
+// rejects it. Each step runs in a database transaction, so two mods reviewing the same claim
+// at once can't both act on it.
+class ClaimManager {
+    async submit(giveawayId, claim) {
+        return database.transaction(async () => {
+            const giveaway = await database.getGiveaway(giveawayId);
+            if (!giveaway) {
+                throw new Error(`Giveaway not found: ${giveawayId}`);
+            }
+
+            const pending = {
+                claimId: database.generateId('CLM'),
+                giveawayId,
+                ...claim,
+                submittedAt: new Date().toISOString()
+            };
+
+            await database.updateGiveaway(giveawayId, {
+                pendingClaims: [...(giveaway.pendingClaims || []), pending]
+            });
+
+            logger.info(`Claim ${pending.claimId} from ${claim.userId} pending review for ${giveawayId}`);
+            return pending;
+        });
+    }
+
+    // Attach the review message to a claim. Its copy of the receipt outlives the one in the
+    // user's interaction, so it becomes the claim's receipt URL. Duplicate receipt warnings link
+    // to the review message, which shows the claim and how it was decided.
+    async setReviewMessage(claimId, message) {
+        return database.transaction(async () => {
+            const found = this.findPending(claimId);
+            if (!found) return null;
+
+            const { giveaway, claim } = found;
+            const updated = {
+                ...claim,
+                reviewChannelId: message.channelId,
+                reviewMessageId: message.id,
+                receiptUrl: message.attachments?.first()?.url || claim.receiptUrl,
+                imageHashes: (claim.imageHashes || []).map(({ hash }) => ({ hash, url: message.url }))
+            };
+
+            await database.updateGiveaway(giveaway.id, {
+                pendingClaims: giveaway.pendingClaims.map(c => (c.claimId === claimId ? updated : c))
+            });
+
+            return updated;
+        });
+    }
+
+    findPending(claimId) {
+        for (const giveaway of database.cache.giveaways || []) {
+            const claim = (giveaway.pendingClaims || []).find(c => c.claimId === claimId);
+            if (claim) return { giveaway, claim };
+        }
+        return null;
+    }
+
+    async approve(claimId, approvedBy, roleIds = []) {
+        return database.transaction(async () => {
+            const found = this.findPending(claimId);
+            if (!found) return null;
+
+            // A claim sent in before the close can't add entries once the giveaway is closed or drawn;
+            // it stays pending so the mod can reject it
+            const { giveaway, claim } = found;
+            if (giveaway.winner || !giveaway.active) {
+                return { giveaway, claim, closed: true };
+            }
+
+            await database.updateGiveaway(giveaway.id, {
+                pendingClaims: giveaway.pendingClaims.filter(c => c.claimId !== claimId)
+            });
+
+            const { purchase, vbucksBalance, bonusEntries } = await database.recordPurchase({
+                giveawayId: giveaway.id,
+                userId: claim.userId,
+                vbucksSpent: claim.vbucksSpent,
+                items: claim.items,
+                addedBy: approvedBy,
+                source: 'claim',
+                evidence: [claim.receiptUrl],
+                imageHashes: claim.imageHashes || []
+            }, {
+                username: claim.username,
+                displayName: claim.displayName,
+                discriminator: claim.discriminator,
+                roleIds
+            });
+
+            logger.info(`Claim ${claimId} approved for ${giveaway.id} as purchase ${purchase.purchaseId}`);
+            return { giveaway, claim, purchase, vbucksBalance, bonusEntries };
+        });
+    }
+
+    async reject(claimId) {
+        return database.transaction(async () => {
+            const found = this.findPending(claimId);
+            if (!found) return null;
+
+            const { giveaway, claim } = found;
+            await database.updateGiveaway(giveaway.id, {
+                pendingClaims: giveaway.pendingClaims.filter(c => c.claimId !== claimId)
+            });
+
+            logger.info(`Claim ${claimId} rejected for ${giveaway.id}`);
+            return { giveaway, claim };
+        });
+    }
+}
+
+module.exports = new ClaimManager();
@@ -1,7 +1,19 @@
 const fs = require('fs-extra');
 const path = require('path');
-const lockfile = require('proper-lockfile');
+const { AsyncLocalStorage } = require('async_hooks');
 const logger = require('./logger');
+const audit = require('./audit');
+const { createStorageAdapter } = require('./storage');
+const { CURRENT_SCHEMA_VERSION } = require('./migrations');
+
+// Methods that write to the cache; each one runs as a transaction (see transaction())
+const MUTATIONS = [
+    'loadAllToCache', 'saveToFile',
+    'createGiveaway', 'updateGiveaway', 'deleteGiveaway', 'restoreGiveaway', 'purgeTrash', 'purgeExpiredTrash',
+    'createPurchase', 'createPurchaseWithoutUpdate', 'recordPurchase', 'addBonusEntries', 'updatePurchase', 'deletePurchase',
+    'updateGiveawayParticipant', 'updateGiveawayParticipantWithUserInfo', 'recalculateGiveawayEntries', 'repricePurchases',
+    'updateCosmetics', 'updateCosmeticPrice', 'updateStats', 'compact'
+];
 
 class Database {
     constructor() {
@@ -12,21 +24,42 @@ class Database {
             giveaways: path.join(this.dataDir, 'giveaways.json'),
             purchases: path.join(this.dataDir, 'purchases.json'),
             cosmetics: path.join(this.dataDir, 'fortnite-cosmetics.json'),
-            stats: path.join(this.dataDir, 'stats.json')
+            stats: path.join(this.dataDir, 'stats.json'),
+            trash: path.join(this.dataDir, 'trash.json')
         };
 
-        // In-memory cache for frequently accessed data
+        // Days a deleted giveaway stays restorable before purgeExpiredTrash() removes it
+        this.trashRetentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+        // Where the data actually lives (JSON files or SQLite), chosen by STORAGE_BACKEND
+        this.storage = createStorageAdapter(undefined, { dataDir: this.dataDir, files: this.files });
+
+        // In-memory cache for frequently accessed data. Cached values are replaced, never
+        // mutated in place, so a transaction can roll back by restoring the old references.
         this.cache = {
             giveaways: null,
             purchases: null,
             cosmetics: null,
-            stats: null
+            stats: null,
+            trash: null
         };
 
+        // Concurrent commands would otherwise interleave their read-modify-write cycles on the
+        // cache and clobber each other. Mutations are queued and applied one at a time; calls
+        // made from inside a transaction join it instead of queueing behind it.
+        this.writeQueue = Promise.resolve();
+        this.transactions = new AsyncLocalStorage();
+
+        for (const method of MUTATIONS) {
+            const mutation = this[method];
+            this[method] = (...args) => this.transaction(() => mutation.apply(this, args));
+        }
+
         // Schema validation templates
         this.schemas = {
             giveaway: {
                 id: 'string',
+                schemaVersion: 'number',
                 name: 'string',
                 channel: 'string',
                 startDate: 'string',
@@ -39,17 +72,46 @@ class Database {
                 totalEntries: 'number',
                 createdAt: 'string',
                 createdBy: 'string',
-                winner: 'string'
+                winner: 'string',
+                winnerCount: 'number',
+                winners: 'array',
+                fairness: 'object',
+                participantSnapshots: 'object',
+                autoSpin: 'boolean',
+                autoSpinDelayMinutes: 'number',
+                winnerHistory: 'array',
+                submissionChannel: 'string',
+                submissionMode: 'string',
+                entriesPerSubmission: 'number',
+                maxSubmissionEntriesPerUser: 'number',
+                pendingSubmissions: 'array',
+                rejectedSubmissions: 'array',
+                pendingClaims: 'array',
+                eligibility: 'object',
+                bonusRules: 'array'
             },
             purchase: {
                 purchaseId: 'string',
+                schemaVersion: 'number',
                 giveawayId: 'string',
                 userId: 'string',
                 vbucksSpent: 'number',
                 entriesEarned: 'number',
+                vbucksPerEntry: 'number',
                 items: 'array',
                 timestamp: 'string',
-                addedBy: 'string'
+                addedBy: 'string',
+                source: 'string',
+                channelId: 'string',
+                entriesPerMessage: 'number',
+                messageIds: 'array',
+                evidence: 'array',
+                imageHashes: 'array',
+                bonusType: 'string',
+                appliesTo: 'string',
+                multiplier: 'number',
+                roleId: 'string',
+                reason: 'string'
             },
             cosmetic: {
                 id: 'string',
@@ -63,22 +125,34 @@ class Database {
         };
     }
 
-    async initialize() {
+    async initialize({ runMigrations = true } = {}) {
         try {
             logger.info('ðŸ’¾ Initializing database system...');
 
             // Create data directories
             await fs.ensureDir(this.dataDir);
             await fs.ensureDir(this.backupDir);
+            await this.storage.initialize();
+            logger.info(`Using ${this.storage.name} storage backend`);
 
-            // Initialize data files
-            for (const [name, filepath] of Object.entries(this.files)) {
-                await this.initializeFile(name, filepath);
+            // Initialize data stores
+            for (const name of Object.keys(this.files)) {
+                await this.initializeStore(name);
             }
 
             // Load data into cache
             await this.loadAllToCache();
 
+            // Upgrade records written by older versions. Required here rather than at the top
+            // because the migrator backs up through utils/backup, which requires this module.
+            if (runMigrations) {
+                const migrator = require('./migrator');
+                const report = await migrator.run();
+                if (report.applied.length > 0) {
+                    logger.info(`Schema migrations applied:\n${migrator.formatReport(report)}`);
+                }
+            }
+
             logger.success('Database system initialized successfully');
         } catch (error) {
             logger.error('Failed to initialize database:', error);
@@ -86,18 +160,17 @@ class Database {
         }
     }
 
-    async initializeFile(name, filepath) {
-        if (!await fs.pathExists(filepath)) {
-            const defaultData = this.getDefaultData(name);
-            await fs.writeJson(filepath, defaultData, { spaces: 2 });
-            logger.debug(`Created ${name}.json with default data`);
+    async initializeStore(name) {
+        if (!await this.storage.exists(name)) {
+            await this.storage.save(name, this.getDefaultData(name));
+            logger.debug(`Created ${name} store with default data`);
         } else {
-            // Validate existing file
+            // Validate existing store
             try {
-                await fs.readJson(filepath);
-                logger.debug(`Validated existing ${name}.json`);
+                await this.storage.load(name);
+                logger.debug(`Validated existing ${name} store`);
             } catch (error) {
-                logger.warn(`Corrupted ${name}.json detected, restoring from backup...`);
+                logger.warn(`Corrupted ${name} store detected, restoring from backup...`);
                 await this.restoreFromBackup(name);
             }
         }
@@ -109,6 +182,8 @@ class Database {
                 return [];
             case 'purchases':
                 return [];
+            case 'trash':
+                return [];
             case 'cosmetics':
                 return { items: [], lastUpdated: null, version: '1.0' };
             case 'stats':
@@ -131,9 +206,9 @@ class Database {
     async loadAllToCache() {
         logger.debug('Loading all data to cache...');
         
-        for (const [name, filepath] of Object.entries(this.files)) {
+        for (const name of Object.keys(this.files)) {
             try {
-                this.cache[name] = await fs.readJson(filepath);
+                this.cache[name] = await this.storage.load(name);
                 logger.debug(`Cached ${name} data`);
             } catch (error) {
                 logger.warn(`Failed to cache ${name}:`, error);
@@ -142,53 +217,117 @@ class Database {
         }
     }
 
+    // Stages a store in the current transaction; it reaches storage when the transaction commits
     async saveToFile(name, data) {
-        const filepath = this.files[name];
-        if (!filepath) {
+        if (!this.files[name]) {
             throw new Error(`Unknown database file: ${name}`);
         }
 
-        // Acquire lock for atomic writes
-        let release;
-        try {
-            release = await lockfile.lock(filepath, {
-                retries: {
-                    retries: 5,
-                    factor: 2,
-                    minTimeout: 100,
-                    maxTimeout: 1000
+        const tx = this.transactions.getStore();
+        if (!tx.snapshots.has(name)) {
+            tx.snapshots.set(name, this.cache[name]);
+        }
+
+        tx.pending.set(name, data);
+        this.cache[name] = data;
+    }
+
+    // Run fn as one transaction, queued behind earlier ones. Every store saved inside it is
+    // committed together once fn resolves; if fn throws or a store fails to write, the cache
+    // and any stores already written are put back as they were.
+    async transaction(fn) {
+        if (this.transactions.getStore()) {
+            return fn();
+        }
+
+        const run = this.writeQueue.then(() =>
+            this.transactions.run({ pending: new Map(), snapshots: new Map() }, async () => {
+                const tx = this.transactions.getStore();
+
+                try {
+                    const result = await fn();
+                    await this.commit(tx);
+                    return result;
+                } catch (error) {
+                    this.rollback(tx);
+                    throw error;
                 }
-            });
+            })
+        );
 
-            // Write data
-            await fs.writeJson(filepath, data, { spaces: 2 });
-            
-            // Update cache
-            this.cache[name] = data;
-            
-            logger.database('WRITE', name, `${Array.isArray(data) ? data.length : 'object'} records`);
-            
+        // A failed transaction must not block the ones queued after it
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    async commit(tx) {
+        const written = [];
+
+        try {
+            for (const [name, data] of tx.pending) {
+                await this.storage.save(name, data);
+                written.push(name);
+
+                logger.database('WRITE', name, `${Array.isArray(data) ? data.length : 'object'} records`);
+            }
         } catch (error) {
-            logger.error(`Failed to save ${name}:`, error);
-            throw error;
-        } finally {
-            if (release) {
-                await release();
+            logger.error(`Failed to commit ${[...tx.pending.keys()].join(', ')}:`, error);
+
+            // Put back what was already written so storage matches the rolled-back cache
+            for (const name of written) {
+                try {
+                    await this.storage.save(name, tx.snapshots.get(name));
+                } catch (restoreError) {
+                    logger.error(`Failed to roll back ${name} in storage:`, restoreError);
+                }
             }
+
+            throw error;
+        }
+
+        // A failed audit write is logged but never undoes a committed change
+        try {
+            await audit.recordChanges([...tx.pending].map(([store, data]) => ({
+                store,
+                before: tx.snapshots.get(store),
+                after: data
+            })));
+        } catch (error) {
+            logger.error('Failed to write audit log:', error);
+        }
+    }
+
+    rollback(tx) {
+        for (const [name, data] of tx.snapshots) {
+            this.cache[name] = data;
+        }
+
+        if (tx.snapshots.size > 0) {
+            logger.warn(`Transaction rolled back: ${[...tx.snapshots.keys()].join(', ')}`);
         }
     }
 
+    // Store name for a data file name as used in backups, e.g. 'purchases.json' -> 'purchases'
+    getStoreName(filename) {
+        return Object.keys(this.files).find(name => path.basename(this.files[name]) === filename) || null;
+    }
+
+    async close() {
+        await this.storage.close();
+    }
+
     // Giveaway operations
     async createGiveaway(giveawayData) {
         try {
             // Generate unique ID
             giveawayData.id = this.generateId('GAW');
             giveawayData.createdAt = new Date().toISOString();
+            giveawayData.schemaVersion = CURRENT_SCHEMA_VERSION;
             
             // Validate schema
             this.validateSchema(giveawayData, 'giveaway');
 
-            const giveaways = this.cache.giveaways || [];
+            const giveaways = [...(this.cache.giveaways || [])];
             giveaways.push(giveawayData);
             
             await this.saveToFile('giveaways', giveaways);
@@ -224,6 +363,7 @@ class Database {
         }
     }
 
+    // Moves a giveaway and its purchases to the trash, where they stay restorable until purged
     async deleteGiveaway(giveawayId) {
         try {
             const giveaways = [...(this.cache.giveaways || [])];
@@ -234,9 +374,23 @@ class Database {
             }
 
             const deleted = giveaways.splice(index, 1)[0];
+            const purchases = this.cache.purchases || [];
+            const deletedAt = new Date();
+
+            const trash = (this.cache.trash || []).filter(entry => entry.giveaway.id !== deleted.id);
+            trash.push({
+                giveaway: deleted,
+                purchases: purchases.filter(p => p.giveawayId === deleted.id),
+                deletedAt: deletedAt.toISOString(),
+                deletedBy: audit.currentActor(),
+                expiresAt: new Date(deletedAt.getTime() + this.trashRetentionDays * 24 * 60 * 60 * 1000).toISOString()
+            });
+
             await this.saveToFile('giveaways', giveaways);
+            await this.saveToFile('purchases', purchases.filter(p => p.giveawayId !== deleted.id));
+            await this.saveToFile('trash', trash);
             
-            logger.giveaway('DELETED', giveawayId, deleted.name);
+            logger.giveaway('DELETED', giveawayId, `${deleted.name} (moved to trash)`);
             return deleted;
         } catch (error) {
             logger.error('Failed to delete giveaway:', error);
@@ -244,6 +398,73 @@ class Database {
         }
     }
 
+    // Trash operations
+    async getTrash() {
+        return this.cache.trash || [];
+    }
+
+    async getTrashEntry(giveawayId) {
+        return (this.cache.trash || []).find(entry =>
+            entry.giveaway.id === giveawayId || entry.giveaway.name === giveawayId
+        );
+    }
+
+    async restoreGiveaway(giveawayId) {
+        try {
+            const entry = await this.getTrashEntry(giveawayId);
+            if (!entry) {
+                throw new Error(`Giveaway not found in trash: ${giveawayId}`);
+            }
+
+            if ((this.cache.giveaways || []).some(g => g.id === entry.giveaway.id)) {
+                throw new Error(`A giveaway with ID ${entry.giveaway.id} already exists`);
+            }
+
+            // Purchase IDs are never reused, so a clash means the record was already brought back
+            const existingIds = new Set((this.cache.purchases || []).map(p => p.purchaseId));
+            const purchases = entry.purchases.filter(p => !existingIds.has(p.purchaseId));
+
+            await this.saveToFile('giveaways', [...(this.cache.giveaways || []), entry.giveaway]);
+            await this.saveToFile('purchases', [...(this.cache.purchases || []), ...purchases]);
+            await this.saveToFile('trash', this.cache.trash.filter(e => e !== entry));
+
+            logger.giveaway('RESTORED', entry.giveaway.id, `${entry.giveaway.name} with ${purchases.length} purchases`);
+            return { ...entry, purchases };
+        } catch (error) {
+            logger.error('Failed to restore giveaway:', error);
+            throw error;
+        }
+    }
+
+    async purgeTrash(giveawayId) {
+        try {
+            const entry = await this.getTrashEntry(giveawayId);
+            if (!entry) {
+                throw new Error(`Giveaway not found in trash: ${giveawayId}`);
+            }
+
+            await this.saveToFile('trash', this.cache.trash.filter(e => e !== entry));
+
+            logger.giveaway('PURGED', entry.giveaway.id, entry.giveaway.name);
+            return entry;
+        } catch (error) {
+            logger.error('Failed to purge giveaway from trash:', error);
+            throw error;
+        }
+    }
+
+    async purgeExpiredTrash(now = new Date()) {
+        const trash = this.cache.trash || [];
+        const expired = trash.filter(entry => new Date(entry.expiresAt) <= now);
+
+        if (expired.length > 0) {
+            await this.saveToFile('trash', trash.filter(entry => !expired.includes(entry)));
+            logger.info(`Purged ${expired.length} expired giveaway(s) from trash`);
+        }
+
+        return expired;
+    }
+
     async getGiveaway(giveawayId) {
         const giveaways = this.cache.giveaways || [];
         return giveaways.find(g => g.id === giveawayId || g.name === giveawayId);
@@ -263,6 +484,8 @@ class Database {
         try {
             purchaseData.purchaseId = this.generateId('PUR');
             purchaseData.timestamp = new Date().toISOString();
+            purchaseData.source = purchaseData.source || 'purchase';
+            purchaseData.schemaVersion = CURRENT_SCHEMA_VERSION;
             
             this.validateSchema(purchaseData, 'purchase');
 
@@ -288,9 +511,12 @@ class Database {
         }
     }
 
-    async updatePurchase(purchaseId, updates) {
+    // `roleIds` are the roles of the purchase's owner after the update. When the purchase moves to
+    // another user or giveaway, its multiplier bonus is derived again from them; without them the
+    // bonus line simply moves along with the purchase.
+    async updatePurchase(purchaseId, updates, { roleIds } = {}) {
         try {
-            const purchases = [...(this.cache.purchases || [])];
+            let purchases = [...(this.cache.purchases || [])];
             const index = purchases.findIndex(p => p.purchaseId === purchaseId);
             
             if (index === -1) {
@@ -300,16 +526,61 @@ class Database {
             const oldPurchase = purchases[index];
             purchases[index] = { ...oldPurchase, ...updates };
             purchases[index].updatedAt = new Date().toISOString();
+            const updatedPurchase = purchases[index];
+
+            const moved = ['userId', 'giveawayId']
+                .some(field => updates[field] !== undefined && updates[field] !== oldPurchase[field]);
+            let multiplierRule = null;
+
+            if (moved) {
+                const isMultiplierLine = p => this.isBonus(p) && p.bonusType === 'multiplier' && p.appliesTo === purchaseId;
+                const rederive = roleIds !== undefined && this.earnsFromVbucks(updatedPurchase);
+
+                if (rederive) {
+                    const giveaway = (this.cache.giveaways || []).find(g => g.id === updatedPurchase.giveawayId);
+                    multiplierRule = giveaway ? this.getMultiplierRule(giveaway, roleIds) : null;
+                    purchases = purchases.filter(p => !isMultiplierLine(p));
+                } else {
+                    purchases = purchases.map(p => isMultiplierLine(p)
+                        ? { ...p, userId: updatedPurchase.userId, giveawayId: updatedPurchase.giveawayId, updatedAt: updatedPurchase.updatedAt }
+                        : p);
+                }
+            }
             
             await this.saveToFile('purchases', purchases);
+
+            // Its entries are settled by the recalculation below
+            if (multiplierRule) {
+                await this.createPurchaseWithoutUpdate({
+                    giveawayId: updatedPurchase.giveawayId,
+                    userId: updatedPurchase.userId,
+                    vbucksSpent: 0,
+                    entriesEarned: 0,
+                    items: [],
+                    addedBy: 'system',
+                    source: 'bonus',
+                    bonusType: 'multiplier',
+                    appliesTo: purchaseId,
+                    multiplier: multiplierRule.multiplier,
+                    roleId: multiplierRule.roleId,
+                    reason: multiplierRule.label
+                });
+            }
             
-            // Recalculate giveaway entries if V-Bucks changed
-            if (updates.vbucksSpent !== undefined || updates.entriesEarned !== undefined) {
+            // Recalculate giveaway entries if anything that feeds them changed
+            const affectsEntries = ['vbucksSpent', 'entriesEarned', 'userId', 'giveawayId']
+                .some(field => updates[field] !== undefined);
+
+            if (affectsEntries) {
                 await this.recalculateGiveawayEntries(oldPurchase.giveawayId);
+
+                if (updates.giveawayId && updates.giveawayId !== oldPurchase.giveawayId) {
+                    await this.recalculateGiveawayEntries(updates.giveawayId);
+                }
             }
             
             logger.purchase('UPDATED', purchaseId, Object.keys(updates).join(', '));
-            return purchases[index];
+            return updatedPurchase;
         } catch (error) {
             logger.error('Failed to update purchase:', error);
             throw error;
@@ -326,7 +597,9 @@ class Database {
             }
 
             const deleted = purchases.splice(index, 1)[0];
-            await this.saveToFile('purchases', purchases);
+
+            // A multiplier bonus only exists on top of its purchase
+            await this.saveToFile('purchases', purchases.filter(p => !(this.isBonus(p) && p.appliesTo === purchaseId)));
             
             // Recalculate giveaway entries
             await this.recalculateGiveawayEntries(deleted.giveawayId);
@@ -354,6 +627,51 @@ class Database {
         return purchases.filter(p => p.userId === userId);
     }
 
+    // Submission records live alongside purchases but earn entries from messages, not V-Bucks
+    isSubmission(purchase) {
+        return purchase.source === 'submission';
+    }
+
+    // Bonus lines hold entries granted on top of purchases: a role multiplier applied to one
+    // purchase (bonusType 'multiplier', appliesTo its purchaseId) or flat entries for an event
+    isBonus(purchase) {
+        return purchase.source === 'bonus';
+    }
+
+    // One line describing a bonus, for /bonus and /stats
+    describeBonus(bonus) {
+        if (bonus.bonusType === 'multiplier') {
+            return `${bonus.reason ? `${bonus.reason}: ` : ''}${bonus.multiplier}x for <@&${bonus.roleId}> on \`${bonus.appliesTo}\``;
+        }
+        return bonus.reason || 'flat bonus';
+    }
+
+    // Purchases whose entries are bought with V-Bucks at the giveaway's rate
+    earnsFromVbucks(purchase) {
+        return !this.isSubmission(purchase) && !this.isBonus(purchase);
+    }
+
+    // The best of the giveaway's multiplier rules for these roles; multipliers don't stack
+    getMultiplierRule(giveaway, roleIds = []) {
+        return (giveaway.bonusRules || [])
+            .filter(rule => roleIds.includes(rule.roleId))
+            .reduce((best, rule) => (!best || rule.multiplier > best.multiplier ? rule : best), null);
+    }
+
+    // Extra entries a multiplier adds to a purchase's entries, rounded down
+    calculateMultiplierBonus(entries, multiplier) {
+        return Math.floor(entries * (multiplier - 1));
+    }
+
+    async getUsedSubmissionMessageIds(giveawayId) {
+        const purchases = await this.getPurchasesByGiveaway(giveawayId);
+        return new Set(
+            purchases
+                .filter(p => this.isSubmission(p))
+                .flatMap(p => p.messageIds || [])
+        );
+    }
+
     // Cosmetics operations
     async updateCosmetics(cosmeticsData) {
         try {
@@ -439,7 +757,8 @@ class Database {
     // Helper functions
     async updateGiveawayParticipant(giveawayId, userId, additionalEntries) {
         try {
-            const giveaway = await this.getGiveaway(giveawayId);
+            // Work on a copy; the cached giveaway is only replaced through updateGiveaway
+            const giveaway = structuredClone(await this.getGiveaway(giveawayId));
             if (!giveaway) {
                 throw new Error(`Giveaway not found: ${giveawayId}`);
             }
@@ -471,9 +790,11 @@ class Database {
         }
     }
 
-    async updateGiveawayParticipantWithUserInfo(giveawayId, userId, additionalEntries, vbucksSpent, userInfo) {
+    // `purchaseId` marks additionalEntries as bought by that purchase, so the giveaway's role
+    // multipliers (matched against userInfo.roleIds) add a bonus line on top of them
+    async updateGiveawayParticipantWithUserInfo(giveawayId, userId, additionalEntries, vbucksSpent, userInfo, { vbucksBalance, purchaseId } = {}) {
     try {
-        const giveaway = await this.getGiveaway(giveawayId);
+        const giveaway = structuredClone(await this.getGiveaway(giveawayId));
         if (!giveaway) {
             throw new Error(`Giveaway not found: ${giveawayId}`);
         }
@@ -500,9 +821,40 @@ class Database {
             giveaway.participants[userId].discriminator = userInfo.discriminator;
         }
 
+        const multiplierRule = purchaseId && this.getMultiplierRule(giveaway, userInfo.roleIds);
+        const bonusEntries = multiplierRule
+            ? this.calculateMultiplierBonus(additionalEntries, multiplierRule.multiplier)
+            : 0;
+
+        // Recorded even when the bonus rounds down to 0 for now: settlement fills it in once
+        // the purchase earns more entries (an edit, a new rate, carried-over V-Bucks)
+        if (multiplierRule) {
+            await this.createPurchaseWithoutUpdate({
+                giveawayId,
+                userId,
+                vbucksSpent: 0,
+                entriesEarned: bonusEntries,
+                items: [],
+                addedBy: 'system',
+                source: 'bonus',
+                bonusType: 'multiplier',
+                appliesTo: purchaseId,
+                multiplier: multiplierRule.multiplier,
+                roleId: multiplierRule.roleId,
+                reason: multiplierRule.label
+            });
+
+            additionalEntries += bonusEntries;
+        }
+
         // FIXED: Add entries and V-Bucks (not duplicate)
         giveaway.participants[userId].entries += additionalEntries;
         giveaway.participants[userId].vbucksSpent += vbucksSpent;
+
+        // V-Bucks carried toward the next entry, when the caller settled a purchase
+        if (vbucksBalance !== undefined) {
+            giveaway.participants[userId].vbucksBalance = vbucksBalance;
+        }
         
         // FIXED: Update total entries correctly
         giveaway.totalEntries = (giveaway.totalEntries || 0) + additionalEntries;
@@ -512,31 +864,111 @@ class Database {
             totalEntries: giveaway.totalEntries
         });
 
-        logger.debug(`Updated participant ${userId} in giveaway ${giveawayId}: +${additionalEntries} entries, +${vbucksSpent} V-Bucks`);
+        logger.debug(`Updated participant ${userId} in giveaway ${giveawayId}: +${additionalEntries} entries (${bonusEntries} bonus), +${vbucksSpent} V-Bucks`);
 
+        return { bonusEntries };
     } catch (error) {
         logger.error('Failed to update giveaway participant with user info:', error);
         throw error;
     }
 }
 
+    // Entries bought by vbucksSpent on top of a carried balance, and what is left for the next one
+    calculateEntries(vbucksBalance, vbucksSpent, vbucksPerEntry) {
+        const available = vbucksBalance + vbucksSpent;
+        const entriesEarned = Math.floor(available / vbucksPerEntry);
+
+        return {
+            entriesEarned,
+            vbucksBalance: available - entriesEarned * vbucksPerEntry
+        };
+    }
+
+    // Replay one user's purchases in a giveaway, oldest first, carrying leftover V-Bucks from each
+    // into the next at the rate stored on the purchase. Submission grants, flat bonuses and
+    // purchases recorded before rates were stored on them keep the entries they were given.
+    // Multiplier bonuses follow the purchase they apply to.
+    settlePurchases(purchases) {
+        const entries = new Map();
+        let vbucksBalance = 0;
+
+        const ordered = [...purchases].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        for (const purchase of ordered) {
+            if (this.isSubmission(purchase) || !purchase.vbucksPerEntry) {
+                entries.set(purchase.purchaseId, purchase.entriesEarned);
+                continue;
+            }
+
+            const settled = this.calculateEntries(vbucksBalance, purchase.vbucksSpent, purchase.vbucksPerEntry);
+            entries.set(purchase.purchaseId, settled.entriesEarned);
+            vbucksBalance = settled.vbucksBalance;
+        }
+
+        for (const bonus of ordered.filter(p => this.isBonus(p) && p.bonusType === 'multiplier')) {
+            entries.set(bonus.purchaseId, this.calculateMultiplierBonus(entries.get(bonus.appliesTo) || 0, bonus.multiplier));
+        }
+
+        return { entries, vbucksBalance };
+    }
+
+    // Settle every user's purchases in a giveaway, saving the ones whose entries changed.
+    // Returns the giveaway's purchases and each user's carried balance.
+    async settleGiveawayPurchases(giveawayId) {
+        const giveawayPurchases = await this.getPurchasesByGiveaway(giveawayId);
+
+        const byUser = new Map();
+        giveawayPurchases.forEach(purchase => {
+            if (!byUser.has(purchase.userId)) byUser.set(purchase.userId, []);
+            byUser.get(purchase.userId).push(purchase);
+        });
+
+        const settledEntries = new Map();
+        const balances = new Map();
+        for (const [userId, userPurchases] of byUser) {
+            const { entries, vbucksBalance } = this.settlePurchases(userPurchases);
+            entries.forEach((entriesEarned, purchaseId) => settledEntries.set(purchaseId, entriesEarned));
+            balances.set(userId, vbucksBalance);
+        }
+
+        const isStale = purchase => settledEntries.has(purchase.purchaseId)
+            && settledEntries.get(purchase.purchaseId) !== purchase.entriesEarned;
+
+        if (giveawayPurchases.some(isStale)) {
+            const purchases = (this.cache.purchases || []).map(purchase => isStale(purchase)
+                ? { ...purchase, entriesEarned: settledEntries.get(purchase.purchaseId) }
+                : purchase);
+            await this.saveToFile('purchases', purchases);
+        }
+
+        return { purchases: await this.getPurchasesByGiveaway(giveawayId), balances };
+    }
+
     async recalculateGiveawayEntries(giveawayId) {
         try {
             const giveaway = await this.getGiveaway(giveawayId);
-            const purchases = await this.getPurchasesByGiveaway(giveawayId);
 
             if (!giveaway) return;
 
+            // An edited or deleted purchase changes what every later purchase by that user carried
+            // over, so their entries are settled again before the totals are rebuilt
+            const { purchases, balances } = await this.settleGiveawayPurchases(giveawayId);
+
+            const previousParticipants = giveaway.participants || {};
             const participants = {};
             let totalEntries = 0;
 
             purchases.forEach(purchase => {
                 if (!participants[purchase.userId]) {
+                    const { username, displayName, discriminator } = previousParticipants[purchase.userId] || {};
+
                     participants[purchase.userId] = {
                         userId: purchase.userId,
                         entries: 0,
                         vbucksSpent: 0,
-                        purchases: []
+                        vbucksBalance: 0,
+                        purchases: [],
+                        // Keep the display names shown on the wheel
+                        ...(username && { username, displayName, discriminator })
                     };
                 }
 
@@ -546,6 +978,10 @@ class Database {
                 totalEntries += purchase.entriesEarned;
             });
 
+            for (const [userId, balance] of balances) {
+                participants[userId].vbucksBalance = balance;
+            }
+
             await this.updateGiveaway(giveawayId, {
                 participants,
                 totalEntries
@@ -558,11 +994,92 @@ class Database {
         }
     }
 
+    // Apply a new V-Bucks per entry rate to every V-Bucks purchase in a giveaway and settle
+    // their entries again. Submission grants and bonuses don't depend on the rate.
+    async repricePurchases(giveawayId, vbucksPerEntry) {
+        try {
+            const purchases = (this.cache.purchases || []).map(purchase =>
+                purchase.giveawayId === giveawayId && this.earnsFromVbucks(purchase)
+                    ? { ...purchase, vbucksPerEntry }
+                    : purchase);
+
+            await this.saveToFile('purchases', purchases);
+            await this.recalculateGiveawayEntries(giveawayId);
+
+            logger.debug(`Repriced purchases for giveaway ${giveawayId} at ${vbucksPerEntry} V-Bucks per entry`);
+        } catch (error) {
+            logger.error('Failed to reprice purchases:', error);
+            throw error;
+        }
+    }
+
+    // Record a V-Bucks purchase and credit its entries. The purchase is settled against the V-Bucks
+    // its buyer carried over, at the giveaway's current rate, inside the transaction so a concurrent
+    // purchase can't spend the same balance.
+    async recordPurchase(purchaseData, userInfo) {
+        try {
+            const giveaway = await this.getGiveaway(purchaseData.giveawayId);
+            if (!giveaway) {
+                throw new Error(`Giveaway not found: ${purchaseData.giveawayId}`);
+            }
+
+            const carried = giveaway.participants?.[purchaseData.userId]?.vbucksBalance || 0;
+            const settled = this.calculateEntries(carried, purchaseData.vbucksSpent, giveaway.vbucksPerEntry);
+
+            const purchase = await this.createPurchaseWithoutUpdate({
+                ...purchaseData,
+                entriesEarned: settled.entriesEarned,
+                vbucksPerEntry: giveaway.vbucksPerEntry
+            });
+
+            const { bonusEntries } = await this.updateGiveawayParticipantWithUserInfo(
+                giveaway.id,
+                purchaseData.userId,
+                settled.entriesEarned,
+                purchaseData.vbucksSpent,
+                userInfo,
+                { vbucksBalance: settled.vbucksBalance, purchaseId: purchase.purchaseId }
+            );
+
+            return { purchase, vbucksBalance: settled.vbucksBalance, bonusEntries };
+        } catch (error) {
+            logger.error('Failed to record purchase:', error);
+            throw error;
+        }
+    }
+
+    // Grant flat bonus entries (e.g. for an event) as their own line, so they show up in the
+    // audit log and /stats separately from purchased entries
+    async addBonusEntries(giveawayId, userId, entries, reason, addedBy, userInfo) {
+        try {
+            const bonus = await this.createPurchaseWithoutUpdate({
+                giveawayId,
+                userId,
+                vbucksSpent: 0,
+                entriesEarned: entries,
+                items: [],
+                addedBy,
+                source: 'bonus',
+                bonusType: 'flat',
+                reason
+            });
+
+            await this.updateGiveawayParticipantWithUserInfo(giveawayId, userId, entries, 0, userInfo);
+
+            return bonus;
+        } catch (error) {
+            logger.error('Failed to add bonus entries:', error);
+            throw error;
+        }
+    }
+
     // Create purchase without automatic participant update (prevents double entries)
 async createPurchaseWithoutUpdate(purchaseData) {
     try {
         purchaseData.purchaseId = this.generateId('PUR');
         purchaseData.timestamp = new Date().toISOString();
+        purchaseData.source = purchaseData.source || 'purchase';
+        purchaseData.schemaVersion = CURRENT_SCHEMA_VERSION;
         
         this.validateSchema(purchaseData, 'purchase');
 
@@ -609,6 +1126,9 @@ async createPurchaseWithoutUpdate(purchaseData) {
         } else if (prefix === 'PUR') {
             const purchases = this.cache.purchases || [];
             ids.push(...purchases.map(p => p.purchaseId));
+        } else if (prefix === 'CLM') {
+            const giveaways = this.cache.giveaways || [];
+            ids.push(...giveaways.flatMap(g => (g.pendingClaims || []).map(c => c.claimId)));
         }
         
         return ids;
@@ -755,15 +1275,17 @@ async createPurchaseWithoutUpdate(purchaseData) {
         };
 
         try {
-            // Check file accessibility
-            for (const [name, filepath] of Object.entries(this.files)) {
+            health.backend = this.storage.name;
+
+            // Check store accessibility
+            for (const name of Object.keys(this.files)) {
                 try {
-                    await fs.access(filepath);
-                    const stats = await fs.stat(filepath);
+                    const stats = await this.storage.stat(name);
                     health.files[name] = {
                         exists: true,
+                        location: stats.location,
                         size: stats.size,
-                        modified: stats.mtime
+                        modified: stats.modified
                     };
                 } catch (error) {
                     health.files[name] = { exists: false, error: error.message };
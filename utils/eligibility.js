@@ -0,0 +1,197 @@
+const { RESTJSONErrorCodes } = require('discord.js');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Discord accepts up to 100 user IDs per guild member request
+const MEMBER_BATCH_SIZE = 100;
+
+// Who may take part in a giveaway. Rules live on giveaway.eligibility:
+//   requiredRoles      - role IDs; a member needs at least one of them
+//   excludedRoles      - role IDs; any of them disqualifies
+//   minAccountAgeDays  - days since the Discord account was created
+//   minGuildDays       - days since the member joined this server
+//   blockedUsers       - [{ userId, reason, blockedBy, blockedAt }]
+// Entries are checked when they come in (/addpurchase, submissions, claims) and again at the
+// spin, since roles and membership can change after a user's entries were recorded.
+class EligibilityChecker {
+    getRules(giveaway) {
+        const rules = giveaway?.eligibility || {};
+
+        return {
+            requiredRoles: rules.requiredRoles || [],
+            excludedRoles: rules.excludedRoles || [],
+            minAccountAgeDays: rules.minAccountAgeDays || 0,
+            minGuildDays: rules.minGuildDays || 0,
+            blockedUsers: rules.blockedUsers || []
+        };
+    }
+
+    hasRules(giveaway) {
+        const rules = this.getRules(giveaway);
+        return rules.requiredRoles.length > 0 || rules.excludedRoles.length > 0 ||
+            rules.minAccountAgeDays > 0 || rules.minGuildDays > 0 || rules.blockedUsers.length > 0;
+    }
+
+    // Rules about roles and server tenure can only be checked for current members
+    needsMember(rules) {
+        return rules.requiredRoles.length > 0 || rules.excludedRoles.length > 0 || rules.minGuildDays > 0;
+    }
+
+    // Reasons `userId` may not take part; empty when eligible. `member` is null for non-members,
+    // `user` is only needed for the account age when there is no member.
+    check(giveaway, userId, member, user = member?.user, now = new Date()) {
+        const rules = this.getRules(giveaway);
+        const reasons = [];
+
+        const blocked = rules.blockedUsers.find(b => b.userId === userId);
+        if (blocked) {
+            reasons.push(`Blocked from this giveaway${blocked.reason ? `: ${blocked.reason}` : ''}`);
+        }
+
+        if (!member && this.needsMember(rules)) {
+            reasons.push('Not a member of this server');
+        }
+
+        if (member) {
+            if (rules.requiredRoles.length > 0 && !rules.requiredRoles.some(roleId => member.roles.cache.has(roleId))) {
+                reasons.push(`Needs ${rules.requiredRoles.length > 1 ? 'one of the roles' : 'the role'} ${this.formatRoleNames(rules.requiredRoles, member.guild)}`);
+            }
+
+            const excluded = rules.excludedRoles.filter(roleId => member.roles.cache.has(roleId));
+            if (excluded.length > 0) {
+                reasons.push(`Has the excluded ${excluded.length > 1 ? 'roles' : 'role'} ${this.formatRoleNames(excluded, member.guild)}`);
+            }
+
+            if (rules.minGuildDays > 0) {
+                const days = member.joinedAt ? this.daysSince(member.joinedAt, now) : 0;
+                if (days < rules.minGuildDays) {
+                    reasons.push(`In the server for ${days} of the required ${rules.minGuildDays} days`);
+                }
+            }
+        }
+
+        if (rules.minAccountAgeDays > 0 && user?.createdAt) {
+            const days = this.daysSince(user.createdAt, now);
+            if (days < rules.minAccountAgeDays) {
+                reasons.push(`Account is ${days} of the required ${rules.minAccountAgeDays} days old`);
+            }
+        }
+
+        return reasons;
+    }
+
+    // Fetch the member and check them; users Discord reports as unknown members count as non-members
+    async checkUser(guild, giveaway, userId) {
+        if (!this.hasRules(giveaway)) return [];
+
+        const member = await this.fetchMember(guild, userId);
+        const user = member?.user || await this.fetchUser(guild, userId);
+
+        return this.check(giveaway, userId, member, user);
+    }
+
+    // Only needed for the account age of users who aren't members
+    async fetchUser(guild, userId) {
+        try {
+            return guild.client.users.cache.get(userId) || await guild.client.users.fetch(userId);
+        } catch (error) {
+            logger.debug(`Could not fetch user ${userId} for eligibility:`, error.message);
+            return null;
+        }
+    }
+
+    // Only "Unknown Member" means the user left; anything else (rate limits, timeouts) is rethrown
+    // so a spin aborts instead of dropping paying participants from the pool
+    async fetchMember(guild, userId) {
+        try {
+            return await guild.members.fetch(userId);
+        } catch (error) {
+            if (error.code !== RESTJSONErrorCodes.UnknownMember) throw error;
+
+            logger.debug(`User ${userId} is not a member of ${guild.id}:`, error.message);
+            return null;
+        }
+    }
+
+    // Members for many users at once: cached ones first, the rest in batched gateway requests
+    // rather than one REST call each. Users missing from the result aren't members.
+    async fetchMembers(guild, userIds) {
+        const members = new Map();
+        const missing = [];
+
+        for (const userId of userIds) {
+            const cached = guild.members.cache.get(userId);
+            if (cached) {
+                members.set(userId, cached);
+            } else {
+                missing.push(userId);
+            }
+        }
+
+        for (let i = 0; i < missing.length; i += MEMBER_BATCH_SIZE) {
+            const fetched = await guild.members.fetch({ user: missing.slice(i, i + MEMBER_BATCH_SIZE) });
+            fetched.forEach((member, userId) => members.set(userId, member));
+        }
+
+        return members;
+    }
+
+    // Participants holding entries that the rules now rule out, as a Map of userId -> reasons
+    async findIneligible(guild, giveaway) {
+        const ineligible = new Map();
+        if (!this.hasRules(giveaway)) return ineligible;
+
+        const rules = this.getRules(giveaway);
+        const userIds = Object.values(giveaway.participants || {})
+            .filter(p => p.entries > 0)
+            .map(p => p.userId);
+
+        const members = this.needsMember(rules) || rules.minAccountAgeDays > 0
+            ? await this.fetchMembers(guild, userIds)
+            : new Map();
+
+        for (const userId of userIds) {
+            const member = members.get(userId) || null;
+            const user = member?.user || (rules.minAccountAgeDays > 0 ? await this.fetchUser(guild, userId) : null);
+
+            const reasons = this.check(giveaway, userId, member, user);
+            if (reasons.length > 0) ineligible.set(userId, reasons);
+        }
+
+        return ineligible;
+    }
+
+    daysSince(date, now = new Date()) {
+        return Math.floor((now - new Date(date)) / DAY_MS);
+    }
+
+    formatRoles(roleIds) {
+        return roleIds.map(roleId => `<@&${roleId}>`).join(', ');
+    }
+
+    // Reasons are also sent in DMs, where role mentions don't resolve
+    formatRoleNames(roleIds, guild) {
+        return roleIds.map(roleId => {
+            const role = guild?.roles?.cache.get(roleId);
+            return role ? `**@${role.name}**` : `<@&${roleId}>`;
+        }).join(', ');
+    }
+
+    // One line per rule for /eligibility show
+    describe(giveaway) {
+        const rules = this.getRules(giveaway);
+        if (!this.hasRules(giveaway)) return ['Anyone can take part.'];
+
+        const lines = [];
+        if (rules.requiredRoles.length > 0) lines.push(`**Required Role (any):** ${this.formatRoles(rules.requiredRoles)}`);
+        if (rules.excludedRoles.length > 0) lines.push(`**Excluded Roles:** ${this.formatRoles(rules.excludedRoles)}`);
+        if (rules.minAccountAgeDays > 0) lines.push(`**Minimum Account Age:** ${rules.minAccountAgeDays} days`);
+        if (rules.minGuildDays > 0) lines.push(`**Minimum Time in Server:** ${rules.minGuildDays} days`);
+        if (rules.blockedUsers.length > 0) lines.push(`**Blocked Users:** ${rules.blockedUsers.length}`);
+
+        return lines;
+    }
+}
+
+module.exports = new EligibilityChecker();
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+// Provably fair draws using a commit-reveal scheme:
+//   1. Before drawing, a random server seed is generated and only its SHA-256 hash is published.
+//   2. The message carrying that hash gives us a public seed (its Discord message ID) we cannot pick.
+//   3. Winners are derived from HMAC-SHA256(serverSeed, `${publicSeed}:${counter}`) over the
+//      participants sorted by user ID, so anyone can replay the draw once the seed is revealed.
+// The commitment keeps the participant list it hashed, so a draw can still be replayed after
+// purchases are edited or removed. Once drawn, that list is kept in giveaway.participantSnapshots
+// under the commitment's server seed hash.
+class FairnessManager {
+    createCommitment(participants) {
+        const serverSeed = crypto.randomBytes(32).toString('hex');
+        const snapshot = this.getCanonicalParticipants(participants);
+
+        return {
+            serverSeed,
+            serverSeedHash: this.hashSeed(serverSeed),
+            participantsHash: this.hashParticipants(snapshot),
+            participants: snapshot,
+            publicSeed: null,
+            committedAt: new Date().toISOString(),
+            revealed: false
+        };
+    }
+
+    hashSeed(serverSeed) {
+        return crypto.createHash('sha256').update(serverSeed).digest('hex');
+    }
+
+    // Only user IDs and entry counts take part in the draw, ordered by user ID
+    getCanonicalParticipants(participants) {
+        return Object.values(participants || {})
+            .map(p => ({ userId: p.userId, entries: p.entries || 0 }))
+            .sort((a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0));
+    }
+
+    hashParticipants(participants) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(this.getCanonicalParticipants(participants)))
+            .digest('hex');
+    }
+
+    // Deterministic [0, 1) values from the first 52 bits of each HMAC
+    createRandom(serverSeed, publicSeed) {
+        let counter = 0;
+
+        return () => {
+            const digest = crypto.createHmac('sha256', serverSeed)
+                .update(`${publicSeed}:${counter++}`)
+                .digest();
+
+            return (digest.readUIntBE(0, 6) * 16 + (digest[6] >> 4)) / 2 ** 52;
+        };
+    }
+
+    // Weighted draw without replacement; returns winner user IDs in place order
+    drawWinnerIds(participants, count, { serverSeed, publicSeed }, excludeUserIds = []) {
+        const random = this.createRandom(serverSeed, publicSeed);
+        // Participants still short of their first entry hold no tickets
+        let pool = this.getCanonicalParticipants(participants)
+            .filter(p => p.entries > 0 && !excludeUserIds.includes(p.userId));
+        const winnerIds = [];
+
+        while (winnerIds.length < count && pool.length > 0) {
+            const totalEntries = pool.reduce((sum, p) => sum + p.entries, 0);
+            let index;
+
+            if (totalEntries === 0) {
+                index = Math.floor(random() * pool.length);
+            } else {
+                let ticket = random() * totalEntries;
+                index = pool.findIndex(p => (ticket -= p.entries) < 0);
+                if (index === -1) index = pool.length - 1;
+            }
+
+            winnerIds.push(pool[index].userId);
+            pool = pool.filter((_, i) => i !== index);
+        }
+
+        return winnerIds;
+    }
+
+    formatCommitment(commitment) {
+        return [
+            `**Server Seed Hash:** \`${commitment.serverSeedHash}\``,
+            `**Participants Hash:** \`${commitment.participantsHash}\``,
+            'The public seed is the ID of this message. The server seed is revealed after the spin.'
+        ].join('\n');
+    }
+
+    formatReveal(commitment) {
+        return [
+            `**Server Seed:** \`${commitment.serverSeed}\``,
+            `**Server Seed Hash:** \`${commitment.serverSeedHash}\``,
+            `**Public Seed:** \`${commitment.publicSeed}\``
+        ].join('\n');
+    }
+
+    // Replay every recorded draw of a giveaway and report whether it checks out
+    verifyGiveaway(giveaway) {
+        const history = Array.isArray(giveaway.winnerHistory) ? giveaway.winnerHistory : [];
+        const currentParticipantsHash = this.hashParticipants(giveaway.participants);
+        const draws = [];
+
+        // Winners drawn together share one commitment
+        for (const entry of history) {
+            const last = draws[draws.length - 1];
+            if (entry.fairness && last?.fairness && last.fairness.serverSeedHash === entry.fairness.serverSeedHash) {
+                last.entries.push(entry);
+            } else {
+                draws.push({ fairness: entry.fairness || null, entries: [entry] });
+            }
+        }
+
+        return draws.map(({ fairness, entries }) => {
+            const recordedIds = entries.map(entry => entry.userId);
+
+            if (!fairness || !fairness.serverSeed) {
+                return { entries, recordedIds, verifiable: false };
+            }
+
+            // Draws recorded before snapshots were kept can only be checked against today's participants
+            const snapshot = giveaway.participantSnapshots?.[fairness.serverSeedHash] || fairness.participants;
+            const participants = snapshot || giveaway.participants;
+            const participantsHash = snapshot ? this.hashParticipants(participants) : currentParticipantsHash;
+
+            const seedMatchesCommitment = this.hashSeed(fairness.serverSeed) === fairness.serverSeedHash;
+            const participantsMatch = fairness.participantsHash === participantsHash;
+            const expectedIds = this.drawWinnerIds(
+                participants,
+                entries.length,
+                fairness,
+                fairness.excludedUserIds || []
+            );
+            const winnersMatch = expectedIds.length === recordedIds.length &&
+                expectedIds.every((id, i) => id === recordedIds[i]);
+
+            return {
+                entries,
+                recordedIds,
+                expectedIds,
+                fairness,
+                hasSnapshot: Boolean(snapshot),
+                verifiable: true,
+                seedMatchesCommitment,
+                participantsMatch,
+                winnersMatch,
+                valid: seedMatchesCommitment && participantsMatch && winnersMatch
+            };
+        });
+    }
+}
+
+module.exports = new FairnessManager();
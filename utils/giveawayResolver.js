@@ -0,0 +1,175 @@
+const Fuse = require('fuse.js');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const database = require('./database');
+const logger = require('./logger');
+
+// Discord caps autocomplete at 25 choices and a row at 5 buttons
+const MAX_SUGGESTIONS = 25;
+const MAX_CANDIDATES = 4;
+
+// How much better (lower) the best fuzzy score must be than the runner-up to win outright
+const CLEAR_WINNER_MARGIN = 0.2;
+
+// Turns what a user typed into a giveaway: exact ID or name (ignoring case), then a fuzzy match
+// on name and ID like apiHandler.searchCosmetics. Several close matches are ambiguous and the
+// user is asked to pick one.
+class GiveawayResolver {
+    constructor() {
+        this.fuseOptions = {
+            keys: [
+                { name: 'name', weight: 0.7 },
+                { name: 'id', weight: 0.3 }
+            ],
+            threshold: 0.4, // Lower = more strict matching
+            distance: 100,
+            minMatchCharLength: 2,
+            includeScore: true
+        };
+    }
+
+    // Active giveaways first, newest first within each group
+    sortForSuggestions(giveaways) {
+        return [...giveaways].sort((a, b) => {
+            if (a.active !== b.active) return a.active ? -1 : 1;
+            return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+        });
+    }
+
+    search(query) {
+        const giveaways = database.cache.giveaways || [];
+        const term = (query || '').trim();
+
+        if (!term) {
+            return this.sortForSuggestions(giveaways).map(giveaway => ({ giveaway, score: 0 }));
+        }
+
+        return new Fuse(giveaways, this.fuseOptions)
+            .search(term)
+            .map(({ item, score }) => ({ giveaway: item, score }));
+    }
+
+    // { giveaway } when the input names exactly one, { candidates } when it's ambiguous, {} otherwise
+    resolve(input) {
+        const term = (input || '').trim().toLowerCase();
+        if (!term) return {};
+
+        const giveaways = database.cache.giveaways || [];
+
+        const byId = giveaways.find(g => g.id.toLowerCase() === term);
+        if (byId) return { giveaway: byId };
+
+        const byName = giveaways.filter(g => (g.name || '').toLowerCase() === term);
+        if (byName.length === 1) return { giveaway: byName[0] };
+        if (byName.length > 1) return { candidates: this.sortForSuggestions(byName).slice(0, MAX_CANDIDATES) };
+
+        const results = this.search(term);
+        if (results.length === 0) return {};
+
+        const [best, runnerUp] = results;
+        if (!runnerUp || runnerUp.score - best.score >= CLEAR_WINNER_MARGIN) {
+            return { giveaway: best.giveaway };
+        }
+
+        const close = results.filter(result => result.score - best.score < CLEAR_WINNER_MARGIN);
+        return { candidates: close.slice(0, MAX_CANDIDATES).map(result => result.giveaway) };
+    }
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused();
+
+        // Within the fuzzy results, still put active giveaways first
+        const results = this.search(focused)
+            .map(({ giveaway }) => giveaway)
+            .sort((a, b) => (a.active === b.active ? 0 : a.active ? -1 : 1))
+            .slice(0, MAX_SUGGESTIONS);
+
+        await interaction.respond(results.map(giveaway => ({
+            name: `${giveaway.active ? '🟢' : '🔴'} ${giveaway.name} (${giveaway.id})`.slice(0, 100),
+            value: giveaway.id
+        })));
+    }
+
+    // Resolve the command's giveaway option, replying when nothing (or several things) match.
+    // Expects a deferred interaction; returns null when the command should stop.
+    async resolveFromInteraction(interaction, optionName = 'giveaway') {
+        const input = interaction.options.getString(optionName);
+        const { giveaway, candidates } = this.resolve(input);
+
+        if (giveaway) return giveaway;
+
+        if (!candidates) {
+            await interaction.editReply({
+                content: `❌ Giveaway not found: **${input}**\nUse \`/listgaws\` to see available giveaways.`,
+                ephemeral: true
+            });
+            return null;
+        }
+
+        return this.promptForCandidate(interaction, input, candidates);
+    }
+
+    async promptForCandidate(interaction, input, candidates) {
+        const content = [
+            `🤔 **${input}** matches more than one giveaway. Which one did you mean?`,
+            ...candidates.map(g => `• **${g.name}** (\`${g.id}\`) ${g.active ? '🟢 Active' : '🔴 Inactive'}`)
+        ].join('\n');
+
+        const row = new ActionRowBuilder().addComponents(
+            ...candidates.map(g => new ButtonBuilder()
+                .setCustomId(`giveaway_pick_${g.id}`)
+                .setLabel(`${g.name} (${g.id})`.slice(0, 80))
+                .setStyle(g.active ? ButtonStyle.Primary : ButtonStyle.Secondary)),
+            new ButtonBuilder()
+                .setCustomId('giveaway_pick_cancel')
+                .setLabel('❌ Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        // Terminal commands have no message to click on
+        if (interaction.isTerminal) {
+            await interaction.editReply({ content: `${content}\n\nRun the command again with the giveaway ID.` });
+            return null;
+        }
+
+        const message = await interaction.editReply({ content, components: [row] });
+
+        try {
+            while (true) {
+                const choice = await message.awaitMessageComponent({ time: 60000 }); // 1 minute timeout
+
+                if (choice.user.id !== interaction.user.id) {
+                    await choice.reply({
+                        content: 'Only the command user can choose a giveaway.',
+                        ephemeral: true
+                    });
+                    continue;
+                }
+
+                if (choice.customId === 'giveaway_pick_cancel') {
+                    await choice.update({ content: '✅ Cancelled.', components: [] });
+                    return null;
+                }
+
+                const picked = candidates.find(g => choice.customId === `giveaway_pick_${g.id}`);
+                await choice.update({ content: `➡️ Using **${picked.name}** (\`${picked.id}\`)`, components: [] });
+
+                // Re-read in case it changed (or was deleted) while the prompt was open
+                const current = await database.getGiveaway(picked.id);
+                if (!current) {
+                    await interaction.editReply({ content: `❌ **${picked.name}** no longer exists.` });
+                }
+                return current || null;
+            }
+        } catch (error) {
+            logger.debug('Giveaway selection timed out:', error.message);
+
+            await interaction.editReply({
+                content: '⏰ No giveaway was selected. Run the command again to retry.',
+                components: []
+            });
+            return null;
+        }
+    }
+}
+
+module.exports = new GiveawayResolver();
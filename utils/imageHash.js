@@ -0,0 +1,198 @@
+const axios = require('axios');
+const { createCanvas, loadImage } = require('canvas');
+const database = require('./database');
+const messageValidator = require('./messageValidator');
+const logger = require('./logger');
+
+// dHash compares each pixel of a 9x8 grayscale thumbnail with its right neighbour: 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Re-encoded or slightly cropped copies of a screenshot usually differ by a few bits;
+// unrelated images differ by around half of them
+const DEFAULT_THRESHOLD = 6;
+
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+
+// Perceptual hashes of receipt and submission images, so the same screenshot reused for another
+// giveaway or from another account can be flagged for the mods. Hashes are stored as
+// { hash, url } on purchase records, pending claims and pending submissions, where url links
+// to the record the image belongs to. Hashing never blocks a submission: an image that can't
+// be downloaded or decoded simply has no hash.
+class ImageHasher {
+    constructor() {
+        this.threshold = parseInt(process.env.DUPLICATE_IMAGE_THRESHOLD) || DEFAULT_THRESHOLD;
+    }
+
+    async hashUrl(url) {
+        try {
+            const response = await axios.get(url, {
+                responseType: 'arraybuffer',
+                timeout: 15000,
+                maxContentLength: MAX_IMAGE_BYTES
+            });
+
+            const image = await loadImage(Buffer.from(response.data));
+            return this.hashImage(image);
+        } catch (error) {
+            logger.debug(`Could not hash image ${url}:`, error.message);
+            return null;
+        }
+    }
+
+    hashImage(image) {
+        const canvas = createCanvas(HASH_WIDTH, HASH_HEIGHT);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+
+        const { data } = ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+        const gray = [];
+        for (let i = 0; i < data.length; i += 4) {
+            gray.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+        }
+
+        let hash = '';
+        for (let y = 0; y < HASH_HEIGHT; y++) {
+            let nibble = 0;
+            for (let x = 0; x < HASH_WIDTH - 1; x++) {
+                const left = gray[y * HASH_WIDTH + x];
+                const right = gray[y * HASH_WIDTH + x + 1];
+                nibble = (nibble << 1) | (left > right ? 1 : 0);
+
+                if (x % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+
+        return hash;
+    }
+
+    // Image attachments and embedded images of a Discord message, each linked to the message
+    async hashMessage(message) {
+        const imageUrls = [];
+
+        for (const attachment of message.attachments.values()) {
+            const contentType = attachment.contentType?.toLowerCase() || '';
+            if (contentType.startsWith('image/') || messageValidator.imagePattern.test(attachment.name?.toLowerCase() || '')) {
+                imageUrls.push(attachment.url);
+            }
+        }
+
+        for (const embed of message.embeds) {
+            if (embed.image?.url) imageUrls.push(embed.image.url);
+        }
+
+        const hashes = [];
+        for (const imageUrl of imageUrls) {
+            const hash = await this.hashUrl(imageUrl);
+            if (hash) hashes.push({ hash, url: message.url });
+        }
+
+        return hashes;
+    }
+
+    // Number of differing bits between two hashes
+    distance(a, b) {
+        let bits = 0;
+        for (let i = 0; i < a.length; i++) {
+            let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (diff) {
+                bits += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return bits;
+    }
+
+    // Every stored image across all giveaways that looks like one of `hashes`, oldest first.
+    // `exclude` is the purchase, claim or message ID of the record the hashes belong to.
+    findDuplicates(hashes, { exclude = null } = {}) {
+        if (!hashes || hashes.length === 0) return [];
+
+        const candidates = [];
+
+        for (const purchase of database.cache.purchases || []) {
+            candidates.push({
+                kind: database.isSubmission(purchase) ? 'submission' : 'purchase',
+                id: purchase.purchaseId,
+                giveawayId: purchase.giveawayId,
+                userId: purchase.userId,
+                at: purchase.timestamp,
+                imageHashes: purchase.imageHashes,
+                excluded: purchase.purchaseId === exclude
+            });
+        }
+
+        for (const giveaway of database.cache.giveaways || []) {
+            for (const claim of giveaway.pendingClaims || []) {
+                candidates.push({
+                    kind: 'pending claim',
+                    id: claim.claimId,
+                    giveawayId: giveaway.id,
+                    userId: claim.userId,
+                    at: claim.submittedAt,
+                    imageHashes: claim.imageHashes,
+                    excluded: claim.claimId === exclude
+                });
+            }
+
+            for (const submission of giveaway.pendingSubmissions || []) {
+                candidates.push({
+                    kind: 'pending submission',
+                    id: submission.messageId,
+                    giveawayId: giveaway.id,
+                    userId: submission.userId,
+                    at: submission.submittedAt,
+                    imageHashes: submission.imageHashes,
+                    excluded: submission.messageId === exclude
+                });
+            }
+        }
+
+        const matches = [];
+
+        for (const candidate of candidates) {
+            if (candidate.excluded || !candidate.imageHashes) continue;
+
+            let best = null;
+            for (const stored of candidate.imageHashes) {
+                for (const { hash, url } of hashes) {
+                    // The same message counted for two giveaways isn't a resubmission
+                    if (url && url === stored.url) continue;
+
+                    const distance = this.distance(hash, stored.hash);
+                    if (distance <= this.threshold && (!best || distance < best.distance)) {
+                        best = { distance, url: stored.url };
+                    }
+                }
+            }
+
+            if (best) {
+                const { imageHashes, excluded, ...record } = candidate;
+                matches.push({ ...record, ...best });
+            }
+        }
+
+        return matches.sort((a, b) => new Date(a.at || 0) - new Date(b.at || 0));
+    }
+
+    // One line per match for review embeds, e.g. "purchase `PUR-…` in **Name** by @user • view"
+    formatDuplicates(matches, limit = 5) {
+        const lines = matches.slice(0, limit).map(match => {
+            const giveaway = (database.cache.giveaways || []).find(g => g.id === match.giveawayId);
+            const when = match.at ? ` <t:${Math.floor(new Date(match.at).getTime() / 1000)}:R>` : '';
+            const link = match.url ? ` • [view](${match.url})` : '';
+            return `${match.kind} \`${match.id}\` in **${giveaway?.name || match.giveawayId}** by <@${match.userId}>${when}${link}`;
+        });
+
+        if (matches.length > limit) {
+            lines.push(`...and ${matches.length - limit} more`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = new ImageHasher();
@@ -0,0 +1,163 @@
+const database = require('./database');
+const logger = require('./logger');
+
+// Reconciles the cached totals on each giveaway (participants and totalEntries) against
+// purchases.json, which is the source of truth, and looks for records that can't be
+// reconciled at all: purchases whose giveaway is gone and IDs used more than once.
+class IntegrityChecker {
+    async scan() {
+        const giveaways = database.cache.giveaways || [];
+        const purchases = database.cache.purchases || [];
+
+        const report = {
+            checkedAt: new Date().toISOString(),
+            giveaways: giveaways.length,
+            purchases: purchases.length,
+            drift: [],
+            orphans: [],
+            duplicates: [
+                ...this.findDuplicates(giveaways, 'id', 'giveaways'),
+                ...this.findDuplicates(purchases, 'purchaseId', 'purchases')
+            ]
+        };
+
+        const giveawayIds = new Set(giveaways.map(g => g.id));
+        report.orphans = purchases
+            .filter(p => !giveawayIds.has(p.giveawayId))
+            .map(p => ({ purchaseId: p.purchaseId, giveawayId: p.giveawayId, userId: p.userId, entriesEarned: p.entriesEarned }));
+
+        for (const giveaway of giveaways) {
+            const issues = this.checkGiveaway(giveaway, purchases.filter(p => p.giveawayId === giveaway.id));
+            if (issues.length > 0) {
+                report.drift.push({ giveawayId: giveaway.id, name: giveaway.name, issues });
+            }
+        }
+
+        return report;
+    }
+
+    // Compare a giveaway's cached totals with what recalculateGiveawayEntries would produce,
+    // including entries a purchase should have earned from V-Bucks carried over to it.
+    // participant.purchases is only filled in by a recalculation, so it isn't compared.
+    checkGiveaway(giveaway, purchases) {
+        const expected = {};
+        let expectedTotal = 0;
+
+        const byUser = {};
+        purchases.forEach(purchase => (byUser[purchase.userId] = byUser[purchase.userId] || []).push(purchase));
+
+        for (const [userId, userPurchases] of Object.entries(byUser)) {
+            const { entries, vbucksBalance } = database.settlePurchases(userPurchases);
+            expected[userId] = {
+                entries: [...entries.values()].reduce((sum, count) => sum + count, 0),
+                vbucksSpent: userPurchases.reduce((sum, purchase) => sum + purchase.vbucksSpent, 0),
+                vbucksBalance
+            };
+            expectedTotal += expected[userId].entries;
+        }
+
+        const stored = giveaway.participants || {};
+        const issues = [];
+
+        for (const userId of new Set([...Object.keys(stored), ...Object.keys(expected)])) {
+            const actual = stored[userId];
+            const wanted = expected[userId];
+
+            if (!wanted) {
+                issues.push({ userId, field: 'participant', stored: actual.entries, expected: null });
+                continue;
+            }
+            if (!actual) {
+                issues.push({ userId, field: 'participant', stored: null, expected: wanted.entries });
+                continue;
+            }
+
+            for (const field of ['entries', 'vbucksSpent', 'vbucksBalance']) {
+                if ((actual[field] || 0) !== wanted[field]) {
+                    issues.push({ userId, field, stored: actual[field] || 0, expected: wanted[field] });
+                }
+            }
+        }
+
+        if ((giveaway.totalEntries || 0) !== expectedTotal) {
+            issues.push({ userId: null, field: 'totalEntries', stored: giveaway.totalEntries || 0, expected: expectedTotal });
+        }
+
+        return issues;
+    }
+
+    findDuplicates(records, idField, store) {
+        const counts = new Map();
+        records.forEach(record => counts.set(record[idField], (counts.get(record[idField]) || 0) + 1));
+
+        return [...counts]
+            .filter(([, count]) => count > 1)
+            .map(([id, count]) => ({ store, id, count }));
+    }
+
+    // Recalculate every drifted giveaway. Orphans and duplicates need a human decision,
+    // so they are only reported.
+    async repair() {
+        const before = await database.transaction(async () => {
+            const report = await this.scan();
+            for (const { giveawayId } of report.drift) {
+                await database.recalculateGiveawayEntries(giveawayId);
+            }
+            return report;
+        });
+
+        const after = await this.scan();
+        if (before.drift.length > 0) {
+            logger.info(`Integrity repair recalculated ${before.drift.length} giveaway(s)`);
+        }
+
+        return { ...after, repaired: before.drift.map(({ giveawayId }) => giveawayId) };
+    }
+
+    isClean(report) {
+        return report.drift.length === 0 && report.orphans.length === 0 && report.duplicates.length === 0;
+    }
+
+    formatReport(report) {
+        const lines = [
+            `Integrity check at ${report.checkedAt}: ${report.giveaways} giveaways, ${report.purchases} purchases`
+        ];
+
+        if (report.repaired) {
+            lines.push(report.repaired.length > 0
+                ? `Repaired: ${report.repaired.join(', ')}`
+                : 'Nothing needed repairing.');
+        }
+
+        if (this.isClean(report)) {
+            lines.push('No problems found.');
+            return lines.join('\n');
+        }
+
+        if (report.drift.length > 0) {
+            lines.push(`Giveaways out of sync with purchases (${report.drift.length}):`);
+            for (const { giveawayId, name, issues } of report.drift) {
+                lines.push(`  ${giveawayId} (${name}):`);
+                issues.forEach(({ userId, field, stored, expected }) => {
+                    lines.push(`    ${userId ? `${userId} ` : ''}${field}: stored ${stored ?? 'none'}, expected ${expected ?? 'none'}`);
+                });
+            }
+        }
+
+        if (report.orphans.length > 0) {
+            lines.push(`Purchases for deleted giveaways (${report.orphans.length}):`);
+            report.orphans.forEach(({ purchaseId, giveawayId, userId, entriesEarned }) => {
+                lines.push(`  ${purchaseId}: giveaway ${giveawayId}, user ${userId}, ${entriesEarned} entries`);
+            });
+        }
+
+        if (report.duplicates.length > 0) {
+            lines.push(`Duplicate IDs (${report.duplicates.length}):`);
+            report.duplicates.forEach(({ store, id, count }) => lines.push(`  ${store} ${id}: ${count} records`));
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = new IntegrityChecker();
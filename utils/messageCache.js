@@ -0,0 +1,246 @@
+const { RESTJSONErrorCodes } = require('discord.js');
+const fs = require('fs-extra');
+const path = require('path');
+const messageValidator = require('./messageValidator');
+const logger = require('./logger');
+
+// Persistent per-channel cache of scanned message metadata (data/message-cache/<channelId>.json).
+// The first scan of a channel pages through its history once; later scans only fetch messages
+// newer than the newest one cached, and backfill older history only as far as a query needs.
+// A channel's cache is read from disk for each operation and dropped afterwards, so scanned
+// channels don't stay in memory; operations on the same channel run one at a time.
+class MessageCacheManager {
+    constructor() {
+        this.cacheDir = path.join(__dirname, '../data/message-cache');
+        this.pageSize = 100;
+        this.pageDelay = 100; // ms between pages to respect rate limits
+        this.locks = new Map();
+    }
+
+    getCachePath(channelId) {
+        if (!/^\d+$/.test(channelId)) {
+            throw new Error(`Invalid channel ID: ${channelId}`);
+        }
+        return path.join(this.cacheDir, `${channelId}.json`);
+    }
+
+    async load(channelId) {
+        let cache = null;
+        const filepath = this.getCachePath(channelId);
+
+        try {
+            if (await fs.pathExists(filepath)) {
+                cache = await fs.readJson(filepath);
+            }
+        } catch (error) {
+            logger.warn(`Message cache for ${channelId} is unreadable, rescanning:`, error.message);
+        }
+
+        return cache || this.createEmpty(channelId);
+    }
+
+    // Run fn with the channel's cache once earlier operations on the channel have finished
+    async withCache(channelId, fn) {
+        const previous = this.locks.get(channelId) || Promise.resolve();
+        const run = previous.then(async () => fn(await this.load(channelId)));
+
+        const done = run.catch(() => {});
+        this.locks.set(channelId, done);
+        done.then(() => {
+            if (this.locks.get(channelId) === done) this.locks.delete(channelId);
+        });
+
+        return run;
+    }
+
+    createEmpty(channelId) {
+        return {
+            channelId,
+            newestId: null,
+            oldestId: null,
+            complete: false, // true once the start of the channel has been reached
+            updatedAt: null,
+            messages: {}
+        };
+    }
+
+    async save(cache) {
+        cache.updatedAt = new Date().toISOString();
+        await fs.ensureDir(this.cacheDir);
+        await fs.writeJson(this.getCachePath(cache.channelId), cache);
+    }
+
+    async clear(channelId) {
+        await fs.remove(this.getCachePath(channelId));
+        logger.info(`Message cache cleared for channel ${channelId}`);
+    }
+
+    toEntry(message) {
+        return {
+            id: message.id,
+            authorId: message.author.id,
+            authorUsername: message.author.username,
+            authorDisplayName: message.author.globalName || message.author.username,
+            authorDiscriminator: message.author.discriminator,
+            authorBot: message.author.bot,
+            timestamp: message.createdAt.toISOString(),
+            valid: messageValidator.isValidMessage(message),
+            attachmentTypes: messageValidator.getAttachmentTypes(message),
+            attachments: message.attachments.size,
+            url: message.url
+        };
+    }
+
+    // Snowflakes are ordered by creation time but exceed Number precision
+    compareIds(a, b) {
+        const diff = BigInt(a) - BigInt(b);
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+    }
+
+    addBatch(cache, batch) {
+        for (const message of batch.values()) {
+            cache.messages[message.id] = this.toEntry(message);
+
+            if (!cache.newestId || this.compareIds(message.id, cache.newestId) > 0) cache.newestId = message.id;
+            if (!cache.oldestId || this.compareIds(message.id, cache.oldestId) < 0) cache.oldestId = message.id;
+        }
+    }
+
+    async fetchNewer(channel, cache) {
+        let fetched = 0;
+
+        while (cache.newestId) {
+            const batch = await channel.messages.fetch({ limit: this.pageSize, after: cache.newestId });
+            if (batch.size === 0) break;
+
+            this.addBatch(cache, batch);
+            fetched += batch.size;
+
+            if (batch.size < this.pageSize) break;
+            await new Promise(resolve => setTimeout(resolve, this.pageDelay));
+        }
+
+        return fetched;
+    }
+
+    // Page backwards from the oldest cached message until `until` is covered or the channel starts
+    async fetchOlder(channel, cache, until = null) {
+        let fetched = 0;
+
+        while (!cache.complete) {
+            const oldest = cache.oldestId && cache.messages[cache.oldestId];
+            if (until && oldest && new Date(oldest.timestamp) <= until) break;
+
+            const options = { limit: this.pageSize };
+            if (cache.oldestId) options.before = cache.oldestId;
+
+            const batch = await channel.messages.fetch(options);
+            this.addBatch(cache, batch);
+            fetched += batch.size;
+
+            if (batch.size < this.pageSize) {
+                cache.complete = true;
+                break;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pageDelay));
+        }
+
+        return fetched;
+    }
+
+    // Bring the cache up to date for the requested period and return its entries, newest first
+    async getMessages(channel, { after = null, before = null, rescan = false } = {}) {
+        return this.withCache(channel.id, async cache => {
+            if (rescan) {
+                await this.clear(channel.id);
+                cache = this.createEmpty(channel.id);
+            }
+
+            let fetched = 0;
+
+            try {
+                fetched += await this.fetchNewer(channel, cache);
+                fetched += await this.fetchOlder(channel, cache, after);
+            } finally {
+                // Keep whatever was fetched, even if a page failed halfway through
+                if (fetched > 0 || !cache.updatedAt) await this.save(cache);
+            }
+
+            const messages = Object.values(cache.messages)
+                .map(entry => ({ ...entry, timestamp: new Date(entry.timestamp) }))
+                .filter(entry => (!after || entry.timestamp >= after) && (!before || entry.timestamp <= before))
+                .sort((a, b) => b.timestamp - a.timestamp);
+
+            logger.debug(`Message cache for ${channel.id}: ${fetched} fetched, ${Object.keys(cache.messages).length} cached`);
+
+            return { messages, fetched };
+        });
+    }
+
+    // Re-fetch cached entries from Discord, so edits and deletes made while the bot was offline
+    // don't linger in the cache. Returns the current message for every ID that still exists.
+    async revalidate(channel, messageIds) {
+        if (messageIds.length === 0) return new Map();
+
+        return this.withCache(channel.id, async cache => {
+            const current = new Map();
+            let removed = 0;
+
+            try {
+                for (const messageId of messageIds) {
+                    try {
+                        const message = await channel.messages.fetch({ message: messageId, force: true });
+                        cache.messages[messageId] = this.toEntry(message);
+                        current.set(messageId, message);
+                    } catch (error) {
+                        if (error.code !== RESTJSONErrorCodes.UnknownMessage) throw error;
+
+                        delete cache.messages[messageId];
+                        removed++;
+                    }
+                }
+            } finally {
+                await this.save(cache);
+            }
+
+            logger.debug(`Message cache for ${channel.id}: ${current.size} revalidated, ${removed} deleted`);
+
+            return current;
+        });
+    }
+
+    // Keep cached validity in sync with edits and deletes in channels that have been scanned
+    async handleMessageUpdate(message) {
+        if (!message.guild || !await fs.pathExists(this.getCachePath(message.channelId))) return;
+
+        await this.withCache(message.channelId, async cache => {
+            if (!cache.messages[message.id]) return;
+
+            if (message.partial) {
+                try {
+                    message = await message.fetch();
+                } catch (error) {
+                    logger.debug(`Could not fetch edited message ${message.id}:`, error.message);
+                    return;
+                }
+            }
+
+            cache.messages[message.id] = this.toEntry(message);
+            await this.save(cache);
+        });
+    }
+
+    async handleMessageDelete(message) {
+        if (!message.guild || !await fs.pathExists(this.getCachePath(message.channelId))) return;
+
+        await this.withCache(message.channelId, async cache => {
+            if (!cache.messages[message.id]) return;
+
+            delete cache.messages[message.id];
+            await this.save(cache);
+        });
+    }
+}
+
+module.exports = new MessageCacheManager();
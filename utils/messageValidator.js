@@ -0,0 +1,75 @@
+// Decides whether a Discord message counts as a giveaway submission (an image or video).
+// Shared by /analyze and the live submission listener so both apply the same rules.
+class MessageValidator {
+    constructor() {
+        this.imagePattern = /\.(png|jpg|jpeg|gif|webp|bmp)$/;
+        this.videoPattern = /\.(mp4|mov|webm|avi|mkv)$/;
+    }
+
+    isValidMessage(message) {
+        // Check for images or videos in attachments
+        if (message.attachments.size > 0) {
+            for (const attachment of message.attachments.values()) {
+                const contentType = attachment.contentType?.toLowerCase() || '';
+                const name = attachment.name?.toLowerCase() || '';
+
+                // Image types
+                if (contentType.startsWith('image/') || this.imagePattern.test(name)) {
+                    return true;
+                }
+
+                // Video types
+                if (contentType.startsWith('video/') || this.videoPattern.test(name)) {
+                    return true;
+                }
+            }
+        }
+
+        // Check for embedded images/videos (from links)
+        if (message.embeds.length > 0) {
+            for (const embed of message.embeds) {
+                if (embed.image || embed.video || embed.thumbnail) {
+                    return true;
+                }
+            }
+        }
+
+        // Text-only messages, stickers, or other content types are invalid
+        return false;
+    }
+
+    // Human-readable content types, e.g. ['Image', 'Embedded Video'] or ['Text', 'Sticker']
+    getAttachmentTypes(message) {
+        const attachmentTypes = [];
+
+        for (const attachment of message.attachments.values()) {
+            const contentType = attachment.contentType?.toLowerCase() || '';
+            const name = attachment.name?.toLowerCase() || '';
+
+            if (contentType.startsWith('image/') || this.imagePattern.test(name)) {
+                attachmentTypes.push('Image');
+            }
+
+            if (contentType.startsWith('video/') || this.videoPattern.test(name)) {
+                attachmentTypes.push('Video');
+            }
+        }
+
+        for (const embed of message.embeds) {
+            if (embed.image) attachmentTypes.push('Embedded Image');
+            if (embed.video) attachmentTypes.push('Embedded Video');
+            if (embed.thumbnail) attachmentTypes.push('Thumbnail');
+        }
+
+        // No media, so classify what the message does contain
+        if (attachmentTypes.length === 0) {
+            if (message.content?.trim()) attachmentTypes.push('Text');
+            if (message.stickers?.size > 0) attachmentTypes.push('Sticker');
+            if (message.embeds.length > 0) attachmentTypes.push('Embed');
+        }
+
+        return attachmentTypes.length > 0 ? attachmentTypes : ['Text'];
+    }
+}
+
+module.exports = new MessageValidator();
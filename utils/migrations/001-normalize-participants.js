@@ -0,0 +1,34 @@
+// Participant records picked up username/displayName over time and some early
+// giveaways were saved without participants or totals at all.
+module.exports = {
+    version: 1,
+    description: 'Normalize participant records and purchase item lists',
+    stores: ['giveaways', 'purchases'],
+
+    up(record, store) {
+        if (store === 'purchases') {
+            if (!Array.isArray(record.items)) record.items = [];
+            return record;
+        }
+
+        record.participants = record.participants || {};
+
+        for (const [userId, participant] of Object.entries(record.participants)) {
+            participant.userId = participant.userId || userId;
+            participant.entries = participant.entries || 0;
+            participant.vbucksSpent = participant.vbucksSpent || 0;
+            participant.purchases = participant.purchases || [];
+
+            if (participant.username && !participant.displayName) {
+                participant.displayName = participant.username;
+            }
+        }
+
+        if (typeof record.totalEntries !== 'number') {
+            record.totalEntries = Object.values(record.participants)
+                .reduce((sum, participant) => sum + participant.entries, 0);
+        }
+
+        return record;
+    }
+};
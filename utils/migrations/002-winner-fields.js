@@ -0,0 +1,19 @@
+// Giveaways drawn before multiple winners and rerolls only carry `winner`,
+// and some were completed before `completedAt` was recorded.
+module.exports = {
+    version: 2,
+    description: 'Backfill winner list, winner count, draw history and completion time',
+    stores: ['giveaways'],
+
+    up(record) {
+        if (typeof record.winnerCount !== 'number') record.winnerCount = 1;
+        if (!Array.isArray(record.winners)) record.winners = record.winner ? [record.winner] : [];
+        if (!Array.isArray(record.winnerHistory)) record.winnerHistory = [];
+
+        if (record.winner && !record.completedAt) {
+            record.completedAt = record.updatedAt || record.createdAt;
+        }
+
+        return record;
+    }
+};
@@ -0,0 +1,11 @@
+// Submission grants share purchases.json with V-Bucks purchases; make the source explicit.
+module.exports = {
+    version: 3,
+    description: 'Mark existing purchases with their source',
+    stores: ['purchases'],
+
+    up(record) {
+        record.source = record.source || 'purchase';
+        return record;
+    }
+};
@@ -0,0 +1,14 @@
+// Ordered schema migrations for giveaway and purchase records.
+// Every record carries the schemaVersion it was last written with, and each migration
+// newer than that runs on it in order at startup. Append new migrations to the end;
+// never change one that has already shipped.
+const migrations = [
+    require('./001-normalize-participants'),
+    require('./002-winner-fields'),
+    require('./003-purchase-source')
+];
+
+module.exports = {
+    migrations,
+    CURRENT_SCHEMA_VERSION: migrations[migrations.length - 1].version
+};
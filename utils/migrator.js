@@ -0,0 +1,133 @@
+const database = require('./database');
+const backup = require('./backup');
+const audit = require('./audit');
+const logger = require('./logger');
+const { migrations, CURRENT_SCHEMA_VERSION } = require('./migrations');
+
+// Stores whose records carry a schemaVersion, mapped to their validateSchema template and ID field
+const VERSIONED_STORES = {
+    giveaways: { schema: 'giveaway', idField: 'id' },
+    purchases: { schema: 'purchase', idField: 'purchaseId' }
+};
+
+// Upgrades cached records to CURRENT_SCHEMA_VERSION. Migrations run in order on a working copy;
+// before each one is saved a backup is taken, so any step can be rolled back with /backup restore.
+class SchemaMigrator {
+    async run({ dryRun = false } = {}) {
+        const working = {};
+        for (const store of Object.keys(VERSIONED_STORES)) {
+            working[store] = structuredClone(database.cache[store] || []);
+        }
+
+        const report = {
+            dryRun,
+            currentVersion: CURRENT_SCHEMA_VERSION,
+            applied: [],
+            invalid: [],
+            newer: []
+        };
+
+        for (const migration of migrations) {
+            const step = { version: migration.version, description: migration.description, stores: {} };
+
+            for (const store of migration.stores) {
+                let upgraded = 0;
+                let changed = 0;
+
+                working[store] = working[store].map(record => {
+                    if ((record.schemaVersion || 0) >= migration.version) return record;
+
+                    const before = JSON.stringify(record);
+                    const migrated = migration.up(structuredClone(record), store);
+                    migrated.schemaVersion = migration.version;
+
+                    upgraded++;
+                    if (JSON.stringify({ ...migrated, schemaVersion: record.schemaVersion }) !== before) changed++;
+                    return migrated;
+                });
+
+                if (upgraded > 0) {
+                    step.stores[store] = { upgraded, changed };
+                }
+            }
+
+            if (Object.keys(step.stores).length === 0) continue;
+            report.applied.push(step);
+
+            if (!dryRun) {
+                const snapshot = await backup.createBackup(`pre-migration-v${migration.version}`);
+                step.backup = snapshot.name;
+
+                // A step touching several stores lands in all of them or none
+                await audit.runAs(audit.systemActor(`migration-v${migration.version}`), () =>
+                    database.transaction(async () => {
+                        for (const store of Object.keys(step.stores)) {
+                            await database.saveToFile(store, working[store]);
+                        }
+                    })
+                );
+
+                logger.info(`Schema migration v${migration.version} applied: ${migration.description}`);
+            }
+        }
+
+        // With every record current, a failing type check means a broken record rather than an old one
+        for (const [store, { schema, idField }] of Object.entries(VERSIONED_STORES)) {
+            for (const record of working[store]) {
+                if ((record.schemaVersion || 0) > CURRENT_SCHEMA_VERSION) {
+                    report.newer.push({ store, id: record[idField], schemaVersion: record.schemaVersion });
+                    continue;
+                }
+
+                try {
+                    database.validateSchema(record, schema);
+                } catch (error) {
+                    report.invalid.push({ store, id: record[idField], error: error.message });
+                }
+            }
+        }
+
+        if (report.newer.length > 0) {
+            logger.warn(`${report.newer.length} record(s) were written by a newer schema (v${CURRENT_SCHEMA_VERSION} is current)`);
+        }
+        if (report.invalid.length > 0) {
+            logger.warn(`${report.invalid.length} record(s) failed schema validation after migration`);
+        }
+
+        return report;
+    }
+
+    formatReport(report) {
+        const lines = [
+            `Schema version: v${report.currentVersion}${report.dryRun ? ' (dry run - nothing was written)' : ''}`
+        ];
+
+        if (report.applied.length === 0) {
+            lines.push('All records are up to date.');
+        }
+
+        for (const step of report.applied) {
+            lines.push(`v${step.version}: ${step.description}`);
+            for (const [store, { upgraded, changed }] of Object.entries(step.stores)) {
+                lines.push(`  ${store}: ${upgraded} record(s) upgraded, ${changed} with data changes`);
+            }
+            if (step.backup) {
+                lines.push(`  backup: ${step.backup}`);
+            }
+        }
+
+        if (report.newer.length > 0) {
+            lines.push(`Newer than v${report.currentVersion} (left untouched):`);
+            report.newer.forEach(({ store, id, schemaVersion }) => lines.push(`  ${store} ${id}: v${schemaVersion}`));
+        }
+
+        if (report.invalid.length > 0) {
+            lines.push('Failed validation:');
+            report.invalid.forEach(({ store, id, error }) => lines.push(`  ${store} ${id}: ${error}`));
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = new SchemaMigrator();
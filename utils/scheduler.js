@@ -0,0 +1,321 @@
+const { EmbedBuilder } = require('discord.js');
+const moment = require('moment-timezone');
+const database = require('./database');
+const fairness = require('./fairness');
+const logger = require('./logger');
+const audit = require('./audit');
+
+// setTimeout() overflows above ~24.8 days, longer waits are chained
+const MAX_TIMEOUT = 2147483647;
+
+class GiveawayScheduler {
+    constructor() {
+        this.bot = null;
+        this.timers = new Map();
+        this.isRunning = false;
+
+        // Timezone used to interpret MM/DD/YYYY + HH:MM AM/PM schedule fields
+        this.timezone = process.env.GIVEAWAY_TIMEZONE || null;
+
+        // Minutes between a giveaway closing and its auto-spin when none is configured
+        this.defaultAutoSpinDelay = parseInt(process.env.AUTO_SPIN_DELAY_MINUTES) || 5;
+    }
+
+    async start(botInstance) {
+        try {
+            this.bot = botInstance;
+            this.isRunning = true;
+
+            await this.rebuild();
+        } catch (error) {
+            logger.error('Failed to start giveaway scheduler:', error);
+            throw error;
+        }
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.isRunning = false;
+        logger.debug('Giveaway scheduler stopped');
+    }
+
+    // Rebuild every timer from giveaways.json (used on startup and after restores)
+    async rebuild() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        const giveaways = await database.getAllGiveaways();
+        for (const giveaway of giveaways) {
+            // One bad giveaway (a broken date, a failed catch-up) must not cost the others their timers
+            try {
+                await this.scheduleGiveaway(giveaway);
+            } catch (error) {
+                logger.error(`Failed to schedule giveaway ${giveaway.id}:`, error);
+            }
+        }
+
+        logger.info(`⏰ Scheduler tracking ${this.timers.size} pending giveaway transitions`);
+    }
+
+    async scheduleGiveaway(giveaway) {
+        this.cancelGiveaway(giveaway.id);
+
+        if (!this.isRunning || giveaway.winner) return;
+
+        const { startsAt, endsAt } = this.getSchedule(giveaway);
+        const now = Date.now();
+
+        // Catch up on transitions that were missed while the bot was offline. Like the timers,
+        // these writes are the scheduler's, whoever triggered the rebuild.
+        await audit.runAs({ type: 'scheduler', id: `${giveaway.id}:catch-up` }, async () => {
+            if (giveaway.awaitingStart && startsAt && startsAt.getTime() <= now &&
+                (!endsAt || endsAt.getTime() > now)) {
+                await this.activateGiveaway(giveaway.id);
+            }
+
+            if (endsAt && endsAt.getTime() <= now) {
+                if (!giveaway.endedAt) {
+                    await this.closeGiveaway(giveaway.id);
+                } else if (giveaway.autoSpin) {
+                    await this.scheduleAutoSpin(giveaway);
+                }
+            }
+        });
+
+        if (endsAt && endsAt.getTime() <= now) return;
+
+        if (giveaway.awaitingStart && startsAt && startsAt.getTime() > now) {
+            this.setTimer(`${giveaway.id}:start`, startsAt, () => this.activateGiveaway(giveaway.id));
+        }
+
+        if (endsAt) {
+            this.setTimer(`${giveaway.id}:end`, endsAt, () => this.closeGiveaway(giveaway.id));
+        }
+    }
+
+    cancelGiveaway(giveawayId) {
+        for (const [key, timer] of this.timers) {
+            if (key.startsWith(`${giveawayId}:`)) {
+                clearTimeout(timer);
+                this.timers.delete(key);
+            }
+        }
+    }
+
+    setTimer(key, date, callback) {
+        const delay = date.getTime() - Date.now();
+
+        if (delay > MAX_TIMEOUT) {
+            this.timers.set(key, setTimeout(() => this.setTimer(key, date, callback), MAX_TIMEOUT));
+            return;
+        }
+
+        this.timers.set(key, setTimeout(async () => {
+            this.timers.delete(key);
+            try {
+                await audit.runAs({ type: 'scheduler', id: key }, callback);
+            } catch (error) {
+                logger.error(`Scheduled task ${key} failed:`, error);
+            }
+        }, Math.max(0, delay)));
+
+        logger.debug(`Scheduled ${key} for ${date.toISOString()}`);
+    }
+
+    async activateGiveaway(giveawayId) {
+        const giveaway = await database.getGiveaway(giveawayId);
+        if (!giveaway || !giveaway.awaitingStart) return;
+
+        const updated = await database.updateGiveaway(giveaway.id, {
+            active: true,
+            awaitingStart: false,
+            startedAt: new Date().toISOString()
+        });
+
+        logger.giveaway('ACTIVATED', giveaway.id, `"${giveaway.name}" by scheduler`);
+
+        const { endsAt } = this.getSchedule(updated);
+        await this.announce(updated, new EmbedBuilder()
+            .setColor('#00FF00')
+            .setTitle('🎉 Giveaway Now Open!')
+            .setDescription(`**${updated.name}** is now accepting entries.`)
+            .addFields({
+                name: '📅 Closes',
+                value: endsAt ? this.formatTimestamp(endsAt) : 'No end date set',
+                inline: false
+            })
+            .setTimestamp());
+    }
+
+    async closeGiveaway(giveawayId) {
+        const giveaway = await database.getGiveaway(giveawayId);
+        if (!giveaway || giveaway.endedAt || giveaway.winner) return;
+
+        const updated = await database.updateGiveaway(giveaway.id, {
+            active: false,
+            awaitingStart: false,
+            endedAt: new Date().toISOString()
+        });
+
+        logger.giveaway('CLOSED', giveaway.id, `"${giveaway.name}" by scheduler`);
+
+        const closedEmbed = new EmbedBuilder()
+            .setColor('#DC3545')
+            .setTitle('🔒 Giveaway Closed')
+            .setDescription(`**${updated.name}** is no longer accepting entries.`)
+            .addFields({
+                name: '📊 Final Entries',
+                value: [
+                    `**Participants:** ${Object.keys(updated.participants || {}).length}`,
+                    `**Total Entries:** ${updated.totalEntries || 0}`
+                ].join('\n'),
+                inline: false
+            })
+            .setTimestamp();
+
+        const autoSpinAt = updated.autoSpin ? await this.scheduleAutoSpin(updated) : null;
+        if (autoSpinAt) {
+            closedEmbed.addFields({
+                name: '🎡 Auto-Spin',
+                value: `The wheel will spin automatically ${this.formatTimestamp(autoSpinAt)}.`,
+                inline: false
+            });
+        }
+
+        // The closing message publishes the seed commitment and its ID becomes the public seed
+        const commitment = fairness.createCommitment(updated.participants);
+        closedEmbed.addFields({
+            name: '🔐 Fairness Commitment',
+            value: fairness.formatCommitment(commitment),
+            inline: false
+        });
+
+        const message = await this.announce(updated, closedEmbed);
+        if (message) {
+            await database.updateGiveaway(updated.id, {
+                fairness: { ...commitment, publicSeed: message.id }
+            });
+        }
+    }
+
+    // Auto-spin runs a configurable delay after close; the time is persisted so restarts keep it
+    async scheduleAutoSpin(giveaway) {
+        if (giveaway.winner) return null;
+
+        let autoSpinAt = giveaway.autoSpinAt ? new Date(giveaway.autoSpinAt) : null;
+        if (!autoSpinAt) {
+            const delayMinutes = giveaway.autoSpinDelayMinutes ?? this.defaultAutoSpinDelay;
+            autoSpinAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+            await database.updateGiveaway(giveaway.id, { autoSpinAt: autoSpinAt.toISOString() });
+        }
+
+        this.setTimer(`${giveaway.id}:autospin`, autoSpinAt, () => this.runAutoSpin(giveaway.id));
+        return autoSpinAt;
+    }
+
+    async runAutoSpin(giveawayId) {
+        const giveaway = await database.getGiveaway(giveawayId);
+        if (!giveaway || giveaway.winner || !giveaway.autoSpin) return;
+
+        // The Discord client may still be connecting after a restart
+        if (!this.bot?.isReady) {
+            this.setTimer(`${giveawayId}:autospin`, new Date(Date.now() + 60 * 1000), () => this.runAutoSpin(giveawayId));
+            return;
+        }
+
+        const spinCommand = this.bot.commands.get('spin');
+
+        try {
+            logger.wheel(`Auto-spinning ${giveaway.id} ("${giveaway.name}")`);
+            await spinCommand.autoSpin(giveaway, this.bot);
+        } catch (error) {
+            logger.error(`Auto-spin failed for ${giveaway.id}:`, error);
+
+            await this.announce(giveaway, new EmbedBuilder()
+                .setColor('#DC3545')
+                .setTitle('❌ Auto-Spin Failed')
+                .setDescription(`The automatic spin for **${giveaway.name}** failed. Please run \`/spin\` manually.`)
+                .setTimestamp());
+        }
+    }
+
+    async announce(giveaway, embed) {
+        if (!this.bot?.isReady || !giveaway.channel) return null;
+
+        try {
+            const channel = await this.bot.client.channels.fetch(giveaway.channel);
+            return await channel.send({ embeds: [embed] });
+        } catch (error) {
+            logger.warn(`Could not announce schedule change for ${giveaway.id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Schedule helpers
+    getSchedule(giveaway) {
+        return {
+            startsAt: giveaway.startDate ? this.parseDateTime(giveaway.startDate, giveaway.startTime || '12:00 AM') : null,
+            endsAt: giveaway.endDate ? this.parseDateTime(giveaway.endDate, giveaway.endTime || '11:59 PM') : null
+        };
+    }
+
+    getWindowStatus(giveaway, now = new Date()) {
+        const { startsAt, endsAt } = this.getSchedule(giveaway);
+
+        if (startsAt && now < startsAt) {
+            return { open: false, state: 'pending', startsAt, endsAt };
+        }
+        if (endsAt && now > endsAt) {
+            return { open: false, state: 'ended', startsAt, endsAt };
+        }
+
+        return { open: true, state: 'open', startsAt, endsAt };
+    }
+
+    // Derive active/awaitingStart for a giveaway whose schedule was just created or changed
+    getScheduleState(giveaway) {
+        const window = this.getWindowStatus(giveaway);
+
+        switch (window.state) {
+            case 'pending':
+                return { active: false, awaitingStart: true, endedAt: null };
+            case 'open':
+                return { active: true, awaitingStart: false, endedAt: null };
+            default:
+                return { awaitingStart: false };
+        }
+    }
+
+    parseDateTime(dateStr, timeStr) {
+        const [month, day, year] = dateStr.split('/').map(Number);
+        let hours = 0;
+        let minutes = 0;
+
+        const timeMatch = timeStr && timeStr.trim().match(/^(\d{1,2}):(\d{2})\s?(AM|PM)$/i);
+        if (timeMatch) {
+            hours = parseInt(timeMatch[1]);
+            minutes = parseInt(timeMatch[2]);
+            const isPM = timeMatch[3].toUpperCase() === 'PM';
+
+            if (isPM && hours !== 12) hours += 12;
+            if (!isPM && hours === 12) hours = 0;
+        }
+
+        if (this.timezone) {
+            return moment.tz({ year, month: month - 1, day, hour: hours, minute: minutes }, this.timezone).toDate();
+        }
+
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+
+    formatTimestamp(date) {
+        return `<t:${Math.floor(date.getTime() / 1000)}:F>`;
+    }
+
+    getPendingTimers() {
+        return Array.from(this.timers.keys());
+    }
+}
+
+module.exports = new GiveawayScheduler();
@@ -0,0 +1,25 @@
+const JsonAdapter = require('./jsonAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+
+const adapters = {
+    json: JsonAdapter,
+    sqlite: SqliteAdapter
+};
+
+// Picks the storage backend from STORAGE_BACKEND (json by default)
+function createStorageAdapter(backend = process.env.STORAGE_BACKEND || 'json', options = {}) {
+    const Adapter = adapters[backend.toLowerCase()];
+    if (!Adapter) {
+        throw new Error(`Unknown storage backend: ${backend} (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+
+    return new Adapter({
+        filename: process.env.SQLITE_PATH,
+        ...options
+    });
+}
+
+module.exports = {
+    createStorageAdapter,
+    backends: Object.keys(adapters)
+};
@@ -0,0 +1,75 @@
+const fs = require('fs-extra');
+const path = require('path');
+const lockfile = require('proper-lockfile');
+
+// One pretty-printed JSON file per store (data/giveaways.json, data/purchases.json, ...).
+// Every save rewrites the whole file under a file lock.
+class JsonAdapter {
+    constructor({ dataDir, files }) {
+        this.name = 'json';
+        this.dataDir = dataDir;
+        this.files = files;
+    }
+
+    getPath(name) {
+        const filepath = this.files[name];
+        if (!filepath) {
+            throw new Error(`Unknown database file: ${name}`);
+        }
+        return filepath;
+    }
+
+    async initialize() {
+        await fs.ensureDir(this.dataDir);
+    }
+
+    async exists(name) {
+        return fs.pathExists(this.getPath(name));
+    }
+
+    async load(name) {
+        return fs.readJson(this.getPath(name));
+    }
+
+    async save(name, data) {
+        const filepath = this.getPath(name);
+
+        // proper-lockfile can only lock files that exist
+        if (!await fs.pathExists(filepath)) {
+            await fs.writeJson(filepath, data, { spaces: 2 });
+            return;
+        }
+
+        // Acquire lock for atomic writes
+        let release;
+        try {
+            release = await lockfile.lock(filepath, {
+                retries: {
+                    retries: 5,
+                    factor: 2,
+                    minTimeout: 100,
+                    maxTimeout: 1000
+                }
+            });
+
+            await fs.writeJson(filepath, data, { spaces: 2 });
+        } finally {
+            if (release) {
+                await release();
+            }
+        }
+    }
+
+    async stat(name) {
+        const stats = await fs.stat(this.getPath(name));
+        return {
+            location: path.relative(process.cwd(), this.getPath(name)),
+            size: stats.size,
+            modified: stats.mtime
+        };
+    }
+
+    async close() {}
+}
+
+module.exports = JsonAdapter;
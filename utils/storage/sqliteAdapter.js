@@ -0,0 +1,290 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Embedded SQLite storage with indexed tables for giveaways, participants, purchases and cosmetics.
+// Database still hands over whole arrays, so every save is diffed against the last loaded/saved
+// rows and only records that actually changed are written, inside one transaction.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS giveaways (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        active INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_giveaways_name ON giveaways(name);
+
+    CREATE TABLE IF NOT EXISTS participants (
+        giveaway_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        entries INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        PRIMARY KEY (giveaway_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_participants_user ON participants(user_id);
+
+    CREATE TABLE IF NOT EXISTS purchases (
+        purchase_id TEXT PRIMARY KEY,
+        giveaway_id TEXT,
+        user_id TEXT,
+        timestamp TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_purchases_giveaway ON purchases(giveaway_id);
+    CREATE INDEX IF NOT EXISTS idx_purchases_user ON purchases(user_id);
+
+    CREATE TABLE IF NOT EXISTS cosmetics (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        type TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_cosmetics_name ON cosmetics(name);
+`;
+
+// Key separator for composite participant keys; never appears in Discord IDs
+const KEY_SEPARATOR = '\u0000';
+
+class SqliteAdapter {
+    constructor({ dataDir, filename }) {
+        this.name = 'sqlite';
+        this.dataDir = dataDir;
+        this.filepath = filename || path.join(dataDir, 'giveaway-bot.sqlite');
+        this.db = null;
+
+        // Serialized rows as last seen in the database, per table
+        this.snapshots = {};
+    }
+
+    async initialize() {
+        let Sqlite;
+        try {
+            Sqlite = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        await fs.ensureDir(path.dirname(this.filepath));
+
+        this.db = new Sqlite(this.filepath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            getDocument: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+            upsertDocument: this.db.prepare(`
+                INSERT INTO documents (name, data) VALUES (@name, @data)
+                ON CONFLICT(name) DO UPDATE SET data = excluded.data`),
+
+            giveaways: {
+                all: this.db.prepare('SELECT data FROM giveaways ORDER BY rowid'),
+                keys: this.db.prepare('SELECT id AS key, data FROM giveaways'),
+                upsert: this.db.prepare(`
+                    INSERT INTO giveaways (id, name, active, data) VALUES (@id, @name, @active, @data)
+                    ON CONFLICT(id) DO UPDATE SET name = excluded.name, active = excluded.active, data = excluded.data`),
+                delete: this.db.prepare('DELETE FROM giveaways WHERE id = @id')
+            },
+            participants: {
+                all: this.db.prepare('SELECT giveaway_id, user_id, data FROM participants ORDER BY rowid'),
+                keys: this.db.prepare('SELECT giveaway_id, user_id, data FROM participants'),
+                upsert: this.db.prepare(`
+                    INSERT INTO participants (giveaway_id, user_id, entries, data) VALUES (@giveawayId, @userId, @entries, @data)
+                    ON CONFLICT(giveaway_id, user_id) DO UPDATE SET entries = excluded.entries, data = excluded.data`),
+                delete: this.db.prepare('DELETE FROM participants WHERE giveaway_id = @giveawayId AND user_id = @userId')
+            },
+            purchases: {
+                all: this.db.prepare('SELECT data FROM purchases ORDER BY rowid'),
+                keys: this.db.prepare('SELECT purchase_id AS key, data FROM purchases'),
+                upsert: this.db.prepare(`
+                    INSERT INTO purchases (purchase_id, giveaway_id, user_id, timestamp, data) VALUES (@purchaseId, @giveawayId, @userId, @timestamp, @data)
+                    ON CONFLICT(purchase_id) DO UPDATE SET giveaway_id = excluded.giveaway_id, user_id = excluded.user_id,
+                        timestamp = excluded.timestamp, data = excluded.data`),
+                delete: this.db.prepare('DELETE FROM purchases WHERE purchase_id = @purchaseId')
+            },
+            cosmetics: {
+                all: this.db.prepare('SELECT data FROM cosmetics ORDER BY rowid'),
+                keys: this.db.prepare('SELECT id AS key, data FROM cosmetics'),
+                upsert: this.db.prepare(`
+                    INSERT INTO cosmetics (id, name, type, data) VALUES (@id, @name, @type, @data)
+                    ON CONFLICT(id) DO UPDATE SET name = excluded.name, type = excluded.type, data = excluded.data`),
+                delete: this.db.prepare('DELETE FROM cosmetics WHERE id = @id')
+            }
+        };
+    }
+
+    // A store exists once it has been saved at least once
+    async exists(name) {
+        return !!this.statements.getDocument.get(name);
+    }
+
+    async load(name) {
+        const document = this.statements.getDocument.get(name);
+        if (!document) {
+            throw new Error(`Store not found in SQLite database: ${name}`);
+        }
+
+        switch (name) {
+            case 'giveaways':
+                return this.loadGiveaways();
+            case 'purchases':
+                return this.loadRows('purchases', row => row.purchaseId);
+            case 'cosmetics':
+                return {
+                    ...JSON.parse(document.data),
+                    items: this.loadRows('cosmetics', row => row.id)
+                };
+            default:
+                return JSON.parse(document.data);
+        }
+    }
+
+    loadRows(table, getKey) {
+        const snapshot = new Map();
+        const rows = this.statements[table].all.all().map(({ data }) => {
+            const row = JSON.parse(data);
+            snapshot.set(getKey(row), data);
+            return row;
+        });
+
+        this.snapshots[table] = snapshot;
+        return rows;
+    }
+
+    loadGiveaways() {
+        const giveaways = this.loadRows('giveaways', giveaway => giveaway.id);
+        const byId = new Map(giveaways.map(giveaway => [giveaway.id, giveaway]));
+        const snapshot = new Map();
+
+        giveaways.forEach(giveaway => {
+            giveaway.participants = {};
+        });
+
+        for (const row of this.statements.participants.all.all()) {
+            const giveaway = byId.get(row.giveaway_id);
+            if (!giveaway) continue;
+
+            giveaway.participants[row.user_id] = JSON.parse(row.data);
+            snapshot.set(`${row.giveaway_id}${KEY_SEPARATOR}${row.user_id}`, row.data);
+        }
+
+        this.snapshots.participants = snapshot;
+        return giveaways;
+    }
+
+    async save(name, data) {
+        const snapshots = {};
+
+        const write = this.db.transaction(() => {
+            switch (name) {
+                case 'giveaways':
+                    snapshots.giveaways = this.syncRows('giveaways', data.map(giveaway => {
+                        const { participants, ...rest } = giveaway;
+                        return {
+                            key: giveaway.id,
+                            data: JSON.stringify(rest),
+                            params: { id: giveaway.id, name: giveaway.name ?? null, active: giveaway.active ? 1 : 0 }
+                        };
+                    }));
+                    snapshots.participants = this.syncRows('participants', data.flatMap(giveaway =>
+                        Object.entries(giveaway.participants || {}).map(([userId, participant]) => ({
+                            key: `${giveaway.id}${KEY_SEPARATOR}${userId}`,
+                            data: JSON.stringify(participant),
+                            params: { giveawayId: giveaway.id, userId, entries: participant.entries || 0 }
+                        }))
+                    ), key => {
+                        const [giveawayId, userId] = key.split(KEY_SEPARATOR);
+                        return { giveawayId, userId };
+                    });
+                    this.statements.upsertDocument.run({ name, data: JSON.stringify({ type: 'table' }) });
+                    break;
+
+                case 'purchases':
+                    snapshots.purchases = this.syncRows('purchases', data.map(purchase => ({
+                        key: purchase.purchaseId,
+                        data: JSON.stringify(purchase),
+                        params: {
+                            purchaseId: purchase.purchaseId,
+                            giveawayId: purchase.giveawayId ?? null,
+                            userId: purchase.userId ?? null,
+                            timestamp: purchase.timestamp ?? null
+                        }
+                    })), purchaseId => ({ purchaseId }));
+                    this.statements.upsertDocument.run({ name, data: JSON.stringify({ type: 'table' }) });
+                    break;
+
+                case 'cosmetics': {
+                    const { items = [], ...meta } = data;
+                    snapshots.cosmetics = this.syncRows('cosmetics', items.map(item => ({
+                        key: item.id,
+                        data: JSON.stringify(item),
+                        params: { id: item.id, name: item.name ?? null, type: item.type ?? null }
+                    })));
+                    this.statements.upsertDocument.run({ name, data: JSON.stringify(meta) });
+                    break;
+                }
+
+                default:
+                    this.statements.upsertDocument.run({ name, data: JSON.stringify(data) });
+            }
+        });
+
+        write();
+
+        // Only trust the new snapshots once the transaction has committed
+        Object.assign(this.snapshots, snapshots);
+    }
+
+    // Upsert rows whose serialized form changed and delete rows that disappeared
+    syncRows(table, rows, keyToParams = key => ({ id: key })) {
+        const previous = this.snapshots[table] || this.readSnapshot(table);
+        const next = new Map();
+
+        for (const row of rows) {
+            next.set(row.key, row.data);
+            if (previous.get(row.key) !== row.data) {
+                this.statements[table].upsert.run({ ...row.params, data: row.data });
+            }
+        }
+
+        for (const key of previous.keys()) {
+            if (!next.has(key)) {
+                this.statements[table].delete.run(keyToParams(key));
+            }
+        }
+
+        return next;
+    }
+
+    // Used when saving a table that hasn't been loaded in this process yet
+    readSnapshot(table) {
+        if (table === 'participants') {
+            return new Map(this.statements.participants.keys.all()
+                .map(row => [`${row.giveaway_id}${KEY_SEPARATOR}${row.user_id}`, row.data]));
+        }
+
+        return new Map(this.statements[table].keys.all().map(row => [row.key, row.data]));
+    }
+
+    async stat(name) {
+        const stats = await fs.stat(this.filepath);
+        return {
+            location: `${path.relative(process.cwd(), this.filepath)}#${name}`,
+            size: stats.size,
+            modified: stats.mtime
+        };
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteAdapter;
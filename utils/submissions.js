@@ -0,0 +1,271 @@
+const { EmbedBuilder } = require('discord.js');
+const database = require('./database');
+const messageValidator = require('./messageValidator');
+const imageHash = require('./imageHash');
+const eligibility = require('./eligibility');
+const logger = require('./logger');
+
+// Live submission tracking for giveaways linked to a submissions channel.
+// Every valid message becomes a pending submission (manual mode) or a submission
+// record right away (auto mode). Edits that strip the media and deletes revoke it again.
+// Each change runs in a database transaction, so the duplicate and cap checks always see
+// the writes of the submission handled before it.
+class SubmissionManager {
+    getLinkedGiveaways(channelId) {
+        return (database.cache.giveaways || []).filter(g =>
+            g.submissionChannel === channelId && g.active && !g.winner
+        );
+    }
+
+    async handleMessage(message) {
+        if (!message.guild || message.author.bot) return;
+
+        const giveaways = this.getLinkedGiveaways(message.channelId);
+        if (giveaways.length === 0 || !messageValidator.isValidMessage(message)) return;
+
+        const imageHashes = await imageHash.hashMessage(message);
+
+        for (const giveaway of giveaways) {
+            const reasons = await this.checkEligibility(giveaway, message);
+            if (reasons.length > 0) {
+                logger.info(`Submission ${message.id} from ${message.author.tag} ignored for ${giveaway.id}: not eligible`);
+                await this.notifyIneligible(message, giveaway, reasons);
+                continue;
+            }
+
+            await this.trackSubmission(giveaway.id, message, imageHashes);
+        }
+    }
+
+    async handleMessageUpdate(oldMessage, newMessage) {
+        const giveaways = this.getLinkedGiveaways(newMessage.channelId);
+        if (giveaways.length === 0) return;
+
+        if (newMessage.partial) {
+            try {
+                newMessage = await newMessage.fetch();
+            } catch (error) {
+                logger.debug(`Could not fetch edited message ${newMessage.id}:`, error.message);
+                return;
+            }
+        }
+
+        if (!newMessage.guild || newMessage.author.bot) return;
+
+        // Link previews often arrive as an edit, so a message can become valid after it was sent
+        const isValid = messageValidator.isValidMessage(newMessage);
+        const imageHashes = isValid ? await imageHash.hashMessage(newMessage) : [];
+
+        for (const giveaway of giveaways) {
+            // The author was told why when the message was first sent
+            if (isValid && (await this.checkEligibility(giveaway, newMessage)).length > 0) continue;
+
+            if (isValid) {
+                await this.trackSubmission(giveaway.id, newMessage, imageHashes);
+            } else {
+                await this.revokeSubmission(giveaway.id, newMessage.id, 'edited');
+            }
+        }
+    }
+
+    async handleMessageDelete(message) {
+        for (const giveaway of this.getLinkedGiveaways(message.channelId)) {
+            await this.revokeSubmission(giveaway.id, message.id, 'deleted');
+        }
+    }
+
+    async checkEligibility(giveaway, message) {
+        if (!eligibility.hasRules(giveaway)) return [];
+
+        const member = message.member || await eligibility.fetchMember(message.guild, message.author.id);
+        return eligibility.check(giveaway, message.author.id, member, message.author);
+    }
+
+    async notifyIneligible(message, giveaway, reasons) {
+        const embed = new EmbedBuilder()
+            .setColor('#DC3545')
+            .setTitle('🚫 Submission Not Counted')
+            .setDescription(`[Your submission](${message.url}) doesn't count towards **${giveaway.name}**:\n${reasons.map(r => `• ${r}`).join('\n')}`)
+            .setTimestamp();
+
+        try {
+            await message.author.send({ embeds: [embed] });
+        } catch (dmError) {
+            logger.warn(`Could not send DM about ineligible submission ${message.id} to ${message.author.id}: ${dmError.message}`);
+        }
+    }
+
+    // imageHashes are computed by the caller, outside the transaction, since they need downloads
+    async trackSubmission(giveawayId, message, imageHashes = []) {
+        return database.transaction(async () => {
+            const giveaway = await database.getGiveaway(giveawayId);
+
+            if (this.findRecord(giveawayId, message.id) ||
+                (giveaway.pendingSubmissions || []).some(s => s.messageId === message.id) ||
+                (giveaway.rejectedSubmissions || []).includes(message.id)) {
+                return;
+            }
+
+            const submission = {
+                messageId: message.id,
+                channelId: message.channelId,
+                userId: message.author.id,
+                url: message.url,
+                submittedAt: message.createdAt.toISOString(),
+                username: message.author.username,
+                displayName: message.member?.displayName || message.author.displayName || message.author.username,
+                discriminator: message.author.discriminator,
+                imageHashes
+            };
+
+            const duplicates = imageHash.findDuplicates(imageHashes, { exclude: message.id });
+            if (duplicates.length > 0) {
+                logger.warn(`Submission ${message.id} from ${message.author.tag} resembles ${duplicates.map(d => d.id).join(', ')}`);
+            }
+
+            if (giveaway.submissionMode === 'manual') {
+                await database.updateGiveaway(giveawayId, {
+                    pendingSubmissions: [...(giveaway.pendingSubmissions || []), submission]
+                });
+
+                logger.info(`Submission ${message.id} from ${message.author.tag} pending review for ${giveawayId}`);
+                return;
+            }
+
+            await this.grantSubmission(giveawayId, submission, 'auto');
+        });
+    }
+
+    // Turn a submission into a submission record, respecting the giveaway's per-user cap
+    async grantSubmission(giveawayId, submission, approvedBy) {
+        return database.transaction(async () => {
+            const giveaway = await database.getGiveaway(giveawayId);
+            const entriesPerMessage = giveaway.entriesPerSubmission || 1;
+            let entriesEarned = entriesPerMessage;
+
+            if (giveaway.maxSubmissionEntriesPerUser) {
+                const alreadyGranted = (await database.getPurchasesByGiveaway(giveawayId))
+                    .filter(p => database.isSubmission(p) && p.userId === submission.userId)
+                    .reduce((sum, p) => sum + p.entriesEarned, 0);
+
+                entriesEarned = Math.min(entriesPerMessage, giveaway.maxSubmissionEntriesPerUser - alreadyGranted);
+            }
+
+            if (entriesEarned <= 0) {
+                logger.info(`Submission ${submission.messageId} from ${submission.userId} skipped: entry cap reached in ${giveawayId}`);
+                return null;
+            }
+
+            const record = await database.createPurchaseWithoutUpdate({
+                giveawayId,
+                userId: submission.userId,
+                vbucksSpent: 0,
+                entriesEarned,
+                items: [],
+                addedBy: approvedBy,
+                source: 'submission',
+                channelId: submission.channelId,
+                entriesPerMessage,
+                messageIds: [submission.messageId],
+                evidence: [submission.url],
+                imageHashes: submission.imageHashes || []
+            });
+
+            await database.updateGiveawayParticipantWithUserInfo(giveawayId, submission.userId, entriesEarned, 0, {
+                username: submission.username,
+                displayName: submission.displayName,
+                discriminator: submission.discriminator
+            });
+
+            logger.info(`Submission ${submission.messageId} granted ${entriesEarned} entries to ${submission.userId} in ${giveawayId}`);
+            return record;
+        });
+    }
+
+    // Drop a pending submission or take back the entries an approved one earned
+    async revokeSubmission(giveawayId, messageId, reason) {
+        return database.transaction(async () => {
+            const giveaway = await database.getGiveaway(giveawayId);
+            const pending = giveaway.pendingSubmissions || [];
+
+            if (pending.some(s => s.messageId === messageId)) {
+                await database.updateGiveaway(giveawayId, {
+                    pendingSubmissions: pending.filter(s => s.messageId !== messageId)
+                });
+
+                logger.info(`Pending submission ${messageId} removed from ${giveawayId} (message ${reason})`);
+                return;
+            }
+
+            const record = this.findRecord(giveawayId, messageId);
+            if (!record) return;
+
+            // Records from /analyze can cover several messages; only this one's share is removed
+            if (record.messageIds.length <= 1) {
+                await database.deletePurchase(record.purchaseId);
+            } else {
+                const keep = record.messageIds.map(id => id !== messageId);
+                const messageIds = record.messageIds.filter((_, i) => keep[i]);
+                const entriesPerMessage = record.entriesPerMessage || giveaway.entriesPerSubmission || 1;
+                const revokedUrl = (record.evidence || [])[record.messageIds.indexOf(messageId)];
+
+                await database.updatePurchase(record.purchaseId, {
+                    messageIds,
+                    evidence: (record.evidence || []).filter((_, i) => keep[i]),
+                    imageHashes: (record.imageHashes || []).filter(h => h.url !== revokedUrl),
+                    entriesEarned: Math.min(record.entriesEarned, messageIds.length * entriesPerMessage)
+                });
+            }
+
+            logger.info(`Submission ${messageId} revoked in ${giveawayId} (message ${reason})`);
+        });
+    }
+
+    findRecord(giveawayId, messageId) {
+        return (database.cache.purchases || []).find(p =>
+            p.giveawayId === giveawayId && database.isSubmission(p) && (p.messageIds || []).includes(messageId)
+        );
+    }
+
+    findPending(messageId) {
+        for (const giveaway of database.cache.giveaways || []) {
+            const submission = (giveaway.pendingSubmissions || []).find(s => s.messageId === messageId);
+            if (submission) return { giveaway, submission };
+        }
+        return null;
+    }
+
+    async approve(messageId, approvedBy) {
+        return database.transaction(async () => {
+            const found = this.findPending(messageId);
+            if (!found) return null;
+
+            const { giveaway, submission } = found;
+            await database.updateGiveaway(giveaway.id, {
+                pendingSubmissions: giveaway.pendingSubmissions.filter(s => s.messageId !== messageId)
+            });
+
+            const record = await this.grantSubmission(giveaway.id, submission, approvedBy);
+            return { giveaway, submission, record };
+        });
+    }
+
+    async reject(messageId) {
+        return database.transaction(async () => {
+            const found = this.findPending(messageId);
+            if (!found) return null;
+
+            const { giveaway, submission } = found;
+            await database.updateGiveaway(giveaway.id, {
+                pendingSubmissions: giveaway.pendingSubmissions.filter(s => s.messageId !== messageId),
+                // Remembered so a later edit of the same message doesn't queue it again
+                rejectedSubmissions: [...(giveaway.rejectedSubmissions || []), messageId]
+            });
+
+            logger.info(`Submission ${messageId} rejected for ${giveaway.id}`);
+            return { giveaway, submission };
+        });
+    }
+}
+
+module.exports = new SubmissionManager();
@@ -2,6 +2,8 @@ const net = require('net');
 const readline = require('readline');
 const colors = require('colors');
 const logger = require('./logger');
+const audit = require('./audit');
+const integrity = require('./integrity');
 
 class TerminalServer {
     constructor() {
@@ -18,12 +20,12 @@ class TerminalServer {
         
         // Available commands for auto-completion
         this.commands = [
-            'help', 'status', 'clear', 'exit', 'restart',
+            'help', 'status', 'clear', 'exit', 'restart', 'integrity',
             'creategaw', 'editgaw', 'deletegaw', 'listgaws',
             'addpurchase', 'editpurchase', 'deletepurchase',
-            'analyze', 'spin', 'showcurrentwheelstate',
+            'analyze', 'submissions', 'eligibility', 'bonus', 'spin', 'reroll', 'verifyspin', 'showcurrentwheelstate',
             'stats', 'creatorcode', 'time',
-            'backup'
+            'backup', 'audit', 'trash'
         ];
     }
 
@@ -161,7 +163,7 @@ ${colors.rainbow('â”â”â”â”â”â”â”â”â”
             }
 
             // Handle Discord bot commands
-            await this.handleBotCommand(socket, command);
+            await audit.runAs({ type: 'terminal', id: clientInfo.id }, () => this.handleBotCommand(socket, command));
             
         } catch (error) {
             this.sendError(socket, `Command failed: ${error.message}`);
@@ -213,6 +215,10 @@ ${colors.rainbow('â”â”â”â”â”â”â”â”â”
                 this.sendClientsList(socket);
                 return true;
 
+            case 'integrity':
+                await this.runIntegrityCheck(socket, args[1]?.toLowerCase() === 'repair');
+                return true;
+
             default:
                 return false; // Not a terminal command
         }
@@ -368,6 +374,7 @@ ${colors.white('  status            ')} - Show bot and server status
 ${colors.white('  clear             ')} - Clear terminal screen
 ${colors.white('  history           ')} - Show command history
 ${colors.white('  clients           ')} - Show connected clients
+${colors.white('  integrity [repair]')} - Check giveaway totals against purchases
 ${colors.white('  exit/quit         ')} - Disconnect from terminal
 ${colors.white('  restart           ')} - Restart bot (if implemented)
 
@@ -376,6 +383,8 @@ ${colors.white('  creategaw         ')} - Create new giveaway
 ${colors.white('  editgaw           ')} - Edit existing giveaway
 ${colors.white('  deletegaw         ')} - Delete giveaway
 ${colors.white('  listgaws          ')} - List all giveaways
+${colors.white('  eligibility       ')} - Limit who can take part
+${colors.white('  bonus             ')} - Role multipliers and bonus entries
 
 ${colors.cyan.bold('Purchase Management:')}
 ${colors.white('  addpurchase       ')} - Add user purchase
@@ -384,7 +393,10 @@ ${colors.white('  deletepurchase    ')} - Delete purchase
 
 ${colors.cyan.bold('Analysis & Tools:')}
 ${colors.white('  analyze           ')} - Analyze channel messages
+${colors.white('  submissions       ')} - Manage live submissions
 ${colors.white('  spin              ')} - Spin giveaway wheel
+${colors.white('  reroll            ')} - Reroll giveaway winner
+${colors.white('  verifyspin        ')} - Verify spin fairness
 ${colors.white('  showcurrentwheelstate')} - Show wheel state
 ${colors.white('  stats             ')} - Show statistics
 
@@ -392,6 +404,8 @@ ${colors.cyan.bold('Utilities:')}
 ${colors.white('  creatorcode       ')} - Check creator code
 ${colors.white('  time              ')} - Show current time
 ${colors.white('  backup            ')} - Backup operations
+${colors.white('  audit             ')} - Show the audit log
+${colors.white('  trash             ')} - Restore or purge deleted giveaways
 
 ${colors.gray('â”'.repeat(60))}
 ${colors.yellow('ðŸ’¡ All commands work exactly like Discord commands but without permissions')}
@@ -431,6 +445,26 @@ ${colors.gray('â”'.repeat(50))}
         socket.write(status);
     }
 
+    async runIntegrityCheck(socket, repair) {
+        const clientInfo = this.clients.get(socket);
+
+        this.sendInfo(socket, repair ? 'Checking data integrity and repairing drift...' : 'Checking data integrity...');
+
+        const report = await audit.runAs({ type: 'terminal', id: clientInfo.id }, () =>
+            repair ? integrity.repair() : integrity.scan()
+        );
+
+        socket.write(colors.white(`${integrity.formatReport(report)}\n`));
+
+        if (integrity.isClean(report)) {
+            this.sendSuccess(socket, 'Data is consistent');
+        } else if (!repair && report.drift.length > 0) {
+            this.sendWarning(socket, 'Run "integrity repair" to recalculate the affected giveaways');
+        }
+
+        logger.terminal(`Integrity check${repair ? ' and repair' : ''} run by ${clientInfo.id}`);
+    }
+
     sendHistory(socket) {
         if (this.commandHistory.length === 0) {
             socket.write(colors.yellow('ðŸ“ No command history available\n'));
@@ -173,7 +173,7 @@ class WheelGeneratorEnhanced {
 
     // Prepare participant data with WEB-SAFE color assignment
     prepareFixedParticipants(participants) {
-        const participantArray = Object.values(participants);
+        const participantArray = Object.values(participants).filter(p => (p.entries || 0) > 0);
         if (participantArray.length === 0) return [];
         
         const totalEntries = participantArray.reduce((sum, p) => sum + (p.entries || 0), 0);
@@ -480,6 +480,89 @@ class WheelGeneratorEnhanced {
         }
     }
 
+    // Elimination wheel: one spin per winner, each winner's slice is removed before the next spin
+    async generateEliminationWheel(participants, winners, giveawayName = 'Giveaway', userOptions = {}) {
+        try {
+            const participantCount = Object.keys(participants).length;
+            const settings = this.getOptimizedSettings(participantCount, userOptions);
+
+            // Shorter spins per round keep multi-winner GIFs under Discord's size limit
+            const roundSettings = {
+                ...settings,
+                phases: {
+                    accelerateFrames: 15,
+                    spinFrames: 35,
+                    decelerateFrames: 35,
+                    stopFrames: 5,
+                    celebrateFrames: 20
+                }
+            };
+            const framesPerRound = Object.values(roundSettings.phases).reduce((sum, frames) => sum + frames, 0);
+
+            // Slices keep their colour as the wheel shrinks
+            const colorByUser = new Map(
+                this.prepareFixedParticipants(participants).map(p => [p.userId, p.color])
+            );
+
+            const encoder = this.createFixedPaletteEncoder({
+                ...roundSettings,
+                phases: { total: framesPerRound * winners.length }
+            });
+            encoder.start();
+
+            const canvas = createCanvas(settings.canvasSize, settings.canvasSize);
+            const ctx = canvas.getContext('2d');
+            const remaining = { ...participants };
+            let previousRotation = 0;
+
+            for (const winner of winners) {
+                const participantData = this.prepareFixedParticipants(remaining)
+                    .map(p => ({ ...p, color: colorByUser.get(p.userId) || p.color }));
+
+                const winnerData = participantData.find(p => p.userId === winner);
+                if (!winnerData) {
+                    throw new Error(`Winner ${winner} not found in remaining participants`);
+                }
+
+                // Start each spin where the last one stopped
+                const startRotation = previousRotation % (2 * Math.PI);
+                const targetRotation = this.calculateWinnerRotation(participantData, winnerData) - startRotation;
+
+                for (let frame = 0; frame < framesPerRound; frame++) {
+                    try {
+                        const rotation = startRotation + this.calculateRotationForFrame(frame, roundSettings, targetRotation);
+                        this.renderFixedFrame(ctx, participantData, giveawayName, roundSettings, rotation);
+                        encoder.addFrame(ctx);
+                    } catch (frameError) {
+                        logger.warn(`Error in elimination frame ${frame}:`, frameError);
+                    }
+                }
+
+                previousRotation = startRotation + targetRotation;
+                delete remaining[winner];
+            }
+
+            encoder.finish();
+            const buffer = encoder.out.getData();
+
+            if (!buffer || buffer.length === 0) {
+                throw new Error('Generated buffer is empty');
+            }
+
+            const fileSizeMB = (buffer.length / 1024 / 1024).toFixed(2);
+            if (buffer.length > 10 * 1024 * 1024) {
+                throw new Error(`Generated wheel (${fileSizeMB}MB) exceeds Discord's 10MB limit`);
+            }
+
+            logger.success(`Elimination wheel generated: ${fileSizeMB}MB, ${winners.length} spins`);
+            return buffer;
+
+        } catch (error) {
+            logger.error('Failed to generate elimination wheel:', error);
+            throw error;
+        }
+    }
+
     // ENHANCED: Generate slower looping wheel for showcurrentwheelstate
     async generateFixedPaletteLoopingWheel(participants, giveawayName = 'Giveaway', userOptions = {}) {
         try {
@@ -601,24 +684,6 @@ class WheelGeneratorEnhanced {
     easeInCubic(t) { return t * t * t; }
     easeOutCubic(t) { return 1 - Math.pow(1 - t, 3); }
 
-    selectRandomWinner(participants) {
-        const participantArray = Object.values(participants);
-        if (participantArray.length === 0) return null;
-        
-        const totalEntries = participantArray.reduce((sum, p) => sum + (p.entries || 0), 0);
-        if (totalEntries === 0) {
-            return participantArray[Math.floor(Math.random() * participantArray.length)];
-        }
-        
-        let random = Math.random() * totalEntries;
-        for (const participant of participantArray) {
-            random -= (participant.entries || 0);
-            if (random <= 0) return participant;
-        }
-        
-        return participantArray[participantArray.length - 1];
-    }
-
     validateWheelData(participants, giveawayName) {
         if (!participants || typeof participants !== 'object') {
             throw new Error('Invalid participants data');